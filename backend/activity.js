@@ -0,0 +1,70 @@
+import { pool } from "./db.js";
+import { INSTANCE_ID } from "./bus.js";
+
+// ===== USER ACTIVITY =====
+// Open sockets live in user_connections (migrations/014), one row per socket,
+// so every instance can tell whether a user is still connected anywhere.
+// Each instance refreshes seen_at for its own sockets; a row not refreshed
+// within CONNECTION_STALE_MS belongs to an instance that went away.
+export const CONNECTION_REFRESH_MS = 30 * 1000;
+export const CONNECTION_STALE_MS = 3 * CONNECTION_REFRESH_MS;
+
+// Interactions arrive often (every click); write at most one per user per interval
+const ACTIVITY_WRITE_MS = 60 * 1000;
+const lastWritten = new Map();
+
+export const trackConnect = (socketId, username) =>
+  pool.query(
+    `
+    INSERT INTO user_connections (socket_id, instance_id, username)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (socket_id) DO UPDATE SET seen_at = NOW();
+    `,
+    [socketId, INSTANCE_ID, username]
+  );
+
+// Drop the socket; the user counts as disconnected once nothing live is left
+export const trackDisconnect = async (socketId, username) => {
+  await pool.query("DELETE FROM user_connections WHERE socket_id = $1", [socketId]);
+  await pool.query(
+    `
+    INSERT INTO user_activity (username, disconnected_at)
+    SELECT $1, NOW()
+    WHERE NOT EXISTS (
+      SELECT 1 FROM user_connections
+      WHERE username = $1 AND seen_at > NOW() - $2 * INTERVAL '1 millisecond'
+    )
+    ON CONFLICT (username) DO UPDATE SET disconnected_at = EXCLUDED.disconnected_at;
+    `,
+    [username, CONNECTION_STALE_MS]
+  );
+};
+
+// Record that `username` did something (throttled per instance)
+export const touchActivity = async (username) => {
+  const now = Date.now();
+  if (now - (lastWritten.get(username) || 0) < ACTIVITY_WRITE_MS) return;
+  lastWritten.set(username, now);
+  await pool.query(
+    `
+    INSERT INTO user_activity (username, active_at) VALUES ($1, NOW())
+    ON CONFLICT (username) DO UPDATE SET active_at = EXCLUDED.active_at;
+    `,
+    [username]
+  );
+};
+
+// Keep this instance's sockets fresh and clear out what dead instances left behind
+export const refreshConnections = async () => {
+  await pool.query("UPDATE user_connections SET seen_at = NOW() WHERE instance_id = $1", [INSTANCE_ID]);
+  await pool.query(
+    "DELETE FROM user_connections WHERE seen_at < NOW() - $1 * INTERVAL '1 millisecond'",
+    [CONNECTION_STALE_MS * 10]
+  );
+};
+
+// SQL condition: `usernameExpr` has a live socket on some instance
+export const CONNECTED_SQL = (usernameExpr) => `EXISTS (
+  SELECT 1 FROM user_connections uc
+  WHERE uc.username = ${usernameExpr} AND uc.seen_at > NOW() - INTERVAL '${CONNECTION_STALE_MS} milliseconds'
+)`;
@@ -7,9 +7,85 @@ import dotenv from "dotenv";
 import pkg from "pg";
 import path from "path";
 import { fileURLToPath } from "url";
+import { pool, withTransaction } from "./db.js";
+import { HttpError, sendError } from "./errors.js";
+import { exportRequisitions, exportTimesheet, previewImport, applyImport, EXPORT_FORMATS } from "./excel.js";
+import { runMigrations } from "./migrate.js";
+import { buildListQuery } from "./listQuery.js";
+import { createEventRelay, latestSeq, changesSince, pruneEvents } from "./events.js";
+import { createBus, BUS_CHANNEL } from "./bus.js";
+import { recordAudit, diffEntries, getHistory } from "./audit.js";
+import { validateRequisition, hasErrors } from "./schema.js";
+import {
+  listClients,
+  getClient,
+  createClient,
+  updateClient,
+  deleteClient,
+  resolveRequisitionClient,
+} from "./clients.js";
+import { listSubmissions, createSubmission, updateSubmission, deleteSubmission } from "./submissions.js";
+import { parseTimesheetQuery, timesheetReport, listSessions } from "./worksessions.js";
+import { METRICS, dashboard, parseDashboardQuery } from "./dashboard.js";
+import {
+  trackConnect,
+  trackDisconnect,
+  touchActivity,
+  refreshConnections,
+  CONNECTION_REFRESH_MS,
+} from "./activity.js";
+import { releaseStaleAssignments, AUTO_RELEASE } from "./autorelease.js";
+import { deliverPending, getPreferences, savePreferences, followClient, unfollowClient } from "./notifications.js";
+import { createNotifier } from "./notifiers/index.js";
+import { presenceSnapshot, userPresence, setPresence } from "./presence.js";
+import { listViews, createView, updateView, shareView, deleteView } from "./views.js";
+import { bulkUpdate } from "./bulk.js";
+import { changeLifecycle, lifecycleError, runHousekeeping, LIFECYCLE } from "./lifecycle.js";
+import {
+  listFeedSources,
+  getFeedSource,
+  loadFeedSource,
+  createFeedSource,
+  updateFeedSource,
+  deleteFeedSource,
+  rotateFeedToken,
+  sourceForToken,
+  runFeed,
+  scanFeedDirectory,
+  FEED_DIR,
+  FEED_POLL_MS,
+} from "./feeds.js";
+import {
+  loadCapacityRules,
+  saveCapacityRule,
+  deleteCapacityRule,
+  startWorking,
+  stopWorking,
+} from "./capacity.js";
+import {
+  createUser,
+  listUsers,
+  login,
+  logout,
+  pruneSessions,
+  bearerToken,
+  setUserRole,
+  requireAuth,
+  requireAdmin,
+  socketAuth,
+} from "./auth.js";
+import { can, requirePermission } from "./permissions.js";
+import {
+  acquireLock,
+  heartbeatLock,
+  releaseLocks,
+  expireLocks,
+  lockSnapshot,
+  lockedByOthers,
+} from "./locks.js";
 
 dotenv.config();
-const { Pool, Client } = pkg;
+const { Client } = pkg;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,6 +95,8 @@ const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: "*" } });
 
 app.use(cors());
+// Feed files are read raw whatever their Content-Type (JSON ones included)
+app.use("/api/feeds/:id/ingest", express.raw({ type: () => true, limit: "20mb" }));
 app.use(bodyParser.json());
 
 // ---------- Diagnostic middleware / health ----------
@@ -32,22 +110,37 @@ app.use((req, res, next) => {
 });
 // --------------------------------------------------
 
-// ===== DATABASE =====
-// Reduced pool size and timeouts for serverless DB environments
-const pool = new Pool({
-  connectionString: process.env.DB_URL,
-  ssl: { rejectUnauthorized: false },
-  max: 5, // reduce concurrent connections from the pool
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000,
-  application_name: process.env.PG_APP_NAME || "hybrid-app-backend"
-});
+// Every requisition event reaches clients through this relay, and only through it
+const eventRelay = createEventRelay((name, payload) => io.emit(name, payload));
+
+// Everything else that all instances' clients must hear goes through the bus;
+// capacity rules too large for a NOTIFY are reloaded by each instance instead
+const bus = createBus(io, { capacity_rules_updated: loadCapacityRules });
+
+const logActivityError = (err) => console.error("❌ Error recording activity:", err.message || err);
+const logPresenceError = (err) => console.error("❌ Error updating presence:", err.message || err);
 
-// Log pool errors on idle clients so they don't crash the process
-pool.on("error", (err, client) => {
-  console.error("❌ Unexpected error on idle PostgreSQL client:", err);
+// Any change a logged-in user makes counts as activity (see autorelease.js)
+app.use("/api", (req, res, next) => {
+  if (req.method !== "GET") {
+    res.on("finish", () => {
+      if (req.user) touchActivity(req.user.username).catch(logActivityError);
+    });
+  }
+  next();
 });
 
+// Sends queued notifications (see notifications.js)
+const notifier = (() => {
+  try {
+    return createNotifier();
+  } catch (err) {
+    console.error("❌ Notifier misconfigured, falling back to the console:", err.message || err);
+    return createNotifier({ NOTIFIER: "console" });
+  }
+})();
+console.log(`📨 Notifications go through the ${notifier.name} notifier`);
+
 // ====== REAL-TIME DB LISTENER (Dedicated Client, robust reconnect + keepalive + heartbeat + max_conn handling) ======
 let listenerClient = null;
 let listenerReconnectDelay = 2000; // initial backoff (ms)
@@ -134,22 +227,18 @@ const startListener = async () => {
       }
     }, 25 * 1000);
 
-    // Handle notifications
+    // Handle notifications: requisitions_change only carries { seq }, the relay reads the events
     listenerClient.on("notification", (msg) => {
-      try {
-        if (!msg || !msg.payload) return;
-        const payload = JSON.parse(msg.payload);
-        console.log("📡 DB change detected:", payload);
-
-        if (payload.operation === "INSERT") io.emit("requisition_created", payload.new);
-        if (payload.operation === "UPDATE") io.emit("requisitions_updated", payload.new);
-        if (payload.operation === "DELETE") io.emit("requisition_deleted", payload.old?.requirementid);
-      } catch (e) {
-        console.error("❌ Error parsing notification payload:", e);
-      }
+      if (!msg || !msg.payload) return;
+      if (msg.channel === BUS_CHANNEL) return bus.receive(msg.payload);
+      console.log("📡 DB change detected:", msg.payload);
+      eventRelay.pump();
     });
 
     await listenerClient.query("LISTEN requisitions_change");
+    await listenerClient.query(`LISTEN ${BUS_CHANNEL}`);
+    // Catch up on anything committed while we were not listening
+    eventRelay.pump();
   } catch (err) {
     console.error("❌ Failed to start listener, will retry:", err && err.stack ? err.stack : err);
 
@@ -181,161 +270,806 @@ const startListener = async () => {
 startListener().catch((e) => console.error("Listener startup error:", e));
 
 // ===== SOCKET.IO HANDLING =====
-const activeEditors = new Map(); // { requirementid: { user, field, socket } }
+// Tell everyone a field lock went away (released, expired or owner disconnected)
+const broadcastReleased = (released) =>
+  released.forEach(({ requirementid, field }) =>
+    bus.broadcast("editing_status", { requirementid, field, user: null, isEditing: false })
+  );
+
+// Only logged-in clients may connect; identity comes from the session, not the payload
+io.use(socketAuth);
 
 io.on("connection", (socket) => {
-  console.log("🔌 Client connected:", socket.id);
+  const { user } = socket.data;
+  const { username } = user;
+  console.log("🔌 Client connected:", socket.id, username);
+  // Once the socket is recorded: this tab gets everyone, everyone gets this user
+  trackConnect(socket.id, username)
+    .then(async () => {
+      socket.emit("presence_snapshot", await presenceSnapshot());
+      bus.broadcastFrom(socket, "presence_update", await userPresence(username));
+    })
+    .catch(logPresenceError);
 
-  // User starts/stops editing
-  socket.on("editing_status", (data) => {
-    const { requirementid, field, user, isEditing } = data;
-    if (isEditing) {
-      activeEditors.set(requirementid, { user, field, socket: socket.id });
-    } else {
-      activeEditors.delete(requirementid);
-    }
+  // The page reports keyboard/mouse use (throttled client-side)
+  socket.on("user_active", () => {
+    touchActivity(username).catch(logActivityError);
+  });
 
-    // Notify everyone else
-    socket.broadcast.emit("editing_status", data);
+  // The tab went idle/active or focused another row: { idle?, focused? }
+  socket.on("presence_state", (state) => {
+    setPresence(socket.id, username, state || {})
+      .then((presence) => bus.broadcast("presence_update", presence))
+      .catch(logPresenceError);
   });
 
-  // Broadcast live requisition updates
-  socket.on("requisitions_updated", (updatedRow) => {
-    console.log("📡 Broadcasting update:", updatedRow?.requirementid);
-    io.emit("requisitions_updated", updatedRow);
+  // Periodic resync, so users whose instance died drop off
+  socket.on("presence_snapshot", async (ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      reply({ ok: true, users: await presenceSnapshot() });
+    } catch (err) {
+      logPresenceError(err);
+      reply({ ok: false });
+    }
   });
 
-  // Broadcast new requisition creation
-  socket.on("requisition_created", (newRow) => {
-    console.log("📡 Broadcasting new requisition:", newRow?.requirementid);
-    io.emit("requisition_created", newRow);
+  // Late joiners see who is already editing what
+  lockSnapshot()
+    .then((locks) => socket.emit("editing_snapshot", locks))
+    .catch((err) => console.error("❌ Error loading lock snapshot:", err.message || err));
+
+  // User starts/stops editing a field (only roles that may edit can hold a lock).
+  // { requirementid, field } acquires/refreshes; field null releases the row.
+  socket.on("editing_status", async (data, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      if (!can(user, "requisitions:edit")) return reply({ ok: false });
+      const requirementid = data?.requirementid;
+      const field = data?.field;
+      const isEditing = data?.isEditing ?? Boolean(field);
+      if (!requirementid) return reply({ ok: false });
+
+      if (!isEditing) {
+        broadcastReleased(await releaseLocks(socket.id, { requirementid, field: field || undefined }));
+        return reply({ ok: true });
+      }
+
+      const result = await acquireLock(requirementid, field, username, socket.id);
+      if (!result.ok) return reply({ ok: false, holder: result.holder });
+
+      // Moving to another field on the row frees the previous one
+      broadcastReleased(await releaseLocks(socket.id, { requirementid, exceptField: field }));
+      if (result.isNew) {
+        bus.broadcastFrom(socket, "editing_status", { requirementid, field, user: username, isEditing: true });
+      }
+      reply({ ok: true, lock: result.lock });
+    } catch (err) {
+      console.error("❌ Error updating field lock:", err.message || err);
+      reply({ ok: false });
+    }
   });
 
-  // Broadcast requisition deletion
-  socket.on("requisition_deleted", (reqId) => {
-    console.log("📡 Broadcasting deletion:", reqId);
-    io.emit("requisition_deleted", reqId);
+  // Keep a held lock alive while the input stays focused
+  socket.on("editing_heartbeat", async (data, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      reply({ ok: await heartbeatLock(data?.requirementid, data?.field, socket.id) });
+    } catch (err) {
+      console.error("❌ Error refreshing field lock:", err.message || err);
+      reply({ ok: false });
+    }
   });
 
   // Cleanup on disconnect
   socket.on("disconnect", () => {
     console.log("❌ Client disconnected:", socket.id);
-    for (const [reqId, editor] of activeEditors.entries()) {
-      if (editor.socket === socket.id) {
-        activeEditors.delete(reqId);
-        socket.broadcast.emit("editing_status", {
-          requirementid: reqId,
-          field: editor.field,
-          user: null,
-          isEditing: false,
-        });
-      }
-    }
+    releaseLocks(socket.id)
+      .then(broadcastReleased)
+      .catch((err) => console.error("❌ Error releasing field locks:", err.message || err));
+    trackDisconnect(socket.id, username)
+      .then(async () => bus.broadcast("presence_update", await userPresence(username)))
+      .catch(logActivityError);
   });
 });
 
+// ===== AUTH ROUTES =====
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json(await login(username, password, req.ip));
+  } catch (err) {
+    sendError(res, err, "Error logging in");
+  }
+});
+
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    await logout(bearerToken(req));
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    sendError(res, err, "Error logging out");
+  }
+});
+
+app.get("/api/auth/me", requireAuth, (req, res) => res.json(req.user));
+
+// Directory used by the table to show display names for assigned usernames
+app.get("/api/users", requireAuth, async (req, res) => {
+  try {
+    res.json(await listUsers());
+  } catch (err) {
+    sendError(res, err, "Error fetching users");
+  }
+});
+
+// Create a login (admin, or the ADMIN_KEY header for bootstrapping)
+app.post("/api/users", requireAdmin("admin:users"), async (req, res) => {
+  try {
+    res.status(201).json(await createUser(req.body || {}));
+  } catch (err) {
+    sendError(res, err, "Error creating user");
+  }
+});
+
+// Change a user's role
+app.put("/api/users/:id/role", requireAdmin("admin:users"), async (req, res) => {
+  try {
+    res.json(await setUserRole(req.params.id, req.body?.role));
+  } catch (err) {
+    sendError(res, err, "Error updating role");
+  }
+});
+
 // ===== ROUTES =====
+// Every requisition route needs a logged-in user
+app.use("/api/requisitions", requireAuth);
+
 
-// Fetch all requisitions
-app.get("/api/requisitions", async (req, res) => {
+// Fetch one page of requisitions: ?page&pageSize&sort&dir&filter[col]=text&where=<filter tree>&assignedTo=user&scope=active|archived|all|trash
+app.get("/api/requisitions", requirePermission("requisitions:read"), async (req, res) => {
   try {
-    const result = await pool.query("SELECT * FROM requisitions ORDER BY requirementid ASC");
-    res.json(result.rows);
+    const { where, params, orderBy, limit, offset, page, pageSize } = buildListQuery(req.query);
+    // Read the event position first: the rows then reflect at least every event up to it
+    const seq = await latestSeq();
+    const [result, count] = await Promise.all([
+      pool.query(
+        `SELECT * FROM requisitions ${where} ORDER BY ${orderBy} LIMIT ${limit} OFFSET ${offset}`,
+        params
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM requisitions ${where}`, params),
+    ]);
+    res.json({
+      rows: result.rows,
+      total: count.rows[0].total,
+      page,
+      pageSize,
+      seq,
+      // How long the trash keeps rows (0: until purged by hand)
+      ...(req.query.scope === "trash" && { retentionDays: LIFECYCLE.trashRetentionDays }),
+    });
   } catch (err) {
-    console.error("❌ Error fetching requisitions:", err);
-    res.status(500).send("Error fetching data");
+    sendError(res, err, "Error fetching data");
+  }
+});
+
+// Change feed: events after ?since=<seq>, for clients catching up after a reconnect
+app.get("/api/requisitions/changes", requirePermission("requisitions:read"), async (req, res) => {
+  try {
+    const since = Number(req.query.since);
+    if (!Number.isInteger(since) || since < 0) {
+      return res.status(400).json({ message: "since must be a non-negative event sequence number." });
+    }
+    res.json(await changesSince(since));
+  } catch (err) {
+    sendError(res, err, "Error fetching changes");
   }
 });
 
 // Create new requisition
-app.post("/api/requisitions", async (req, res) => {
+app.post("/api/requisitions", requirePermission("requisitions:create"), async (req, res) => {
   try {
-    let { requirementid, requirementId, title, client, slots, status } = req.body;
-    requirementid = (requirementid || requirementId || "").replace(/\s+/g, ""); // remove all spaces
+    const { requirementId, ...body } = req.body || {};
+    if (body.requirementid === undefined && requirementId !== undefined) body.requirementid = requirementId;
 
-    if (!requirementid || requirementid.trim() === "") {
-      return res.status(400).json({ message: "Requirement ID is mandatory to create a new row." });
+    const { values, errors } = validateRequisition(body, { mode: "create" });
+    if (hasErrors(errors)) {
+      return res.status(400).json({ message: "Please fix the highlighted fields.", errors });
     }
 
-    // Ensure unique ID
-    const exists = await pool.query("SELECT requirementid FROM requisitions WHERE requirementid = $1", [requirementid]);
-    if (exists.rows.length > 0) {
-      return res.status(400).json({ message: "Requirement ID already exists." });
-    }
+    const newRow = await withTransaction(async (db) => {
+      // Ensure unique ID
+      const exists = await db.query("SELECT deleted_at FROM requisitions WHERE requirementid = $1", [values.requirementid]);
+      if (exists.rows.length > 0) {
+        const message = exists.rows[0].deleted_at
+          ? "Requirement ID is in the trash. Restore it instead."
+          : "Requirement ID already exists.";
+        throw new HttpError(400, message, { errors: { requirementid: message } });
+      }
 
-    const result = await pool.query(
-      `
-      INSERT INTO requisitions
-        (requirementid, title, client, slots, status, assigned_recruiters, working_times)
-      VALUES ($1, $2, $3, $4, $5, '{}', '{}')
-      RETURNING *;
-      `,
-      [requirementid, title || "", client || "", slots || 1, status || "Open"]
-    );
+      const row = await resolveRequisitionClient(db, values, { mode: "create" });
+      const result = await db.query(
+        `
+        INSERT INTO requisitions
+          (requirementid, title, client, client_id, slots, status, assigned_recruiters, working_times)
+        VALUES ($1, $2, $3, $4, $5, $6, '{}', '{}')
+        RETURNING *;
+        `,
+        [row.requirementid, row.title, row.client, row.client_id, row.slots, row.status]
+      );
+      await recordAudit(db, req.user.username, diffEntries("create", null, result.rows[0]));
+      return result.rows[0];
+    });
 
-    const newRow = result.rows[0];
-    io.emit("requisition_created", newRow); // real-time broadcast
     res.json(newRow);
   } catch (err) {
-    console.error("❌ Error adding requisition:", err);
-    res.status(500).send("Error adding requisition");
+    sendError(res, err, "Error adding requisition");
   }
 });
 
 // Update requisition
-app.put("/api/requisitions/:id", async (req, res) => {
+app.put("/api/requisitions/:id", requirePermission("requisitions:edit"), async (req, res) => {
   const { id } = req.params;
-  const fields = req.body;
+  const { version: baseVersion, ...body } = req.body || {};
 
   try {
-    const { rows } = await pool.query("SELECT assigned_recruiters, slots, status FROM requisitions WHERE requirementid=$1", [id]);
-    if (!rows.length) return res.status(404).send("Requisition not found");
+    if (!Number.isInteger(baseVersion)) {
+      return res.status(400).json({ message: "Include the row version you edited (version)." });
+    }
 
-    const assigned = rows[0].assigned_recruiters || [];
-    if (assigned.length > 0 && ("status" in fields || "slots" in fields)) {
+    if ("assigned_recruiters" in body || "working_times" in body) {
       return res.status(400).json({
-        message: "A Recruiter is working on this req. Please ask them to stop working and try again.",
+        message: "Use the start/stop working endpoints to change who is working on a requisition.",
       });
     }
 
+    const { values: fields, errors } = validateRequisition(body, { mode: "update" });
+    if (hasErrors(errors)) {
+      return res.status(400).json({ message: "Please fix the highlighted fields.", errors });
+    }
+
     const keys = Object.keys(fields);
     if (!keys.length) return res.json({ message: "No changes" });
 
-    const setClauses = keys.map((key, i) => `${key.toLowerCase()}=$${i + 1}`);
-    const values = Object.values(fields);
-
-    const result = await pool.query(
-      `
-      UPDATE requisitions
-      SET ${setClauses.join(", ")}, createdat = NOW()
-      WHERE requirementid=$${keys.length + 1}
-      RETURNING *;
-      `,
-      [...values, id]
-    );
+    // Respect field locks held by other users
+    // client_id is edited through the client cell, which locks "client"
+    const lockFields = [...new Set(keys.map((key) => (key === "client_id" ? "client" : key)))];
+    const locked = await lockedByOthers(id, lockFields, req.user.username);
+    if (locked.length) {
+      return res.status(423).json({
+        message: `${locked[0].user} is editing this requisition right now.`,
+        errors: Object.fromEntries(locked.map((l) => [l.field, `${l.user} is editing this field.`])),
+      });
+    }
+
+    const updatedRow = await withTransaction(async (db) => {
+      const { rows } = await db.query("SELECT * FROM requisitions WHERE requirementid=$1 FOR UPDATE", [id]);
+      if (!rows.length) throw new HttpError(404, "Requisition not found");
+      const blocked = lifecycleError("update", rows[0]);
+      if (blocked) throw new HttpError(400, blocked);
+
+      // Someone saved since this client loaded the row: hand back theirs for the conflict dialog
+      if (rows[0].version !== baseVersion) {
+        throw new HttpError(409, "This requisition was changed by someone else.", { current: rows[0] });
+      }
+
+      const assigned = rows[0].assigned_recruiters || [];
+      if (assigned.length > 0 && ("status" in fields || "slots" in fields)) {
+        throw new HttpError(400, "A Recruiter is working on this req. Please ask them to stop working and try again.");
+      }
+
+      // keys are whitelisted column names from requisitionSchema
+      const resolved = await resolveRequisitionClient(db, fields, { mode: "update" });
+      const columns = Object.keys(resolved);
+      const setClauses = columns.map((key, i) => `${key}=$${i + 1}`);
+
+      const result = await db.query(
+        `
+        UPDATE requisitions
+        SET ${setClauses.join(", ")}
+        WHERE requirementid=$${columns.length + 1}
+        RETURNING *;
+        `,
+        [...Object.values(resolved), id]
+      );
+      await recordAudit(db, req.user.username, diffEntries("update", rows[0], result.rows[0]));
+      return result.rows[0];
+    });
 
-    const updatedRow = result.rows[0];
-    io.emit("requisitions_updated", updatedRow);
     res.json(updatedRow);
   } catch (err) {
-    console.error("❌ Error updating requisition:", err);
-    res.status(500).send("Error updating requisition");
+    sendError(res, err, "Error updating requisition");
+  }
+});
+
+// Delete requisition: it goes to the trash, where it can be restored (lifecycle.js)
+app.delete("/api/requisitions/:id", requirePermission("requisitions:delete"), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const requisition = await changeLifecycle(id, "delete", req.user.username);
+    res.json({ message: "Requisition moved to the trash", id, requisition });
+  } catch (err) {
+    sendError(res, err, "Error deleting requisition");
   }
 });
 
-// Delete requisition
-app.delete("/api/requisitions/:id", async (req, res) => {
+// Take a requisition back out of the trash
+app.post("/api/requisitions/:id/restore", requirePermission("requisitions:delete"), async (req, res) => {
+  try {
+    res.json(await changeLifecycle(req.params.id, "restore", req.user.username));
+  } catch (err) {
+    sendError(res, err, "Error restoring requisition");
+  }
+});
+
+// Delete a trashed requisition for good (its history stays)
+app.delete("/api/requisitions/:id/purge", requirePermission("requisitions:delete"), async (req, res) => {
   const { id } = req.params;
   try {
-    const result = await pool.query("DELETE FROM requisitions WHERE requirementid=$1 RETURNING requirementid", [id]);
-    if (!result.rowCount) {
-      return res.status(404).json({ message: "Requisition not found" });
+    await changeLifecycle(id, "purge", req.user.username);
+    res.json({ message: "Requisition deleted for good", id });
+  } catch (err) {
+    sendError(res, err, "Error purging requisition");
+  }
+});
+
+// Archive a Closed/Filled/Cancelled requisition, or bring it back
+app.post("/api/requisitions/:id/archive", requirePermission("requisitions:edit"), async (req, res) => {
+  try {
+    res.json(await changeLifecycle(req.params.id, "archive", req.user.username));
+  } catch (err) {
+    sendError(res, err, "Error archiving requisition");
+  }
+});
+
+app.post("/api/requisitions/:id/unarchive", requirePermission("requisitions:edit"), async (req, res) => {
+  try {
+    res.json(await changeLifecycle(req.params.id, "unarchive", req.user.username));
+  } catch (err) {
+    sendError(res, err, "Error unarchiving requisition");
+  }
+});
+
+// One action over many rows, all or nothing: { action: status|slots|delete|release, ids | query, ... }
+// Each action checks its own permission (bulk.js)
+app.post("/api/requisitions/bulk", async (req, res) => {
+  try {
+    res.json(await bulkUpdate(req.body, req.user));
+  } catch (err) {
+    sendError(res, err, "Error applying bulk change");
+  }
+});
+
+// Change history for one requisition (newest first)
+app.get("/api/requisitions/:id/history", requirePermission("requisitions:read"), async (req, res) => {
+  try {
+    res.json(await getHistory(req.params.id));
+  } catch (err) {
+    sendError(res, err, "Error fetching history");
+  }
+});
+
+// Export everything but the trash, or the table's current view ({ view: { sort, dir, filter, scope } }) unpaged
+app.post("/api/requisitions/export", requirePermission("requisitions:read"), async (req, res) => {
+  try {
+    const format = req.body?.format === "csv" ? "csv" : "xlsx";
+    const { where, params, orderBy } = buildListQuery(req.body?.view || { scope: "all" });
+    const { rows: ordered } = await pool.query(
+      `SELECT * FROM requisitions ${where} ORDER BY ${orderBy}`,
+      params
+    );
+
+    const buffer = await exportRequisitions(ordered, format);
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+    res.setHeader("Content-Disposition", `attachment; filename="requisitions-${stamp}.${format}"`);
+    res.send(Buffer.from(buffer));
+  } catch (err) {
+    sendError(res, err, "Error exporting requisitions");
+  }
+});
+
+// Import an .xlsx: ?dryRun=true returns the preview, otherwise applies all-or-nothing
+app.post(
+  "/api/requisitions/import",
+  requirePermission("requisitions:create"),
+  requirePermission("requisitions:edit"),
+  express.raw({ type: [EXPORT_FORMATS.xlsx, "application/octet-stream"], limit: "10mb" }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ message: "Please upload an .xlsx file." });
+      }
+      if (req.query.dryRun === "true") return res.json(await previewImport(req.body));
+
+      // The import commits in one transaction, so clients get one requisitions_batch event
+      res.json(await applyImport(req.body, req.user.username));
+    } catch (err) {
+      sendError(res, err, "Error importing requisitions");
+    }
+  }
+);
+
+// ===== CLIENTS =====
+app.use("/api/clients", requireAuth);
+
+// ?q= narrows to names/aliases containing q (the picker's suggestions)
+app.get("/api/clients", async (req, res) => {
+  try {
+    res.json(await listClients(req.query.q));
+  } catch (err) {
+    sendError(res, err, "Error fetching clients");
+  }
+});
+
+app.get("/api/clients/:id", async (req, res) => {
+  try {
+    res.json(await getClient(req.params.id));
+  } catch (err) {
+    sendError(res, err, "Error fetching client");
+  }
+});
+
+// { name, aliases?, msp?, vms?, contacts?, rules? }
+app.post("/api/clients", requirePermission("clients:manage"), async (req, res) => {
+  try {
+    const client = await createClient(req.body);
+    if (req.body?.rules !== undefined) bus.broadcast("capacity_rules_updated", await loadCapacityRules());
+    res.json(client);
+  } catch (err) {
+    sendError(res, err, "Error adding client");
+  }
+});
+
+// Renames carry over to every requisition of the client
+app.put("/api/clients/:id", requirePermission("clients:manage"), async (req, res) => {
+  try {
+    const client = await updateClient(req.params.id, req.body, req.user.username);
+    if (req.body?.rules !== undefined || req.body?.name !== undefined) {
+      bus.broadcast("capacity_rules_updated", await loadCapacityRules());
     }
-    io.emit("requisition_deleted", id);
-    res.json({ message: "Requisition deleted", id });
+    res.json(client);
+  } catch (err) {
+    sendError(res, err, "Error updating client");
+  }
+});
+
+app.delete("/api/clients/:id", requirePermission("clients:manage"), async (req, res) => {
+  try {
+    const client = await deleteClient(req.params.id);
+    bus.broadcast("capacity_rules_updated", await loadCapacityRules());
+    res.json({ message: "Client deleted", id: client.id });
+  } catch (err) {
+    sendError(res, err, "Error deleting client");
+  }
+});
+
+// ===== CANDIDATE SUBMISSIONS =====
+app.get("/api/requisitions/:id/submissions", requirePermission("requisitions:read"), async (req, res) => {
+  try {
+    res.json(await listSubmissions(req.params.id));
+  } catch (err) {
+    sendError(res, err, "Error fetching submissions");
+  }
+});
+
+// Submit a candidate ({ candidate_name, stage?, notes? }); the caller is the submitting recruiter
+app.post("/api/requisitions/:id/submissions", requirePermission("submissions:write"), async (req, res) => {
+  try {
+    res.json(await createSubmission(req.params.id, req.body, req.user.username));
+  } catch (err) {
+    sendError(res, err, "Error adding submission");
+  }
+});
+
+app.use("/api/submissions", requireAuth);
+
+// Move a candidate along the pipeline; placing one consumes a slot
+app.put("/api/submissions/:id", requirePermission("submissions:write"), async (req, res) => {
+  try {
+    res.json(await updateSubmission(req.params.id, req.body, req.user.username));
   } catch (err) {
-    console.error("❌ Error deleting requisition:", err);
-    res.status(500).send("Error deleting requisition");
+    sendError(res, err, "Error updating submission");
+  }
+});
+
+app.delete("/api/submissions/:id", requirePermission("submissions:write"), async (req, res) => {
+  try {
+    res.json(await deleteSubmission(req.params.id, req.user.username));
+  } catch (err) {
+    sendError(res, err, "Error removing submission");
+  }
+});
+
+// Start working on a requisition (switches off older assignments past the cap)
+app.post("/api/requisitions/:id/working", requirePermission("working:self"), async (req, res) => {
+  try {
+    const { requisition, released } = await startWorking(req.params.id, req.user.username);
+    res.json({ requisition, released });
+  } catch (err) {
+    sendError(res, err, "Error updating working status");
+  }
+});
+
+// Stop working on a requisition
+app.delete("/api/requisitions/:id/working", requirePermission("working:self"), async (req, res) => {
+  try {
+    const { requisition } = await stopWorking(req.params.id, req.user.username);
+    res.json({ requisition, released: [] });
+  } catch (err) {
+    sendError(res, err, "Error updating working status");
+  }
+});
+
+// Release another recruiter from a requisition (managers)
+app.delete("/api/requisitions/:id/working/:username", requirePermission("working:others"), async (req, res) => {
+  try {
+    const { requisition } = await stopWorking(req.params.id, req.params.username, req.user.username, "released");
+    res.json({ requisition, released: [] });
+  } catch (err) {
+    sendError(res, err, "Error updating working status");
+  }
+});
+
+// ===== TIMESHEETS =====
+// Recruiters see their own time; timesheets:all may pick anyone (or everyone)
+const timesheetQuery = (req) =>
+  parseTimesheetQuery(req.query, {
+    user: req.user.username,
+    canSeeAll: can(req.user, "timesheets:all"),
+  });
+
+app.get("/api/timesheets", requireAuth, async (req, res) => {
+  try {
+    res.json(await timesheetReport(timesheetQuery(req)));
+  } catch (err) {
+    sendError(res, err, "Error fetching timesheet");
+  }
+});
+
+app.get("/api/timesheets/sessions", requireAuth, async (req, res) => {
+  try {
+    res.json(await listSessions(timesheetQuery(req)));
+  } catch (err) {
+    sendError(res, err, "Error fetching work sessions");
+  }
+});
+
+app.get("/api/timesheets/export", requireAuth, async (req, res) => {
+  try {
+    const format = req.query.format === "csv" ? "csv" : "xlsx";
+    const query = timesheetQuery(req);
+    const [report, sessions] = await Promise.all([timesheetReport(query), listSessions(query)]);
+    const buffer = await exportTimesheet(report, sessions, format);
+    res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+    res.setHeader("Content-Disposition", `attachment; filename="timesheet-${query.from}-${query.to}.${format}"`);
+    res.send(Buffer.from(buffer));
+  } catch (err) {
+    sendError(res, err, "Error exporting timesheet");
+  }
+});
+
+// ===== NOTIFICATION SETTINGS =====
+app.get("/api/me/notifications", requireAuth, async (req, res) => {
+  try {
+    res.json(await getPreferences(req.user.username));
+  } catch (err) {
+    sendError(res, err, "Error fetching notification settings");
+  }
+});
+
+app.put("/api/me/notifications", requireAuth, async (req, res) => {
+  try {
+    res.json(await savePreferences(req.user.username, req.body || {}));
+  } catch (err) {
+    sendError(res, err, "Error saving notification settings");
+  }
+});
+
+// Follow a client to hear about its new requisitions
+app.put("/api/clients/:id/follow", async (req, res) => {
+  try {
+    res.json(await followClient(req.params.id, req.user.username));
+  } catch (err) {
+    sendError(res, err, "Error following client");
+  }
+});
+
+app.delete("/api/clients/:id/follow", async (req, res) => {
+  try {
+    res.json(await unfollowClient(req.params.id, req.user.username));
+  } catch (err) {
+    sendError(res, err, "Error unfollowing client");
+  }
+});
+
+// ===== SAVED VIEWS =====
+app.use("/api/views", requireAuth);
+
+// Mine, shared with everyone, and team views
+app.get("/api/views", async (req, res) => {
+  try {
+    res.json(await listViews(req.user));
+  } catch (err) {
+    sendError(res, err, "Error fetching views");
+  }
+});
+
+app.post("/api/views", async (req, res) => {
+  try {
+    res.status(201).json(await createView(req.body || {}, req.user));
+  } catch (err) {
+    sendError(res, err, "Error saving view");
+  }
+});
+
+app.put("/api/views/:id", async (req, res) => {
+  try {
+    res.json(await updateView(req.params.id, req.body || {}, req.user));
+  } catch (err) {
+    sendError(res, err, "Error saving view");
+  }
+});
+
+// { shared: true | false }
+app.put("/api/views/:id/share", async (req, res) => {
+  try {
+    res.json(await shareView(req.params.id, req.body?.shared, req.user));
+  } catch (err) {
+    sendError(res, err, "Error sharing view");
+  }
+});
+
+app.delete("/api/views/:id", async (req, res) => {
+  try {
+    res.json(await deleteView(req.params.id, req.user));
+  } catch (err) {
+    sendError(res, err, "Error deleting view");
+  }
+});
+
+// ===== DASHBOARD =====
+app.use("/api/dashboard", requireAuth, requirePermission("dashboard:read"));
+
+app.get("/api/dashboard", async (req, res) => {
+  try {
+    res.json(await dashboard(parseDashboardQuery(req.query)));
+  } catch (err) {
+    sendError(res, err, "Error fetching dashboard");
+  }
+});
+
+// One metric: pipeline, time-to-fill, time-in-status, unworked or utilization
+app.get("/api/dashboard/:metric", async (req, res) => {
+  try {
+    const metric = Object.hasOwn(METRICS, req.params.metric) && METRICS[req.params.metric];
+    if (!metric) throw new HttpError(404, "Unknown metric");
+    res.json(await metric(parseDashboardQuery(req.query)));
+  } catch (err) {
+    sendError(res, err, "Error fetching dashboard");
+  }
+});
+
+// ===== JOB FEEDS =====
+// A VMS posts with its feed's x-feed-token; people need feeds:manage
+const feedIngestAuth = async (req, res, next) => {
+  const token = req.get("x-feed-token");
+  if (!token) return requireAuth(req, res, () => requirePermission("feeds:manage")(req, res, next));
+  try {
+    req.feedSource = await sourceForToken(req.params.id, token);
+    if (!req.feedSource) return res.status(403).json({ message: "Invalid feed token." });
+    next();
+  } catch (err) {
+    sendError(res, err, "Error checking feed token");
+  }
+};
+
+const FEED_CONTENT_TYPES = { json: "json", xml: ["xml", "+xml"], csv: ["csv", "text/plain"] };
+
+// Run a feed file now: ?dryRun=true only reports, ?format= overrides the source's
+app.post("/api/feeds/:id/ingest", feedIngestAuth, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ message: "Please send a feed file." });
+    }
+    const source = req.feedSource || (await loadFeedSource(req.params.id));
+    const format =
+      req.query.format ||
+      Object.keys(FEED_CONTENT_TYPES).find((f) => req.is(FEED_CONTENT_TYPES[f])) ||
+      undefined;
+    // Applied changes commit in one transaction, so clients get one requisitions_batch event
+    res.json(
+      await runFeed(source, req.body, {
+        origin: req.user ? "upload" : "endpoint",
+        fileName: req.query.fileName || req.get("x-file-name"),
+        actor: req.user?.username,
+        dryRun: req.query.dryRun === "true",
+        format,
+      })
+    );
+  } catch (err) {
+    sendError(res, err, "Error running feed");
+  }
+});
+
+app.use("/api/feeds", requireAuth, requirePermission("feeds:manage"));
+
+app.get("/api/feeds", async (req, res) => {
+  try {
+    res.json(await listFeedSources());
+  } catch (err) {
+    sendError(res, err, "Error fetching feeds");
+  }
+});
+
+app.get("/api/feeds/:id", async (req, res) => {
+  try {
+    res.json(await getFeedSource(req.params.id));
+  } catch (err) {
+    sendError(res, err, "Error fetching feed");
+  }
+});
+
+app.post("/api/feeds", async (req, res) => {
+  try {
+    res.status(201).json(await createFeedSource(req.body || {}));
+  } catch (err) {
+    sendError(res, err, "Error creating feed");
+  }
+});
+
+app.put("/api/feeds/:id", async (req, res) => {
+  try {
+    res.json(await updateFeedSource(req.params.id, req.body || {}));
+  } catch (err) {
+    sendError(res, err, "Error updating feed");
+  }
+});
+
+app.delete("/api/feeds/:id", async (req, res) => {
+  try {
+    res.json(await deleteFeedSource(req.params.id));
+  } catch (err) {
+    sendError(res, err, "Error deleting feed");
+  }
+});
+
+// New token for the VMS; returned once, only its hash is stored
+app.post("/api/feeds/:id/token", async (req, res) => {
+  try {
+    res.json(await rotateFeedToken(req.params.id));
+  } catch (err) {
+    sendError(res, err, "Error creating feed token");
+  }
+});
+
+// ===== CAPACITY RULES (admin) =====
+app.get("/api/capacity-rules", requireAuth, async (req, res) => {
+  try {
+    res.json(await loadCapacityRules());
+  } catch (err) {
+    sendError(res, err, "Error fetching capacity rules");
+  }
+});
+
+// PUT /api/capacity-rules/* sets the defaults, any other name a client override
+app.put("/api/capacity-rules/:client", requireAdmin("admin:settings"), async (req, res) => {
+  try {
+    const rules = await saveCapacityRule(req.params.client, req.body || {});
+    bus.broadcast("capacity_rules_updated", rules);
+    res.json(rules);
+  } catch (err) {
+    sendError(res, err, "Error saving capacity rule");
+  }
+});
+
+app.delete("/api/capacity-rules/:client", requireAdmin("admin:settings"), async (req, res) => {
+  try {
+    const rules = await deleteCapacityRule(req.params.client);
+    bus.broadcast("capacity_rules_updated", rules);
+    res.json(rules);
+  } catch (err) {
+    sendError(res, err, "Error deleting capacity rule");
   }
 });
 
@@ -354,29 +1088,79 @@ const connectWithRetry = async (retries = 5, delay = 5000) => {
   }
 };
 
-const ensureTable = async () => {
-  const query = `
-    CREATE TABLE IF NOT EXISTS requisitions (
-      requirementid TEXT PRIMARY KEY,
-      title TEXT,
-      client TEXT,
-      assigned_recruiters TEXT[],
-      working_times JSONB,
-      slots INTEGER,
-      status TEXT,
-      createdat TIMESTAMP DEFAULT NOW()
-    );
-  `;
-  await pool.query(query);
-  console.log("✅ Table checked/created");
-};
-
 // ===== SERVE FRONTEND =====
 app.use(express.static(path.join(__dirname, "frontend")));
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "frontend", "index.html"));
 });
 
+// ===== BACKGROUND JOBS =====
+// Every periodic job reads tables the migrations create, so they start only
+// once runMigrations() has succeeded
+const startBackgroundJobs = () => {
+  // Keep the change log bounded
+  setInterval(() => {
+    pruneEvents().catch((err) => console.error("❌ Error pruning requisition events:", err.message || err));
+  }, 10 * 60 * 1000).unref();
+
+  // Expired logins stop working at once; this only clears them out of the table
+  setInterval(() => {
+    pruneSessions().catch((err) => console.error("❌ Error pruning expired sessions:", err.message || err));
+  }, 60 * 60 * 1000).unref();
+
+  // Deliver queued notifications
+  let delivering = false;
+  setInterval(async () => {
+    if (delivering) return;
+    delivering = true;
+    try {
+      await deliverPending(notifier);
+    } catch (err) {
+      console.error("❌ Error delivering notifications:", err.message || err);
+    } finally {
+      delivering = false;
+    }
+  }, 15 * 1000).unref();
+
+  // Sweep locks whose tab stopped heartbeating (on any instance)
+  setInterval(() => {
+    expireLocks()
+      .then(broadcastReleased)
+      .catch((err) => console.error("❌ Error expiring field locks:", err.message || err));
+  }, 5 * 1000).unref();
+
+  // This instance's sockets stay "connected" only while it keeps refreshing them
+  setInterval(() => {
+    refreshConnections().catch((err) => console.error("❌ Error refreshing connections:", err.message || err));
+  }, CONNECTION_REFRESH_MS).unref();
+
+  // Release assignments whose recruiter went idle, went home, or disconnected
+  setInterval(() => {
+    releaseStaleAssignments((release) => bus.broadcast("assignment_released", release)).catch((err) =>
+      console.error("❌ Error releasing stale assignments:", err.message || err)
+    );
+  }, AUTO_RELEASE.intervalMs).unref();
+
+  // Archive long-finished requisitions and empty old trash
+  setInterval(() => {
+    runHousekeeping()
+      .then(({ archived, purged }) => {
+        if (archived.length || purged.length) {
+          console.log(`🗄️ Archived ${archived.length} requisition(s), purged ${purged.length} from the trash`);
+        }
+      })
+      .catch((err) => console.error("❌ Error archiving/purging requisitions:", err.message || err));
+  }, LIFECYCLE.intervalMs).unref();
+
+  // Pick up feed files dropped in FEED_DIR (see feeds.js)
+  if (FEED_DIR) {
+    console.log(`📂 Watching ${FEED_DIR} for job feeds every ${FEED_POLL_MS / 1000}s`);
+    setInterval(() => {
+      scanFeedDirectory().catch((err) => console.error("❌ Error scanning feed directory:", err.message || err));
+    }, FEED_POLL_MS).unref();
+  }
+};
+
 // ===== START SERVER (bind to 0.0.0.0 for container platforms) =====
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, "0.0.0.0", () => {
@@ -384,8 +1168,9 @@ server.listen(PORT, "0.0.0.0", () => {
   (async () => {
     try {
       await connectWithRetry();
-      await ensureTable();
-      console.log('✅ DB ready and table ensured');
+      await runMigrations();
+      console.log('✅ DB ready and migrations applied');
+      startBackgroundJobs();
     } catch (err) {
       console.error('❌ DB init error (non-fatal for listener):', err);
       // keep server up; log errors so we can see them
@@ -0,0 +1,74 @@
+import { pool } from "./db.js";
+import { queueNotifications } from "./notifications.js";
+
+// ===== AUDIT TRAIL =====
+// Append-only: one row per changed field (or per working toggle / delete).
+// A trigger (migrations/004) refuses UPDATE and DELETE so history can't be rewritten.
+
+// Fields whose changes are worth recording on create/update
+const AUDITED_FIELDS = ["requirementid", "title", "client", "slots", "status"];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Append audit entries inside the caller's transaction, queueing any
+ * notifications they trigger in the same transaction.
+ * entries: [{ requirementid, action, field?, old_value?, new_value?, details? }]
+ */
+export const recordAudit = async (db, actor, entries) => {
+  for (const e of entries) {
+    await db.query(
+      `
+      INSERT INTO requisition_audit (requirementid, action, field, old_value, new_value, details, actor)
+      VALUES ($1, $2, $3, $4, $5, $6, $7);
+      `,
+      [
+        e.requirementid,
+        e.action,
+        e.field ?? null,
+        e.old_value === undefined ? null : JSON.stringify(e.old_value),
+        e.new_value === undefined ? null : JSON.stringify(e.new_value),
+        e.details ? JSON.stringify(e.details) : null,
+        actor,
+      ]
+    );
+  }
+  await queueNotifications(db, actor, entries);
+};
+
+// One "update" entry per audited field that actually changed
+export const diffEntries = (action, before, after) =>
+  AUDITED_FIELDS.filter((field) => !sameValue(before?.[field], after?.[field])).map((field) => ({
+    requirementid: after?.requirementid ?? before?.requirementid,
+    action,
+    field,
+    old_value: before?.[field] ?? null,
+    new_value: after?.[field] ?? null,
+  }));
+
+// Entry for a recruiter joining/leaving a requisition, with how long they worked
+export const workingEntry = (action, before, after, recruiter, reason) => {
+  const startedAt = before?.working_times?.[recruiter];
+  const details = { recruiter };
+  if (reason) details.reason = reason;
+  if (action === "stop_working" && startedAt) {
+    details.started_at = startedAt;
+    details.duration_seconds = Math.max(0, Math.round((Date.now() - new Date(startedAt)) / 1000));
+  }
+  return {
+    requirementid: after?.requirementid ?? before?.requirementid,
+    action,
+    field: "assigned_recruiters",
+    old_value: before?.assigned_recruiters || [],
+    new_value: after?.assigned_recruiters || [],
+    details,
+  };
+};
+
+export const getHistory = async (requirementid) => {
+  const { rows } = await pool.query(
+    "SELECT * FROM requisition_audit WHERE requirementid = $1 ORDER BY created_at DESC, id DESC",
+    [requirementid]
+  );
+  return rows;
+};
@@ -0,0 +1,206 @@
+import crypto from "crypto";
+import { promisify } from "util";
+import { pool } from "./db.js";
+import { HttpError } from "./errors.js";
+import { ROLES, permissionsFor } from "./permissions.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+// ===== PASSWORDS =====
+// Stored as "scrypt$<salt hex>$<key hex>"
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${key.toString("hex")}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, saltHex, keyHex] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, "hex");
+  const actual = await scrypt(password, Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Only the hash of a session token is stored, so a DB leak can't be replayed
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const publicUser = ({ id, username, display_name, role }) => ({
+  id,
+  username,
+  display_name: display_name || username,
+  role,
+  permissions: permissionsFor(role),
+});
+
+const checkRole = (role) => {
+  if (!ROLES.includes(role)) throw new HttpError(400, `Role must be one of: ${ROLES.join(", ")}.`);
+  return role;
+};
+
+// ===== USERS & SESSIONS =====
+export const createUser = async ({ username, password, display_name, role = "recruiter" }) => {
+  const name = (username || "").trim().toLowerCase();
+  if (!name || !/^[a-z0-9._-]{2,50}$/.test(name)) {
+    throw new HttpError(400, "Username must be 2-50 characters: letters, numbers, dot, dash or underscore.");
+  }
+  if (!password || password.length < 8) {
+    throw new HttpError(400, "Password must be at least 8 characters.");
+  }
+  checkRole(role);
+  try {
+    const { rows } = await pool.query(
+      "INSERT INTO users (username, display_name, password_hash, role) VALUES ($1, $2, $3, $4) RETURNING *",
+      [name, (display_name || "").trim() || null, await hashPassword(password), role]
+    );
+    return publicUser(rows[0]);
+  } catch (err) {
+    if (err.code === "23505") throw new HttpError(400, "Username already exists.");
+    throw err;
+  }
+};
+
+export const listUsers = async () => {
+  const { rows } = await pool.query("SELECT id, username, display_name, role FROM users ORDER BY username ASC");
+  return rows.map(({ id, username, display_name, role }) => ({
+    id,
+    username,
+    display_name: display_name || username,
+    role,
+  }));
+};
+
+export const setUserRole = async (id, role) => {
+  checkRole(role);
+  const { rows } = await pool.query("UPDATE users SET role = $1 WHERE id = $2 RETURNING *", [role, id]);
+  if (!rows.length) throw new HttpError(404, "User not found");
+  return publicUser(rows[0]);
+};
+
+// ===== LOGIN THROTTLING =====
+// Failed logins per username and address (this instance); after
+// MAX_FAILED_LOGINS within the window, further attempts are refused until it passes
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const failedLogins = new Map(); // key -> { count, since }
+
+const recentFailures = (key) => {
+  const entry = failedLogins.get(key);
+  if (entry && Date.now() - entry.since > FAILED_LOGIN_WINDOW_MS) {
+    failedLogins.delete(key);
+    return null;
+  }
+  return entry || null;
+};
+
+const recordFailure = (key) => {
+  const entry = recentFailures(key) || { count: 0, since: Date.now() };
+  entry.count += 1;
+  failedLogins.set(key, entry);
+};
+
+// Forget windows that ran out (called with the session cleanup)
+const forgetOldFailures = () => {
+  for (const key of failedLogins.keys()) recentFailures(key);
+};
+
+export const login = async (username, password, address = "") => {
+  if (typeof username !== "string" || typeof password !== "string" || !username.trim() || !password) {
+    throw new HttpError(400, "Enter a username and password.");
+  }
+  const name = username.trim().toLowerCase();
+  const throttleKey = `${name}|${address}`;
+  if ((recentFailures(throttleKey)?.count || 0) >= MAX_FAILED_LOGINS) {
+    throw new HttpError(429, "Too many failed logins. Please wait a few minutes and try again.");
+  }
+
+  const { rows } = await pool.query("SELECT * FROM users WHERE username = $1", [name]);
+  const user = rows[0];
+  if (!user || !(await verifyPassword(password, user.password_hash))) {
+    recordFailure(throttleKey);
+    throw new HttpError(401, "Invalid username or password.");
+  }
+  failedLogins.delete(throttleKey);
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await pool.query(
+    `INSERT INTO sessions (token_hash, user_id, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(hours => $3))`,
+    [hashToken(token), user.id, SESSION_TTL_HOURS]
+  );
+  return { token, user: publicUser(user) };
+};
+
+export const logout = async (token) => {
+  if (token) await pool.query("DELETE FROM sessions WHERE token_hash = $1", [hashToken(token)]);
+};
+
+// Drop sessions past their expiry (they already stopped working); returns how many
+export const pruneSessions = async () => {
+  forgetOldFailures();
+  const { rowCount } = await pool.query("DELETE FROM sessions WHERE expires_at < NOW()");
+  return rowCount;
+};
+
+export const userForToken = async (token) => {
+  if (!token) return null;
+  const { rows } = await pool.query(
+    `
+    SELECT u.* FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = $1 AND s.expires_at > NOW();
+    `,
+    [hashToken(token)]
+  );
+  return rows[0] ? publicUser(rows[0]) : null;
+};
+
+// ===== MIDDLEWARE =====
+export const bearerToken = (req) => {
+  const header = req.get("authorization") || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+};
+
+// Express: attaches req.user or answers 401
+export const requireAuth = async (req, res, next) => {
+  try {
+    const user = await userForToken(bearerToken(req));
+    if (!user) return res.status(401).json({ message: "Please log in." });
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error("❌ Error checking session:", err);
+    res.status(500).send("Error checking session");
+  }
+};
+
+// Socket.IO: verifies handshake.auth.token and attaches socket.data.user
+export const socketAuth = async (socket, next) => {
+  try {
+    const user = await userForToken(socket.handshake.auth?.token);
+    if (!user) return next(new Error("unauthorized"));
+    socket.data.user = user;
+    next();
+  } catch (err) {
+    console.error("❌ Error checking socket session:", err);
+    next(new Error("unauthorized"));
+  }
+};
+
+// Express: admin-only endpoints. Accepts a logged-in admin, or the shared
+// ADMIN_KEY header so the first admin account can be bootstrapped.
+export const requireAdmin = (permission) => async (req, res, next) => {
+  if (process.env.ADMIN_KEY && req.get("x-admin-key") === process.env.ADMIN_KEY) return next();
+  try {
+    const user = await userForToken(bearerToken(req));
+    if (!user || !user.permissions.includes(permission)) {
+      return res.status(403).json({ message: "Admin access required" });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error("❌ Error checking session:", err);
+    res.status(500).send("Error checking session");
+  }
+};
@@ -0,0 +1,106 @@
+import { pool } from "./db.js";
+import { stopWorking } from "./capacity.js";
+import { CONNECTED_SQL } from "./activity.js";
+import { TIMESHEET_TZ } from "./worksessions.js";
+
+// ===== AUTO-RELEASE OF STALE ASSIGNMENTS =====
+// A recruiter who ticks "Working?" and walks away keeps the requisition
+// blocked. Every pass releases assignments whose recruiter has been idle,
+// is past the end-of-day cutoff, or has had no open socket for a while.
+// A setting of 0 (or an empty cutoff) turns that rule off.
+const minutes = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value) || 0);
+
+export const AUTO_RELEASE = {
+  idleMinutes: minutes(process.env.AUTO_RELEASE_IDLE_MINUTES, 180),
+  disconnectMinutes: minutes(process.env.AUTO_RELEASE_DISCONNECT_MINUTES, 30),
+  // "HH:MM" in AUTO_RELEASE_TZ; assignments started before the latest cutoff are released
+  cutoff: /^\d{1,2}:\d{2}$/.test(process.env.AUTO_RELEASE_AT || "") ? process.env.AUTO_RELEASE_AT : null,
+  timeZone: process.env.AUTO_RELEASE_TZ || TIMESHEET_TZ,
+  intervalMs: 60 * 1000,
+};
+
+// Audit actor for releases nobody asked for
+export const SYSTEM_ACTOR = "system";
+
+// Only one instance runs a pass at a time
+const AUTO_RELEASE_LOCK_KEY = 74120003;
+
+// Every current assignment with how long its recruiter has been idle / offline
+const loadAssignments = async () => {
+  const { rows } = await pool.query(
+    `
+    WITH assignments AS (
+      SELECT r.requirementid, w.recruiter,
+             COALESCE((r.working_times->>w.recruiter)::timestamptz, NOW()) AS started_at
+      FROM requisitions r
+      CROSS JOIN LATERAL unnest(r.assigned_recruiters) AS w (recruiter)
+    ),
+    cutoff AS (
+      SELECT CASE
+        WHEN $1::time IS NULL THEN NULL
+        WHEN (NOW() AT TIME ZONE $2)::time >= $1::time
+          THEN ((NOW() AT TIME ZONE $2)::date + $1::time) AT TIME ZONE $2
+        ELSE ((NOW() AT TIME ZONE $2)::date - 1 + $1::time) AT TIME ZONE $2
+      END AS last_cutoff
+    )
+    SELECT a.requirementid, a.recruiter,
+           (a.started_at < cutoff.last_cutoff) AS past_cutoff,
+           EXTRACT(EPOCH FROM NOW() - GREATEST(a.started_at, ua.active_at)) AS idle_seconds,
+           CASE WHEN ${CONNECTED_SQL("a.recruiter")} THEN NULL
+                ELSE EXTRACT(EPOCH FROM NOW() - GREATEST(a.started_at, ua.active_at, ua.disconnected_at))
+           END AS offline_seconds
+    FROM assignments a
+    CROSS JOIN cutoff
+    LEFT JOIN user_activity ua ON ua.username = a.recruiter;
+    `,
+    [AUTO_RELEASE.cutoff, AUTO_RELEASE.timeZone]
+  );
+  return rows;
+};
+
+// Why an assignment should be released, or null to keep it
+export const releaseReason = (assignment, config = AUTO_RELEASE) => {
+  if (assignment.past_cutoff) return "end-of-day";
+  const offline = assignment.offline_seconds === null ? null : Number(assignment.offline_seconds);
+  if (config.disconnectMinutes && offline !== null && offline >= config.disconnectMinutes * 60) {
+    return "disconnected";
+  }
+  if (config.idleMinutes && Number(assignment.idle_seconds) >= config.idleMinutes * 60) return "idle";
+  return null;
+};
+
+/**
+ * Release every stale assignment. Each release goes through stopWorking, so it
+ * closes the work session, is audited with the reason, and reaches clients as a
+ * normal requisition event. onReleased({ requirementid, recruiter, reason }) runs
+ * after each one. Returns the releases made (none if another instance holds the pass).
+ */
+export const releaseStaleAssignments = async (onReleased = () => {}) => {
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query("SELECT pg_try_advisory_lock($1) AS locked", [AUTO_RELEASE_LOCK_KEY]);
+    if (!rows[0].locked) return [];
+    try {
+      const released = [];
+      for (const assignment of await loadAssignments()) {
+        const reason = releaseReason(assignment);
+        if (!reason) continue;
+        const { requirementid, recruiter } = assignment;
+        try {
+          await stopWorking(requirementid, recruiter, SYSTEM_ACTOR, reason);
+          const release = { requirementid, recruiter, reason };
+          released.push(release);
+          onReleased(release);
+          console.log(`⏰ Released ${recruiter} from ${requirementid} (${reason})`);
+        } catch (err) {
+          console.error(`❌ Error releasing ${recruiter} from ${requirementid}:`, err.message || err);
+        }
+      }
+      return released;
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [AUTO_RELEASE_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,198 @@
+import { withTransaction } from "./db.js";
+import { HttpError } from "./errors.js";
+import { validateRequisition, hasErrors } from "./schema.js";
+import { buildListQuery } from "./listQuery.js";
+import { recordAudit, diffEntries } from "./audit.js";
+import { releaseEveryone } from "./capacity.js";
+import { lifecycleError, LIFECYCLE_ACTIONS } from "./lifecycle.js";
+import { lockedByOthers } from "./locks.js";
+import { can } from "./permissions.js";
+
+// ===== BULK OPERATIONS =====
+// One action over many requisitions, all-or-nothing: every row is checked
+// against the rules of its single-row route (PUT/DELETE /api/requisitions/:id,
+// restore, archive, ...) first, and nothing is written unless all of them pass. Everything commits in one
+// transaction, so clients get a single requisitions_batch event.
+export const BULK_ACTIONS = {
+  status: "requisitions:edit",
+  slots: "requisitions:edit",
+  release: "working:others",
+  delete: "requisitions:delete", // to the trash
+  restore: "requisitions:delete",
+  purge: "requisitions:delete",
+  archive: "requisitions:edit",
+  unarchive: "requisitions:edit",
+};
+export const MAX_BULK_ROWS = 1000;
+
+const WORKING_MESSAGE = "A Recruiter is working on this req. Please ask them to stop working and try again.";
+
+const tooMany = (count) =>
+  new HttpError(400, `Select at most ${MAX_BULK_ROWS} requisitions at a time (${count} selected).`);
+
+/**
+ * Lock and return the selected rows. The selection is either
+ *   { ids: [requirementid] } — rows picked by hand, or
+ *   { query: { filter, where, scope, assignedTo, clientId }, except: [requirementid] }
+ *     — every row the table's filters match, minus the ones unticked.
+ * Selections over MAX_BULK_ROWS are refused before more than that is locked.
+ */
+const selectRows = async (db, { ids, query, except = [] }) => {
+  if (query && typeof query === "object") {
+    const { where, params } = buildListQuery(query);
+    // `where` always holds the scope condition, so more can be ANDed on
+    const skip = Array.isArray(except) ? except.filter((id) => typeof id === "string") : [];
+    const { rows } = await db.query(
+      `
+      SELECT * FROM requisitions ${where} AND requirementid <> ALL($${params.length + 1})
+      ORDER BY requirementid LIMIT ${MAX_BULK_ROWS + 1} FOR UPDATE;
+      `,
+      [...params, skip]
+    );
+    if (rows.length > MAX_BULK_ROWS) throw tooMany(`more than ${MAX_BULK_ROWS}`);
+    return { rows, missing: [] };
+  }
+
+  if (!Array.isArray(ids) || !ids.length || !ids.every((id) => typeof id === "string")) {
+    throw new HttpError(400, "Select at least one requisition.");
+  }
+  const unique = [...new Set(ids)];
+  if (unique.length > MAX_BULK_ROWS) throw tooMany(unique.length);
+  const { rows } = await db.query(
+    "SELECT * FROM requisitions WHERE requirementid = ANY($1) ORDER BY requirementid FOR UPDATE",
+    [unique]
+  );
+  const found = new Set(rows.map((r) => r.requirementid));
+  return { rows, missing: unique.filter((id) => !found.has(id)) };
+};
+
+// The edited field's new value for one row; slots are either a new number
+// ({ slots }) or a change to the current one ({ adjust })
+const plannedChange = (action, row, body) => {
+  if (action === "status") return { status: body.status };
+  return { slots: body.adjust !== undefined ? row.slots + body.adjust : body.slots };
+};
+
+// Per-row reasons the action can't go ahead, keyed by requirementid
+const checkRows = async (action, rows, body, user) => {
+  const errors = {};
+  const changes = new Map();
+  const versions = body.versions && typeof body.versions === "object" ? body.versions : {};
+
+  for (const row of rows) {
+    const id = row.requirementid;
+    // Versions are sent for the rows the user could see; a newer one means someone saved since
+    if (Number.isInteger(versions[id]) && versions[id] !== row.version) {
+      errors[id] = "This requisition was changed by someone else.";
+      continue;
+    }
+    // Trash/archive rules; trashed and archived rows can't be edited either
+    const blocked = action !== "release" && lifecycleError(action, row);
+    if (blocked) {
+      errors[id] = blocked;
+      continue;
+    }
+    if (action !== "status" && action !== "slots") continue;
+
+    const { values, errors: fieldErrors } = validateRequisition(plannedChange(action, row, body), {
+      mode: "update",
+    });
+    if (hasErrors(fieldErrors)) {
+      errors[id] = Object.values(fieldErrors)[0];
+      continue;
+    }
+    if (values[action] === row[action]) continue; // already there
+    if ((row.assigned_recruiters || []).length > 0) {
+      errors[id] = WORKING_MESSAGE;
+      continue;
+    }
+    changes.set(id, values);
+  }
+
+  // Field locks held by other users, as on a single-row save
+  if (changes.size) {
+    const locked = await lockedByOthers([...changes.keys()], [action], user.username);
+    for (const lock of locked) errors[lock.requirementid] = `${lock.user} is editing this requisition right now.`;
+  }
+  return { errors, changes };
+};
+
+const updateRows = async (db, rows, changes, actor) => {
+  const updated = [];
+  const audit = [];
+  for (const row of rows) {
+    const values = changes.get(row.requirementid);
+    if (!values) continue;
+    // keys are whitelisted column names from requisitionSchema
+    const keys = Object.keys(values);
+    const { rows: result } = await db.query(
+      `UPDATE requisitions SET ${keys.map((key, i) => `${key}=$${i + 1}`).join(", ")}
+       WHERE requirementid=$${keys.length + 1} RETURNING *`,
+      [...Object.values(values), row.requirementid]
+    );
+    updated.push(result[0]);
+    audit.push(...diffEntries("update", row, result[0]));
+  }
+  await recordAudit(db, actor, audit);
+  return updated;
+};
+
+const releaseRows = async (db, rows, actor) => {
+  const released = [];
+  for (const row of rows) {
+    if ((row.assigned_recruiters || []).length) released.push(await releaseEveryone(db, row, actor, "released"));
+  }
+  return released;
+};
+
+/**
+ * body: { action, ids | query (+ except), versions?, status? | slots? | adjust? }
+ * Returns { action, count, requisitions } (purge: { action, count, purged }).
+ * Fails with { errors: { requirementid: message } } when any row can't be changed.
+ */
+export const bulkUpdate = (body = {}, user) => {
+  const { action } = body;
+  if (!BULK_ACTIONS[action]) {
+    throw new HttpError(400, `action must be one of: ${Object.keys(BULK_ACTIONS).join(", ")}.`);
+  }
+  if (!can(user, BULK_ACTIONS[action])) throw new HttpError(403, "You don't have permission to do that.");
+  if (action === "status" && body.status === undefined) throw new HttpError(400, "Pick the new status.");
+  if (action === "slots" && body.adjust !== undefined && !Number.isInteger(body.adjust)) {
+    throw new HttpError(400, "adjust must be a whole number.");
+  }
+  if (action === "slots" && body.slots === undefined && body.adjust === undefined) {
+    throw new HttpError(400, "Give the new number of slots (slots) or a change to it (adjust).");
+  }
+
+  return withTransaction(async (db) => {
+    const { rows, missing } = await selectRows(db, body);
+    if (!rows.length && !missing.length) throw new HttpError(400, "No requisitions match the selection.");
+
+    const { errors, changes } = await checkRows(action, rows, body, user);
+    for (const id of missing) errors[id] = "Requisition not found";
+    if (hasErrors(errors)) {
+      const count = Object.keys(errors).length;
+      throw new HttpError(
+        400,
+        `${count} of ${rows.length + missing.length} requisitions can't be changed, so nothing was saved.`,
+        { errors }
+      );
+    }
+
+    const actor = user.username;
+    if (action === "purge") {
+      for (const row of rows) await LIFECYCLE_ACTIONS.purge(db, row, actor);
+      return { action, count: rows.length, purged: rows.map((r) => r.requirementid) };
+    }
+    let requisitions;
+    if (LIFECYCLE_ACTIONS[action]) {
+      requisitions = [];
+      for (const row of rows) requisitions.push(await LIFECYCLE_ACTIONS[action](db, row, actor));
+    } else if (action === "release") {
+      requisitions = await releaseRows(db, rows, actor);
+    } else {
+      requisitions = await updateRows(db, rows, changes, actor);
+    }
+    return { action, count: requisitions.length, requisitions };
+  });
+};
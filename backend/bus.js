@@ -0,0 +1,61 @@
+import crypto from "crypto";
+import { pool } from "./db.js";
+
+// ===== CROSS-INSTANCE BUS =====
+// io.emit only reaches sockets on this process. Broadcasts that don't come
+// from requisition_events (lock changes, capacity rules) also go out as a
+// NOTIFY on BUS_CHANNEL; every other instance's listener re-emits them locally.
+// Requisition events need no bus: each instance relays them from the database.
+export const BUS_CHANNEL = "app_bus";
+export const INSTANCE_ID = crypto.randomUUID();
+
+// NOTIFY payloads are capped at 8000 bytes
+const MAX_PAYLOAD_BYTES = 7900;
+
+/**
+ * reloaders: { [message name]: async () => payload } for messages whose
+ * payload can be rebuilt from the database. One that is too large for NOTIFY
+ * goes out as a { reload: true } marker instead, and each receiving instance
+ * loads the payload itself.
+ */
+export const createBus = (io, reloaders = {}) => {
+  const publish = async (name, payload) => {
+    let message = JSON.stringify({ from: INSTANCE_ID, name, payload });
+    if (Buffer.byteLength(message) > MAX_PAYLOAD_BYTES) {
+      if (!Object.hasOwn(reloaders, name)) {
+        console.warn(`⚠️ Bus message "${name}" is too large to share with other instances`);
+        return;
+      }
+      message = JSON.stringify({ from: INSTANCE_ID, name, reload: true });
+    }
+    try {
+      await pool.query("SELECT pg_notify($1, $2)", [BUS_CHANNEL, message]);
+    } catch (err) {
+      console.error("❌ Error publishing bus message:", err.message || err);
+    }
+  };
+
+  return {
+    // Every client on every instance
+    broadcast: (name, payload) => {
+      io.emit(name, payload);
+      publish(name, payload);
+    },
+    // Every client except `socket` (like socket.broadcast.emit, across instances)
+    broadcastFrom: (socket, name, payload) => {
+      socket.broadcast.emit(name, payload);
+      publish(name, payload);
+    },
+    // Listener callback for BUS_CHANNEL notifications
+    receive: async (raw) => {
+      try {
+        const { from, name, payload, reload } = JSON.parse(raw);
+        if (from === INSTANCE_ID || !name) return;
+        if (!reload) return io.emit(name, payload);
+        if (Object.hasOwn(reloaders, name)) io.emit(name, await reloaders[name]());
+      } catch (err) {
+        console.error("❌ Error handling bus message:", err.message || err);
+      }
+    },
+  };
+};
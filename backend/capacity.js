@@ -0,0 +1,210 @@
+import { pool, withTransaction } from "./db.js";
+import { HttpError } from "./errors.js";
+import { recordAudit, workingEntry } from "./audit.js";
+import { openSession, closeSessions } from "./worksessions.js";
+
+// ===== CAPACITY RULES =====
+// One row per client override plus a "*" row holding the team-wide defaults.
+// A NULL column means "inherit": client override -> "*" row -> env -> built-in.
+export const DEFAULT_RULE_KEY = "*";
+
+const builtInDefaults = () => ({
+  max_recruiters_per_req: Number(process.env.MAX_RECRUITERS_PER_REQ) || 2,
+  max_reqs_per_recruiter: Number(process.env.MAX_REQS_PER_RECRUITER) || 1,
+});
+
+const normalizeClient = (client) => (client || "").trim().toLowerCase();
+
+export const loadCapacityRules = async (db = pool) => {
+  const { rows } = await db.query("SELECT * FROM capacity_rules ORDER BY client ASC");
+  const stored = rows.find((r) => r.client === DEFAULT_RULE_KEY) || {};
+  const fallback = builtInDefaults();
+  const defaults = {
+    max_recruiters_per_req: stored.max_recruiters_per_req ?? fallback.max_recruiters_per_req,
+    max_reqs_per_recruiter: stored.max_reqs_per_recruiter ?? fallback.max_reqs_per_recruiter,
+  };
+  const overrides = rows
+    .filter((r) => r.client !== DEFAULT_RULE_KEY)
+    .map(({ client, max_recruiters_per_req, max_reqs_per_recruiter }) => ({
+      client,
+      max_recruiters_per_req,
+      max_reqs_per_recruiter,
+    }));
+  return { defaults, overrides };
+};
+
+// Effective limits for a requisition's client
+export const resolveLimits = (rules, client) => {
+  const override = rules.overrides.find((o) => o.client === normalizeClient(client)) || {};
+  return {
+    max_recruiters_per_req: override.max_recruiters_per_req ?? rules.defaults.max_recruiters_per_req,
+    max_reqs_per_recruiter: override.max_reqs_per_recruiter ?? rules.defaults.max_reqs_per_recruiter,
+  };
+};
+
+const parseLimit = (value, field) => {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new HttpError(400, `${field} must be a whole number of at least 1.`);
+  }
+  return n;
+};
+
+// { max_recruiters_per_req, max_reqs_per_recruiter } from a request body; a
+// missing limit is stored as NULL and inherits (see resolveLimits). Throws 400 on anything else.
+export const parseCapacityRule = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "Capacity rules must be { max_recruiters_per_req, max_reqs_per_recruiter }.");
+  }
+  return {
+    max_recruiters_per_req: parseLimit(body.max_recruiters_per_req, "max_recruiters_per_req"),
+    max_reqs_per_recruiter: parseLimit(body.max_reqs_per_recruiter, "max_reqs_per_recruiter"),
+  };
+};
+
+export const saveCapacityRule = async (client, body, db = pool) => {
+  const key = client === DEFAULT_RULE_KEY ? DEFAULT_RULE_KEY : normalizeClient(client);
+  if (!key) throw new HttpError(400, "Client name is required.");
+  const limits = parseCapacityRule(body);
+
+  await db.query(
+    `
+    INSERT INTO capacity_rules (client, max_recruiters_per_req, max_reqs_per_recruiter, updated_at)
+    VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (client) DO UPDATE
+      SET max_recruiters_per_req = EXCLUDED.max_recruiters_per_req,
+          max_reqs_per_recruiter = EXCLUDED.max_reqs_per_recruiter,
+          updated_at = NOW();
+    `,
+    [key, limits.max_recruiters_per_req, limits.max_reqs_per_recruiter]
+  );
+  return loadCapacityRules(db);
+};
+
+export const deleteCapacityRule = async (client, db = pool) => {
+  const key = client === DEFAULT_RULE_KEY ? DEFAULT_RULE_KEY : normalizeClient(client);
+  await db.query("DELETE FROM capacity_rules WHERE client = $1", [key]);
+  return loadCapacityRules(db);
+};
+
+// ===== START / STOP WORKING =====
+// Trashed and archived requisitions can't be worked either
+const isNonWorkable = (row) =>
+  row.status !== "Open" || row.slots === 0 || Boolean(row.deleted_at || row.archived_at);
+
+// Take `recruiter` off `row` and close their work session with `reason`
+const removeRecruiter = async (db, row, recruiter, reason) => {
+  const workingTimes = { ...(row.working_times || {}) };
+  delete workingTimes[recruiter];
+  const { rows } = await db.query(
+    `
+    UPDATE requisitions
+    SET assigned_recruiters = array_remove(assigned_recruiters, $1), working_times = $2
+    WHERE requirementid = $3
+    RETURNING *;
+    `,
+    [recruiter, workingTimes, row.requirementid]
+  );
+  await closeSessions(db, row.requirementid, recruiter, reason);
+  return rows[0];
+};
+
+// Assign `recruiter` to requisition `id`. If they are already at their
+// concurrent-req cap, the longest-held assignment is released in the same
+// transaction (the "auto-switch"). Returns every row that changed.
+export const startWorking = (id, recruiter) =>
+  withTransaction(async (db) => {
+    if (!recruiter) throw new HttpError(400, "Recruiter name is required.");
+
+    // Serialize all switches for the same recruiter, then lock every row involved
+    await db.query("SELECT pg_advisory_xact_lock(hashtext($1))", [recruiter]);
+    const { rows: locked } = await db.query(
+      `
+      SELECT * FROM requisitions
+      WHERE requirementid = $1 OR $2 = ANY(assigned_recruiters)
+      ORDER BY requirementid ASC
+      FOR UPDATE;
+      `,
+      [id, recruiter]
+    );
+
+    const target = locked.find((r) => r.requirementid === id);
+    if (!target) throw new HttpError(404, "Requisition not found");
+
+    const assigned = target.assigned_recruiters || [];
+    if (assigned.includes(recruiter)) return { requisition: target, released: [] };
+
+    if (isNonWorkable(target)) {
+      throw new HttpError(400, "This requirement is not open for work.");
+    }
+
+    const limits = resolveLimits(await loadCapacityRules(db), target.client);
+    if (assigned.length >= limits.max_recruiters_per_req) {
+      throw new HttpError(
+        409,
+        `${assigned.length} recruiter(s) are already working on this requirement (limit ${limits.max_recruiters_per_req}).`
+      );
+    }
+
+    // Free up room on the recruiter's oldest assignments until under the cap
+    const current = locked
+      .filter((r) => r.requirementid !== id)
+      .sort(
+        (a, b) =>
+          new Date(a.working_times?.[recruiter] || 0) - new Date(b.working_times?.[recruiter] || 0)
+      );
+    const released = [];
+    const audit = [];
+    while (current.length >= limits.max_reqs_per_recruiter) {
+      const before = current.shift();
+      const after = await removeRecruiter(db, before, recruiter, "auto-switch");
+      released.push(after);
+      audit.push(workingEntry("stop_working", before, after, recruiter, "auto-switch"));
+    }
+
+    const { rows } = await db.query(
+      `
+      UPDATE requisitions
+      SET assigned_recruiters = array_append(COALESCE(assigned_recruiters, '{}'), $1),
+          working_times = COALESCE(working_times, '{}'::jsonb) || jsonb_build_object($1::text, NOW())
+      WHERE requirementid = $2
+      RETURNING *;
+      `,
+      [recruiter, id]
+    );
+    await openSession(db, rows[0], recruiter);
+    audit.push(workingEntry("start_working", target, rows[0], recruiter));
+    await recordAudit(db, recruiter, audit);
+    return { requisition: rows[0], released };
+  });
+
+// Take everyone off `row` inside the caller's transaction (e.g. a feed closed it)
+export const releaseEveryone = async (db, row, actor, reason) => {
+  let current = row;
+  const audit = [];
+  for (const recruiter of row.assigned_recruiters || []) {
+    const after = await removeRecruiter(db, current, recruiter, reason);
+    audit.push(workingEntry("stop_working", current, after, recruiter, reason));
+    current = after;
+  }
+  await recordAudit(db, actor, audit);
+  return current;
+};
+
+// `actor` differs from `recruiter` when a manager releases someone else
+export const stopWorking = (id, recruiter, actor = recruiter, reason) =>
+  withTransaction(async (db) => {
+    if (!recruiter) throw new HttpError(400, "Recruiter name is required.");
+
+    const { rows } = await db.query("SELECT * FROM requisitions WHERE requirementid = $1 FOR UPDATE", [id]);
+    if (!rows.length) throw new HttpError(404, "Requisition not found");
+
+    const target = rows[0];
+    if (!(target.assigned_recruiters || []).includes(recruiter)) {
+      return { requisition: target, released: [] };
+    }
+    const updated = await removeRecruiter(db, target, recruiter, reason || "stopped");
+    await recordAudit(db, actor, [workingEntry("stop_working", target, updated, recruiter, reason)]);
+    return { requisition: updated, released: [] };
+  });
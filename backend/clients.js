@@ -0,0 +1,255 @@
+import { pool, withTransaction } from "./db.js";
+import { HttpError } from "./errors.js";
+import { validateClient, hasErrors } from "./schema.js";
+import { escapeLike } from "./listQuery.js";
+import { recordAudit, diffEntries } from "./audit.js";
+import {
+  loadCapacityRules,
+  resolveLimits,
+  parseCapacityRule,
+  saveCapacityRule,
+  deleteCapacityRule,
+} from "./capacity.js";
+
+// ===== CLIENTS =====
+// One record per client (migrations/011). Names and aliases are compared with
+// client_match_key(), so "Acme", "ACME Corp." and "acme, inc" are one client.
+// requisitions.client keeps a copy of the name for sorting, filters, exports
+// and capacity rules; this module keeps it in step with client_id.
+const SUGGESTION_LIMIT = 20;
+
+const MATCHES_NAME_OR_ALIAS = `
+  client_match_key(name) = client_match_key($1)
+  OR client_match_key($1) IN (SELECT client_match_key(a) FROM unnest(aliases) AS a)
+`;
+
+const validationError = (errors) => new HttpError(400, "Please fix the highlighted fields.", { errors });
+
+const parseId = (id) => {
+  const n = Number(id);
+  if (!Number.isInteger(n) || n < 1) throw new HttpError(404, "Client not found");
+  return n;
+};
+
+// A client whose name or alias matches `name`, preferring a name match
+export const findClient = async (db, name) => {
+  const { rows } = await db.query(
+    `
+    SELECT * FROM clients
+    WHERE ${MATCHES_NAME_OR_ALIAS}
+    ORDER BY (client_match_key(name) = client_match_key($1)) DESC, id ASC
+    LIMIT 1;
+    `,
+    [name]
+  );
+  return rows[0] || null;
+};
+
+export const findOrCreateClient = async (db, name) => {
+  const existing = await findClient(db, name);
+  if (existing) return existing;
+  // ON CONFLICT covers a concurrent insert of the same client
+  const { rows } = await db.query(
+    `
+    INSERT INTO clients (name) VALUES ($1)
+    ON CONFLICT (client_match_key(name)) DO UPDATE SET name = clients.name
+    RETURNING *;
+    `,
+    [name.trim()]
+  );
+  return rows[0];
+};
+
+/**
+ * Fill in both client columns of a validated requisition payload.
+ * client_id wins when both are given; a client name is matched against names
+ * and aliases, and becomes a new client when nothing matches.
+ */
+export const resolveRequisitionClient = async (db, values, { mode }) => {
+  if (values.client_id !== undefined) {
+    const { rows } = await db.query("SELECT * FROM clients WHERE id = $1", [values.client_id]);
+    if (!rows.length) throw validationError({ client: "Unknown client." });
+    return { ...values, client_id: rows[0].id, client: rows[0].name };
+  }
+  if (values.client !== undefined) {
+    const client = await findOrCreateClient(db, values.client);
+    return { ...values, client_id: client.id, client: client.name };
+  }
+  if (mode === "create") throw validationError({ client: "This field is required." });
+  return values;
+};
+
+// All clients, or those whose name/alias contains `q` (for the picker)
+export const listClients = async (q = "") => {
+  const search = String(q).trim();
+  const params = [];
+  let where = "";
+  if (search) {
+    params.push(`%${escapeLike(search)}%`);
+    where = "WHERE c.name ILIKE $1 OR EXISTS (SELECT 1 FROM unnest(c.aliases) AS a WHERE a ILIKE $1)";
+  }
+  const { rows } = await pool.query(
+    `
+    SELECT c.*, (SELECT COUNT(*) FROM requisitions r WHERE r.client_id = c.id)::int AS requisition_count
+    FROM clients c
+    ${where}
+    ORDER BY lower(c.name) ASC
+    ${search ? `LIMIT ${SUGGESTION_LIMIT}` : ""};
+    `,
+    params
+  );
+  return rows;
+};
+
+// One client plus its effective capacity limits and whether it overrides the defaults
+export const getClient = async (id) => {
+  const { rows } = await pool.query("SELECT * FROM clients WHERE id = $1", [parseId(id)]);
+  if (!rows.length) throw new HttpError(404, "Client not found");
+  const rules = await loadCapacityRules();
+  const client = rows[0];
+  return {
+    ...client,
+    rules: {
+      ...resolveLimits(rules, client.name),
+      override: rules.overrides.some((o) => o.client === client.name.trim().toLowerCase()),
+    },
+  };
+};
+
+const uniqueNameError = (err) =>
+  err.code === "23505" ? validationError({ name: "A client with that name already exists." }) : err;
+
+// `rules` ({ max_recruiters_per_req, max_reqs_per_recruiter }, or null to drop
+// the override) is stored as the client's capacity rule, in the client's transaction
+const checkRules = (rules) => {
+  if (rules !== undefined && rules !== null) parseCapacityRule(rules);
+};
+
+const saveRules = async (db, name, rules) => {
+  if (rules === undefined) return;
+  if (rules === null) await deleteCapacityRule(name, db);
+  else await saveCapacityRule(name, rules, db);
+};
+
+export const createClient = async (body = {}) => {
+  const { rules, ...fields } = body;
+  const { values, errors } = validateClient(fields, { mode: "create" });
+  if (hasErrors(errors)) throw validationError(errors);
+  checkRules(rules);
+
+  const client = await withTransaction(async (db) => {
+    let created;
+    try {
+      const { rows } = await db.query(
+        `
+        INSERT INTO clients (name, aliases, msp, vms, contacts)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *;
+        `,
+        [values.name, values.aliases, values.msp ?? null, values.vms ?? null, JSON.stringify(values.contacts)]
+      );
+      created = rows[0];
+    } catch (err) {
+      throw uniqueNameError(err);
+    }
+    await saveRules(db, created.name, rules);
+    return created;
+  });
+  return getClient(client.id);
+};
+
+/**
+ * Update a client. A rename is copied onto its requisitions (audited as
+ * `actor`), moves its capacity rule, and keeps the old name as an alias.
+ */
+export const updateClient = async (id, body = {}, actor) => {
+  const { rules, ...fields } = body;
+  const { values, errors } = validateClient(fields, { mode: "update" });
+  if (hasErrors(errors)) throw validationError(errors);
+  checkRules(rules);
+
+  const client = await withTransaction(async (db) => {
+    const { rows } = await db.query("SELECT * FROM clients WHERE id = $1 FOR UPDATE", [parseId(id)]);
+    if (!rows.length) throw new HttpError(404, "Client not found");
+    const before = rows[0];
+
+    const renamed = values.name !== undefined && values.name !== before.name;
+    if (renamed) {
+      const aliases = values.aliases ?? before.aliases;
+      values.aliases = aliases.includes(before.name) ? aliases : [...aliases, before.name];
+    }
+    if (values.contacts) values.contacts = JSON.stringify(values.contacts);
+
+    const keys = Object.keys(values);
+    if (!keys.length) {
+      await saveRules(db, before.name, rules);
+      return before;
+    }
+
+    // keys are whitelisted column names from clientSchema
+    let after;
+    try {
+      const result = await db.query(
+        `
+        UPDATE clients
+        SET ${keys.map((key, i) => `${key} = $${i + 1}`).join(", ")}, updated_at = NOW()
+        WHERE id = $${keys.length + 1}
+        RETURNING *;
+        `,
+        [...Object.values(values), before.id]
+      );
+      after = result.rows[0];
+    } catch (err) {
+      throw uniqueNameError(err);
+    }
+
+    if (renamed) {
+      const { rows: requisitions } = await db.query(
+        "SELECT * FROM requisitions WHERE client_id = $1 ORDER BY requirementid FOR UPDATE",
+        [after.id]
+      );
+      for (const requisition of requisitions) {
+        const updated = await db.query(
+          "UPDATE requisitions SET client = $1 WHERE requirementid = $2 RETURNING *",
+          [after.name, requisition.requirementid]
+        );
+        await recordAudit(
+          db,
+          actor,
+          diffEntries("update", requisition, updated.rows[0]).map((e) => ({
+            ...e,
+            details: { source: "client_rename", client_id: after.id },
+          }))
+        );
+      }
+      await db.query(
+        `
+        UPDATE capacity_rules SET client = lower($2)
+        WHERE client = lower($1) AND NOT EXISTS (SELECT 1 FROM capacity_rules WHERE client = lower($2));
+        `,
+        [before.name, after.name]
+      );
+    }
+    await saveRules(db, after.name, rules);
+    return after;
+  });
+  return getClient(client.id);
+};
+
+// Only clients no requisition uses can be deleted
+export const deleteClient = async (id) => {
+  const client = await withTransaction(async (db) => {
+    const { rows } = await db.query("SELECT * FROM clients WHERE id = $1 FOR UPDATE", [parseId(id)]);
+    if (!rows.length) throw new HttpError(404, "Client not found");
+    const { rows: used } = await db.query("SELECT COUNT(*)::int AS n FROM requisitions WHERE client_id = $1", [
+      rows[0].id,
+    ]);
+    if (used[0].n) {
+      throw new HttpError(409, `${used[0].n} requisition(s) still use this client (trashed ones count until purged).`);
+    }
+    await db.query("DELETE FROM clients WHERE id = $1", [rows[0].id]);
+    await deleteCapacityRule(rows[0].name, db);
+    return rows[0];
+  });
+  return client;
+};
@@ -0,0 +1,199 @@
+import { pool } from "./db.js";
+import { HttpError } from "./errors.js";
+import { ROLES, permissionsFor } from "./permissions.js";
+import { loadCapacityRules, resolveLimits } from "./capacity.js";
+
+// ===== DASHBOARD METRICS =====
+// Read-only aggregates over requisitions, the audit trail (status changes) and
+// work sessions. Each metric takes { days }: the look-back window for
+// time-to-fill and hours worked.
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const UNWORKED_LIMIT = 50;
+
+const hours = (seconds) => (seconds === null || seconds === undefined ? null : Number(seconds) / 3600);
+
+export const parseDashboardQuery = (query = {}) => {
+  if (query.days === undefined || query.days === "") return { days: DEFAULT_DAYS };
+  const days = Number(query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    throw new HttpError(400, `days must be a whole number from 1 to ${MAX_DAYS}.`);
+  }
+  return { days };
+};
+
+// When each requisition entered its current status (creation if it never changed)
+const STATUS_SINCE = `
+  LEFT JOIN LATERAL (
+    SELECT MAX(a.created_at) AS changed_at FROM requisition_audit a
+    WHERE a.requirementid = r.requirementid AND a.field = 'status'
+  ) sc ON TRUE
+`;
+const STATUS_SINCE_EXPR = "COALESCE(sc.changed_at, r.createdat::timestamptz, NOW())";
+
+// Requisitions and open slots per client and status
+const pipeline = async () => {
+  const { rows } = await pool.query(
+    `
+    SELECT COALESCE(client, '(no client)') AS client, status,
+           COUNT(*)::int AS requisitions,
+           COALESCE(SUM(slots), 0)::int AS slots
+    FROM requisitions
+    WHERE deleted_at IS NULL AND archived_at IS NULL
+    GROUP BY 1, 2
+    ORDER BY 1, 2;
+    `
+  );
+  return rows;
+};
+
+// Hours from creation to Filled, for requisitions filled in the window
+const timeToFill = async ({ days }) => {
+  const { rows } = await pool.query(
+    `
+    WITH filled AS (
+      SELECT DISTINCT ON (a.requirementid)
+             a.requirementid, COALESCE(r.client, '(no client)') AS client,
+             EXTRACT(EPOCH FROM a.created_at - r.createdat::timestamptz) AS seconds
+      FROM requisition_audit a
+      JOIN requisitions r ON r.requirementid = a.requirementid
+      WHERE a.field = 'status' AND a.new_value = '"Filled"'::jsonb
+        AND a.created_at >= NOW() - $1::int * INTERVAL '1 day'
+        AND r.createdat IS NOT NULL AND r.deleted_at IS NULL
+      ORDER BY a.requirementid, a.created_at DESC
+    )
+    SELECT client, COUNT(*)::int AS filled,
+           AVG(seconds) AS avg_seconds,
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds) AS median_seconds
+    FROM filled
+    GROUP BY ROLLUP (client)
+    ORDER BY client NULLS FIRST;
+    `,
+    [days]
+  );
+  const toStats = (r) => ({
+    filled: r?.filled || 0,
+    avg_hours: hours(r?.avg_seconds),
+    median_hours: hours(r?.median_seconds),
+  });
+  // ROLLUP's grand-total row has client = NULL
+  const total = rows.find((r) => r.client === null);
+  return {
+    days,
+    ...toStats(total),
+    by_client: rows.filter((r) => r.client !== null).map((r) => ({ client: r.client, ...toStats(r) })),
+  };
+};
+
+// How long requisitions have been sitting in their current status
+const timeInStatus = async () => {
+  const { rows } = await pool.query(
+    `
+    SELECT r.status, COUNT(*)::int AS requisitions,
+           AVG(EXTRACT(EPOCH FROM NOW() - ${STATUS_SINCE_EXPR})) AS avg_seconds,
+           MAX(EXTRACT(EPOCH FROM NOW() - ${STATUS_SINCE_EXPR})) AS max_seconds
+    FROM requisitions r
+    ${STATUS_SINCE}
+    WHERE r.deleted_at IS NULL AND r.archived_at IS NULL
+    GROUP BY r.status
+    ORDER BY r.status;
+    `
+  );
+  return rows.map((r) => ({
+    status: r.status,
+    requisitions: r.requisitions,
+    avg_hours: hours(r.avg_seconds),
+    max_hours: hours(r.max_seconds),
+  }));
+};
+
+// Open requisitions with slots left and nobody working them, longest-waiting first
+const unworked = async () => {
+  const { rows } = await pool.query(
+    `
+    SELECT r.requirementid, r.title, r.client, r.slots,
+           GREATEST(${STATUS_SINCE_EXPR}, ws.last_worked_at) AS unworked_since,
+           COUNT(*) OVER ()::int AS total
+    FROM requisitions r
+    ${STATUS_SINCE}
+    LEFT JOIN LATERAL (
+      SELECT MAX(ended_at) AS last_worked_at FROM work_sessions w WHERE w.requirementid = r.requirementid
+    ) ws ON TRUE
+    WHERE r.status = 'Open' AND r.slots > 0 AND COALESCE(cardinality(r.assigned_recruiters), 0) = 0
+      AND r.deleted_at IS NULL AND r.archived_at IS NULL
+    ORDER BY unworked_since ASC NULLS LAST, r.requirementid ASC
+    LIMIT $1;
+    `,
+    [UNWORKED_LIMIT]
+  );
+  return {
+    total: rows[0]?.total || 0,
+    requisitions: rows.map(({ total, ...r }) => r),
+  };
+};
+
+// The per-recruiter cap startWorking() enforces comes from the client of the
+// requisition being taken, so someone holding work is measured against the
+// highest cap among their clients (the one that let them hold this many);
+// someone holding nothing against the default
+const recruiterCapacity = (rules, clients) =>
+  clients.length
+    ? Math.max(...clients.map((client) => resolveLimits(rules, client).max_reqs_per_recruiter))
+    : rules.defaults.max_reqs_per_recruiter;
+
+// Current assignments against the per-recruiter cap, and hours worked in the window
+const utilization = async ({ days }) => {
+  const roles = ROLES.filter((role) => permissionsFor(role).includes("working:self"));
+  const rules = await loadCapacityRules();
+  const { rows } = await pool.query(
+    `
+    SELECT u.username, COALESCE(u.display_name, u.username) AS display_name,
+           (SELECT COUNT(*) FROM requisitions r WHERE r.assigned_recruiters @> ARRAY[u.username])::int AS active,
+           ARRAY(
+             SELECT DISTINCT r.client FROM requisitions r WHERE r.assigned_recruiters @> ARRAY[u.username]
+           ) AS clients,
+           COALESCE((
+             SELECT SUM(EXTRACT(EPOCH FROM
+                      COALESCE(w.ended_at, NOW()) - GREATEST(w.started_at, NOW() - $2::int * INTERVAL '1 day')))
+             FROM work_sessions w
+             WHERE w.recruiter = u.username
+               AND COALESCE(w.ended_at, NOW()) > NOW() - $2::int * INTERVAL '1 day'
+           ), 0) AS seconds
+    FROM users u
+    WHERE u.role = ANY($1)
+    ORDER BY u.username;
+    `,
+    [roles, days]
+  );
+  return {
+    days,
+    capacity: rules.defaults.max_reqs_per_recruiter,
+    recruiters: rows.map((r) => {
+      const capacity = recruiterCapacity(rules, r.clients || []);
+      return {
+        username: r.username,
+        display_name: r.display_name,
+        active: r.active,
+        capacity,
+        utilization: capacity ? r.active / capacity : null,
+        hours: hours(r.seconds),
+      };
+    }),
+  };
+};
+
+export const METRICS = {
+  pipeline,
+  "time-to-fill": timeToFill,
+  "time-in-status": timeInStatus,
+  unworked,
+  utilization,
+};
+
+// Every metric at once, keyed like METRICS
+export const dashboard = async (options) => {
+  const entries = await Promise.all(
+    Object.entries(METRICS).map(async ([name, metric]) => [name, await metric(options)])
+  );
+  return { generated_at: new Date().toISOString(), ...options, ...Object.fromEntries(entries) };
+};
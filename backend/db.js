@@ -0,0 +1,42 @@
+import dotenv from "dotenv";
+import pkg from "pg";
+
+dotenv.config();
+const { Pool } = pkg;
+
+// ===== DATABASE =====
+// Reduced pool size and timeouts for serverless DB environments
+export const pool = new Pool({
+  connectionString: process.env.DB_URL,
+  ssl: { rejectUnauthorized: false },
+  max: 5, // reduce concurrent connections from the pool
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 10000,
+  application_name: process.env.PG_APP_NAME || "hybrid-app-backend"
+});
+
+// Log pool errors on idle clients so they don't crash the process
+pool.on("error", (err, client) => {
+  console.error("❌ Unexpected error on idle PostgreSQL client:", err);
+});
+
+// Run `fn(client)` inside BEGIN/COMMIT on a single pooled client.
+// Any throw rolls the whole transaction back and is re-thrown to the caller.
+export const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch (e) {
+      // ignore rollback errors, surface the original one
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,17 @@
+// Error carrying an HTTP status so route handlers can map it to a response
+export class HttpError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+// Send an HttpError as { message, ...extra }, anything else as a logged 500
+export const sendError = (res, err, fallbackMessage) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ message: err.message, ...err.extra });
+  }
+  console.error(`❌ ${fallbackMessage}:`, err);
+  return res.status(500).send(fallbackMessage);
+};
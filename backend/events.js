@@ -0,0 +1,139 @@
+import { pool } from "./db.js";
+
+// ===== REAL-TIME EVENTS =====
+// requisition_events (migrations/008) is the only source of requisition events:
+// a trigger appends one row per insert/update/delete, whoever made the change
+// (routes, imports, a psql session). NOTIFY just says "new events"; the relay
+// reads everything after the last seq it sent, in order, and emits it.
+const EVENT_PAGE_SIZE = 500;
+
+// Bounded change log: only the newest EVENT_LOG_SIZE events are kept for catch-up
+export const EVENT_LOG_SIZE = Number(process.env.EVENT_LOG_SIZE) || 10000;
+// Clients further behind than this reload the page instead of replaying
+export const MAX_CATCHUP_EVENTS = 1000;
+
+const toEvent = (r) => ({
+  event_id: r.event_id,
+  seq: Number(r.seq),
+  type: r.type,
+  requirementid: r.requirementid,
+  row: r.row,
+  occurred_at: r.occurred_at,
+  txid: Number(r.txid),
+});
+
+// What clients see (txid only matters for grouping)
+const publicEvent = ({ txid, ...event }) => event;
+
+// Highest seq written so far (0 when nothing happened yet)
+export const latestSeq = async (db = pool) => {
+  const { rows } = await db.query("SELECT COALESCE(MAX(seq), 0) AS seq FROM requisition_events");
+  return Number(rows[0].seq);
+};
+
+export const eventsSince = async (seq, limit = EVENT_PAGE_SIZE, db = pool) => {
+  const { rows } = await db.query(
+    "SELECT * FROM requisition_events WHERE seq > $1 ORDER BY seq LIMIT $2",
+    [seq, limit]
+  );
+  return rows.map(toEvent);
+};
+
+// Drop events that fell out of the log window
+export const pruneEvents = async () => {
+  const { rowCount } = await pool.query(
+    "DELETE FROM requisition_events WHERE seq <= (SELECT MAX(seq) FROM requisition_events) - $1",
+    [EVENT_LOG_SIZE]
+  );
+  return rowCount;
+};
+
+/**
+ * Change feed for a client that last applied `since`.
+ * Returns { since, latest, reset, events }; reset means the log no longer
+ * covers the gap (pruned, too long, or the log was wiped) and the client
+ * should reload instead of replaying.
+ */
+export const changesSince = async (since) => {
+  const { rows } = await pool.query(
+    "SELECT COALESCE(MIN(seq), 0) AS oldest, COALESCE(MAX(seq), 0) AS latest FROM requisition_events"
+  );
+  const oldest = Number(rows[0].oldest);
+  const latest = Number(rows[0].latest);
+
+  const pruned = oldest > 0 && since < oldest - 1;
+  if (pruned || since > latest || latest - since > MAX_CATCHUP_EVENTS) {
+    return { since, latest, reset: true, events: [] };
+  }
+  const events = since === latest ? [] : await eventsSince(since, MAX_CATCHUP_EVENTS);
+  return { since, latest, reset: false, events: events.map(publicEvent) };
+};
+
+// Events from one transaction (an import, a working switch, a bulk change) go out
+// as a single requisitions_batch message, however many pages they span; a lone
+// event keeps its own type as the name.
+const toMessages = (events) => {
+  const groups = [];
+  for (const event of events) {
+    const last = groups[groups.length - 1];
+    if (last && last[0].txid === event.txid) last.push(event);
+    else groups.push([event]);
+  }
+  return groups.map((group) => {
+    const events = group.map(publicEvent);
+    if (events.length === 1) return { name: events[0].type, payload: events[0] };
+    return {
+      name: "requisitions_batch",
+      payload: { seq: events[events.length - 1].seq, first_seq: events[0].seq, events },
+    };
+  });
+};
+
+/**
+ * Forward new events to `emit(name, payload)` in seq order.
+ * Call pump() on every NOTIFY and after the listener (re)connects; overlapping
+ * calls collapse into one extra pass, and a dropped LISTEN connection loses
+ * nothing because the cursor only moves past events that were emitted.
+ */
+export const createEventRelay = (emit) => {
+  let cursor = null;
+  let running = false;
+  let again = false;
+
+  const pump = async () => {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        again = false;
+        if (cursor === null) cursor = await latestSeq();
+        let readTo = cursor;
+        let held = []; // the last transaction of a full page, which may go on in the next one
+        let full;
+        do {
+          const events = await eventsSince(readTo);
+          full = events.length === EVENT_PAGE_SIZE;
+          if (events.length) readTo = events[events.length - 1].seq;
+          const pending = held.concat(events);
+          // A transaction's events are consecutive in seq (writers serialize until
+          // commit), so only the tail of a full page can be cut off
+          let split = pending.length;
+          if (full) while (split > 0 && pending[split - 1].txid === pending[pending.length - 1].txid) split--;
+          held = pending.slice(split);
+          const ready = pending.slice(0, split);
+          toMessages(ready).forEach(({ name, payload }) => emit(name, payload));
+          if (ready.length) cursor = ready[ready.length - 1].seq;
+        } while (full);
+      } while (again);
+    } catch (err) {
+      console.error("❌ Error relaying requisition events:", err.message || err);
+    } finally {
+      running = false;
+    }
+  };
+
+  return { pump };
+};
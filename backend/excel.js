@@ -0,0 +1,225 @@
+import ExcelJS from "exceljs";
+import { withTransaction } from "./db.js";
+import { HttpError } from "./errors.js";
+import { hasErrors, STATUSES } from "./schema.js";
+import { lifecycleError } from "./lifecycle.js";
+import { validateIncoming, planUpsert, changedValues, insertRequisition, updateRequisition } from "./upsert.js";
+
+// ===== EXPORT =====
+const EXPORT_COLUMNS = [
+  { header: "Req ID", key: "requirementid", width: 18 },
+  { header: "Job Title", key: "title", width: 40 },
+  { header: "Client", key: "client", width: 20 },
+  { header: "Slots", key: "slots", width: 8 },
+  { header: "Status", key: "status", width: 12 },
+  { header: "Assigned Recruiter(s)", key: "assigned_recruiters", width: 28 },
+  { header: "Created", key: "createdat", width: 20 },
+];
+
+export const EXPORT_FORMATS = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv",
+};
+
+// Build an .xlsx or .csv buffer of `rows`, keeping their order
+export const exportRequisitions = async (rows, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Requisitions");
+  sheet.columns = EXPORT_COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach((row) =>
+    sheet.addRow({
+      ...row,
+      assigned_recruiters: (row.assigned_recruiters || []).join(", "),
+      createdat: row.createdat ? new Date(row.createdat) : null,
+    })
+  );
+  return format === "csv" ? workbook.csv.writeBuffer() : workbook.xlsx.writeBuffer();
+};
+
+const hours = (seconds) => Math.round((seconds / 3600) * 100) / 100;
+
+// Timesheet report (and, for .xlsx, the sessions behind it on a second sheet)
+export const exportTimesheet = async (report, sessions, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const summary = workbook.addWorksheet("Timesheet");
+  summary.columns = [
+    { header: report.period === "week" ? "Week of" : "Date", key: "period", width: 14 },
+    { header: report.groupBy === "client" ? "Client" : "Recruiter", key: "key", width: 24 },
+    { header: "Hours", key: "hours", width: 10 },
+    { header: "Sessions", key: "sessions", width: 10 },
+  ];
+  summary.getRow(1).font = { bold: true };
+  report.rows.forEach((row) => summary.addRow({ ...row, hours: hours(row.seconds) }));
+
+  // CSV holds one sheet only
+  if (format === "csv") return workbook.csv.writeBuffer();
+
+  const detail = workbook.addWorksheet("Sessions");
+  detail.columns = [
+    { header: "Recruiter", key: "recruiter", width: 20 },
+    { header: "Req ID", key: "requirementid", width: 18 },
+    { header: "Client", key: "client", width: 20 },
+    { header: "Started", key: "started_at", width: 20 },
+    { header: "Ended", key: "ended_at", width: 20 },
+    { header: "Hours", key: "hours", width: 10 },
+    { header: "Ended because", key: "end_reason", width: 16 },
+  ];
+  detail.getRow(1).font = { bold: true };
+  sessions.forEach((s) =>
+    detail.addRow({
+      ...s,
+      started_at: new Date(s.started_at),
+      ended_at: s.ended_at ? new Date(s.ended_at) : null,
+      hours: hours(s.seconds),
+    })
+  );
+  return workbook.xlsx.writeBuffer();
+};
+
+// ===== IMPORT =====
+// Header text (lowercased, letters/digits only) -> requisition column
+export const HEADER_ALIASES = {
+  requirementid: ["requirementid", "reqid", "requirement", "jobid", "id"],
+  title: ["title", "jobtitle", "position", "role"],
+  client: ["client", "clientname", "customer"],
+  slots: ["slots", "openings", "positions", "numberofpositions"],
+  status: ["status"],
+};
+
+export const normalizeHeader = (text) => String(text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// ExcelJS cells can hold rich text, hyperlinks or formula results
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((r) => r.text).join("");
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+    return "";
+  }
+  return String(value);
+};
+
+const readSheet = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw new HttpError(400, "Could not read the file. Please upload an .xlsx workbook.");
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw new HttpError(400, "The workbook has no sheets.");
+
+  // Map column index -> field from the header row
+  const columnFields = {};
+  sheet.getRow(1).eachCell((cell, col) => {
+    const header = normalizeHeader(cellText(cell.value));
+    const field = Object.keys(HEADER_ALIASES).find((f) => HEADER_ALIASES[f].includes(header));
+    if (field && !Object.values(columnFields).includes(field)) columnFields[col] = field;
+  });
+  if (!Object.values(columnFields).includes("requirementid")) {
+    throw new HttpError(400, "The first row must contain a Requirement ID column.");
+  }
+
+  const records = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    for (const [col, field] of Object.entries(columnFields)) {
+      let text = cellText(row.getCell(Number(col)).value).trim();
+      if (field === "status") {
+        // MSP sheets are loose about case ("on hold", "OPEN")
+        text = STATUSES.find((s) => s.toLowerCase() === text.toLowerCase()) || text;
+      }
+      if (text !== "") record[field] = text;
+    }
+    if (Object.keys(record).length) records.push({ rowNumber, record });
+  });
+  return { records, mappedColumns: Object.values(columnFields) };
+};
+
+/**
+ * Work out what importing `buffer` would do against `db` without writing:
+ * { mappedColumns, inserts, updates, unchanged, errors, newClients }.
+ * Each insert/update carries the validated values so apply can reuse them.
+ */
+const planImport = async (db, buffer) => {
+  const { records, mappedColumns } = await readSheet(buffer);
+  const ids = records.map(({ record }) => (record.requirementid || "").replace(/\s+/g, ""));
+  const { rows: existingRows } = await db.query(
+    "SELECT * FROM requisitions WHERE requirementid = ANY($1) FOR UPDATE",
+    [ids.filter(Boolean)]
+  );
+  const existing = new Map(existingRows.map((r) => [r.requirementid, r]));
+
+  const plan = { mappedColumns, inserts: [], updates: [], unchanged: 0, errors: [], newClients: [] };
+  const seen = new Map(); // requirementid -> first spreadsheet row
+
+  for (const { rowNumber, record } of records) {
+    const current = existing.get((record.requirementid || "").replace(/\s+/g, ""));
+    let { values, errors } = validateIncoming(record, current);
+    const requirementid = current ? current.requirementid : values.requirementid;
+
+    if (requirementid && seen.has(requirementid)) {
+      errors = { ...errors, requirementid: `Duplicate of row ${seen.get(requirementid)}.` };
+    } else if (requirementid) {
+      seen.set(requirementid, rowNumber);
+    }
+
+    // Trashed or archived rows have to be brought back before an import can change them
+    const blocked = current && lifecycleError("update", current);
+    if (blocked) errors = { ...errors, requirementid: blocked };
+
+    if (current && (current.assigned_recruiters || []).length) {
+      const blocked = ["status", "slots"].filter(
+        (f) => f in values && String(values[f]) !== String(current[f])
+      );
+      blocked.forEach((f) => {
+        errors = { ...errors, [f]: "A recruiter is working on this req." };
+      });
+    }
+
+    if (!current && !values.client && !errors.client) {
+      errors = { ...errors, client: "This field is required." };
+    }
+
+    if (hasErrors(errors)) {
+      plan.errors.push({ row: rowNumber, requirementid: requirementid || record.requirementid || "", errors });
+      continue;
+    }
+
+    await planUpsert(db, plan, current, values, { row: rowNumber, requirementid });
+  }
+  return plan;
+};
+
+// Flatten insert values so the preview reads like the spreadsheet rows
+const previewOf = (plan) => ({
+  ...plan,
+  inserts: plan.inserts.map(({ row, requirementid, values }) => ({ row, requirementid, ...values })),
+});
+
+export const previewImport = (buffer) =>
+  withTransaction(async (db) => previewOf(await planImport(db, buffer)));
+
+const IMPORT_DETAILS = { source: "import" };
+
+// Apply the whole file in one transaction, or nothing if any row is invalid
+export const applyImport = (buffer, actor) =>
+  withTransaction(async (db) => {
+    const plan = await planImport(db, buffer);
+    if (plan.errors.length) {
+      throw new HttpError(400, "Fix the errors in the file and try again.", { preview: previewOf(plan) });
+    }
+
+    for (const { values } of plan.inserts) {
+      await insertRequisition(db, values, actor, { details: IMPORT_DETAILS });
+    }
+    for (const { requirementid, changes } of plan.updates) {
+      await updateRequisition(db, requirementid, changedValues(changes), actor, { details: IMPORT_DETAILS });
+    }
+
+    return previewOf(plan);
+  });
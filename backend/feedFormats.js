@@ -0,0 +1,205 @@
+import { HttpError } from "./errors.js";
+
+// ===== FEED FORMATS =====
+// Turn a JSON, XML or CSV job feed into flat records: { "JobID": "...",
+// "Location.City": "...", "@status": "..." }. Nested keys are joined with dots
+// and XML attributes are prefixed with "@". The XML and CSV readers cover
+// what job feeds use (elements, attributes, CDATA, entities; quoted CSV
+// fields) rather than the whole of either spec.
+
+const badFeed = (message) => new HttpError(400, message);
+
+// auto: trust the file extension, then the first character
+export const detectFormat = (text, fileName = "") => {
+  const ext = fileName.toLowerCase().split(".").pop();
+  if (["json", "xml", "csv"].includes(ext)) return ext;
+  const first = text.trimStart()[0];
+  if (first === "{" || first === "[") return "json";
+  if (first === "<") return "xml";
+  return "csv";
+};
+
+const flatten = (value, prefix = "", out = {}) => {
+  if (value === null || value === undefined) return out;
+  if (typeof value !== "object") {
+    out[prefix] = String(value);
+    return out;
+  }
+  if (Array.isArray(value)) {
+    // Lists of scalars read as one comma-separated value
+    if (value.every((v) => typeof v !== "object")) out[prefix] = value.join(", ");
+    return out;
+  }
+  for (const [key, item] of Object.entries(value)) flatten(item, prefix ? `${prefix}.${key}` : key, out);
+  return out;
+};
+
+// ----- JSON -----
+const readPath = (value, path) =>
+  path.split(".").reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), value);
+
+const jsonRecords = (text, recordPath) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw badFeed(`The feed is not valid JSON: ${err.message}`);
+  }
+  let list = recordPath ? readPath(data, recordPath) : data;
+  // { "jobs": [...] } and similar: use the first array-valued property
+  if (!recordPath && list && !Array.isArray(list)) list = Object.values(list).find(Array.isArray);
+  if (!Array.isArray(list)) {
+    throw badFeed(recordPath ? `No list found at "${recordPath}".` : "The feed has no list of jobs.");
+  }
+  return list.filter((item) => item && typeof item === "object").map((item) => flatten(item));
+};
+
+// ----- XML -----
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] !== "#") return ENTITIES[entity] ?? match;
+    const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  });
+
+// "ns:Job" -> "Job"
+const localName = (name) => name.slice(name.indexOf(":") + 1);
+
+const parseAttributes = (text) => {
+  const attrs = {};
+  for (const [, name, double, single] of text.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    if (!name.startsWith("xmlns")) attrs[localName(name)] = decodeEntities(double ?? single);
+  }
+  return attrs;
+};
+
+const XML_TOKEN =
+  /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+// Element tree: { name, attrs, children, text }
+export const parseXml = (text) => {
+  const root = { name: "#document", attrs: {}, children: [], text: "" };
+  const stack = [root];
+  let position = 0;
+  XML_TOKEN.lastIndex = 0;
+  let match;
+  while ((match = XML_TOKEN.exec(text))) {
+    if (match.index !== position) throw badFeed(`The feed is not valid XML (near character ${position}).`);
+    position = XML_TOKEN.lastIndex;
+    const [, cdata, closing, opening, attrs, selfClosing, chars] = match;
+    const top = stack[stack.length - 1];
+    if (cdata !== undefined) top.text += cdata;
+    else if (closing) {
+      if (localName(closing) !== top.name) throw badFeed(`The feed is not valid XML (unexpected </${closing}>).`);
+      stack.pop();
+    } else if (opening) {
+      const element = { name: localName(opening), attrs: parseAttributes(attrs || ""), children: [], text: "" };
+      top.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (chars !== undefined) top.text += decodeEntities(chars);
+  }
+  if (position !== text.length || stack.length !== 1 || root.children.length !== 1) {
+    throw badFeed("The feed is not valid XML.");
+  }
+  return root.children[0];
+};
+
+const flattenElement = (element, prefix = "", out = {}) => {
+  for (const [name, value] of Object.entries(element.attrs)) out[`${prefix}@${name}`] = value;
+  if (!element.children.length) {
+    if (prefix) out[prefix.slice(0, -1)] = element.text.trim();
+    return out;
+  }
+  for (const child of element.children) {
+    const key = `${prefix}${child.name}`;
+    // Repeated simple elements (<Skill>a</Skill><Skill>b</Skill>) read as one list
+    if (!child.children.length && out[key] !== undefined) out[key] = `${out[key]}, ${child.text.trim()}`;
+    else flattenElement(child, `${key}.`, out);
+  }
+  return out;
+};
+
+const findElements = (element, name, found = []) => {
+  for (const child of element.children) {
+    if (child.name === name) found.push(child);
+    else findElements(child, name, found);
+  }
+  return found;
+};
+
+const xmlRecords = (text, recordPath) => {
+  const root = parseXml(text);
+  let elements;
+  if (recordPath) {
+    elements = findElements(root, localName(recordPath));
+  } else {
+    // <Jobs><Job/>...</Jobs>, or wrapped one level deeper (<Feed><Jobs>...)
+    let container = root;
+    while (container.children.length === 1 && container.children[0].children.length) {
+      container = container.children[0];
+    }
+    elements = container.children;
+  }
+  return elements.map((element) => flattenElement(element));
+};
+
+// ----- CSV -----
+const parseCsvRows = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best
+  );
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else quoted = false;
+    } else if (c === '"' && field === "") quoted = true;
+    else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (quoted) throw badFeed("The feed is not valid CSV (unclosed quote).");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+};
+
+const csvRecords = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return rows.map((cells) => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? "").trim()])));
+};
+
+/**
+ * Parse a feed file into flat records.
+ * format: json | xml | csv | auto; recordPath: where the list of jobs is
+ * (a dotted JSON path or an XML element name), found automatically when empty.
+ */
+export const parseFeed = (buffer, { format = "auto", recordPath, fileName } = {}) => {
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  if (!text.trim()) throw badFeed("The feed is empty.");
+  const kind = format === "auto" ? detectFormat(text, fileName) : format;
+  if (kind === "json") return { format: kind, records: jsonRecords(text, recordPath) };
+  if (kind === "xml") return { format: kind, records: xmlRecords(text, recordPath) };
+  return { format: "csv", records: csvRecords(text) };
+};
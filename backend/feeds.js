@@ -0,0 +1,398 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { pool, withTransaction } from "./db.js";
+import { HttpError } from "./errors.js";
+import { validateFeedSource, hasErrors, STATUSES, FINAL_STATUSES } from "./schema.js";
+import { releaseEveryone } from "./capacity.js";
+import { validateIncoming, planUpsert, changedValues, insertRequisition, updateRequisition } from "./upsert.js";
+import { HEADER_ALIASES, normalizeHeader } from "./excel.js";
+import { parseFeed } from "./feedFormats.js";
+
+// ===== JOB FEEDS =====
+// A feed source (migrations/016) says how to read one VMS/MSP job feed and
+// map its records onto requisitions. Each run upserts by requirementid,
+// closes requisitions this feed created that no longer appear in it, and
+// records what it did in feed_runs. Feeds arrive as uploads, as posts from
+// the VMS itself (with the source's token), or as files dropped in FEED_DIR.
+export const FEED_FIELDS = Object.keys(HEADER_ALIASES);
+
+export const FEED_DIR = process.env.FEED_DIR || null;
+export const FEED_POLL_MS = (Number(process.env.FEED_POLL_SECONDS) || 60) * 1000;
+// Files younger than this may still be being written
+const SETTLE_MS = 5 * 1000;
+const FEED_LOCK_KEY = 74120004;
+// stop_working reason when a feed takes a job out of Open
+const FEED_RELEASE_REASON = "feed";
+const RUN_HISTORY = 20;
+
+const validationError = (errors) => new HttpError(400, "Please fix the highlighted fields.", { errors });
+
+const parseId = (id) => {
+  const n = Number(id);
+  if (!Number.isInteger(n) || n < 1) throw new HttpError(404, "Feed not found");
+  return n;
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const publicSource = ({ token_hash, ...source }) => ({ ...source, has_token: Boolean(token_hash) });
+
+// ===== SOURCES =====
+export const listFeedSources = async () => {
+  const { rows } = await pool.query(
+    `
+    SELECT s.*, c.name AS client_name, row_to_json(r) AS last_run
+    FROM feed_sources s
+    LEFT JOIN clients c ON c.id = s.client_id
+    LEFT JOIN LATERAL (
+      SELECT id, origin, file_name, status, summary->'counts' AS counts, error, started_at
+      FROM feed_runs WHERE source_id = s.id ORDER BY started_at DESC, id DESC LIMIT 1
+    ) r ON TRUE
+    ORDER BY lower(s.name);
+    `
+  );
+  return rows.map(publicSource);
+};
+
+export const loadFeedSource = async (id, db = pool) => {
+  const { rows } = await db.query("SELECT * FROM feed_sources WHERE id = $1", [parseId(id)]);
+  if (!rows.length) throw new HttpError(404, "Feed not found");
+  return rows[0];
+};
+
+// One source with its recent runs
+export const getFeedSource = async (id) => {
+  const source = await loadFeedSource(id);
+  const [client, runs] = await Promise.all([
+    pool.query("SELECT name FROM clients WHERE id = $1", [source.client_id]),
+    pool.query("SELECT * FROM feed_runs WHERE source_id = $1 ORDER BY started_at DESC, id DESC LIMIT $2", [
+      source.id,
+      RUN_HISTORY,
+    ]),
+  ]);
+  return { ...publicSource(source), client_name: client.rows[0]?.name || null, runs: runs.rows };
+};
+
+// field_map keys must be requisition fields, status_map values real statuses
+const checkMaps = (values, errors) => {
+  const unknownField = Object.keys(values.field_map || {}).find((f) => !FEED_FIELDS.includes(f));
+  if (unknownField) errors.field_map = `"${unknownField}" is not a feed field (${FEED_FIELDS.join(", ")}).`;
+  const badStatus = Object.values(values.status_map || {}).find((s) => !STATUSES.includes(s));
+  if (badStatus) errors.status_map = `"${badStatus}" is not a status (${STATUSES.join(", ")}).`;
+};
+
+const uniqueNameError = (err) =>
+  err.code === "23505" ? validationError({ name: "A feed with that name already exists." }) : err;
+
+const saveSource = async (values, id) => {
+  const row = {
+    ...values,
+    ...(values.field_map && { field_map: JSON.stringify(values.field_map) }),
+    ...(values.status_map && { status_map: JSON.stringify(values.status_map) }),
+  };
+  const keys = Object.keys(row); // whitelisted by feedSourceSchema
+  try {
+    const { rows } = id
+      ? await pool.query(
+          `UPDATE feed_sources SET ${keys.map((k, i) => `${k} = $${i + 1}`).join(", ")}, updated_at = NOW()
+           WHERE id = $${keys.length + 1} RETURNING *`,
+          [...Object.values(row), id]
+        )
+      : await pool.query(
+          `INSERT INTO feed_sources (${keys.join(", ")}) VALUES (${keys.map((k, i) => `$${i + 1}`).join(", ")}) RETURNING *`,
+          Object.values(row)
+        );
+    if (!rows.length) throw new HttpError(404, "Feed not found");
+    return rows[0];
+  } catch (err) {
+    throw uniqueNameError(err);
+  }
+};
+
+export const createFeedSource = async (body = {}) => {
+  const { values, errors } = validateFeedSource(body, { mode: "create" });
+  checkMaps(values, errors);
+  if (hasErrors(errors)) throw validationError(errors);
+  return getFeedSource((await saveSource(values)).id);
+};
+
+export const updateFeedSource = async (id, body = {}) => {
+  const { values, errors } = validateFeedSource(body, { mode: "update" });
+  checkMaps(values, errors);
+  if (hasErrors(errors)) throw validationError(errors);
+  if (!Object.keys(values).length) return getFeedSource(id);
+  return getFeedSource((await saveSource(values, parseId(id))).id);
+};
+
+// Requisitions it created stay, just no longer tied to a feed
+export const deleteFeedSource = async (id) => {
+  const { rows } = await pool.query("DELETE FROM feed_sources WHERE id = $1 RETURNING *", [parseId(id)]);
+  if (!rows.length) throw new HttpError(404, "Feed not found");
+  return publicSource(rows[0]);
+};
+
+// New token for the VMS to post with; only its hash is kept, so it's shown once
+export const rotateFeedToken = async (id) => {
+  const token = crypto.randomBytes(24).toString("hex");
+  const { rowCount } = await pool.query("UPDATE feed_sources SET token_hash = $1, updated_at = NOW() WHERE id = $2", [
+    hashToken(token),
+    parseId(id),
+  ]);
+  if (!rowCount) throw new HttpError(404, "Feed not found");
+  return { token };
+};
+
+// The enabled source `token` belongs to, or null
+export const sourceForToken = async (id, token) => {
+  const n = Number(id);
+  if (!token || !Number.isInteger(n)) return null;
+  const { rows } = await pool.query("SELECT * FROM feed_sources WHERE id = $1 AND token_hash = $2 AND enabled", [
+    n,
+    hashToken(token),
+  ]);
+  return rows[0] || null;
+};
+
+// ===== MAPPING =====
+const stripSpaces = (value) => String(value ?? "").replace(/\s+/g, "");
+
+const mapStatus = (value, statusMap) => {
+  const text = String(value).trim().toLowerCase();
+  const mapped = Object.entries(statusMap).find(([from]) => from.toLowerCase() === text);
+  if (mapped) return mapped[1];
+  return STATUSES.find((s) => s.toLowerCase() === text) || value;
+};
+
+// One feed record -> requisition payload, using the source's field_map and
+// the import's header aliases for fields it doesn't map
+const toRequisitionInput = (record, source) => {
+  const byKey = new Map();
+  for (const [key, value] of Object.entries(record)) {
+    const normalized = normalizeHeader(key);
+    if (value !== "" && !byKey.has(normalized)) byKey.set(normalized, value);
+  }
+  const input = {};
+  for (const field of FEED_FIELDS) {
+    const keys = source.field_map[field] ? [source.field_map[field]] : HEADER_ALIASES[field];
+    const value = keys.map((k) => byKey.get(normalizeHeader(k))).find((v) => v !== undefined);
+    if (value !== undefined) input[field] = field === "status" ? mapStatus(value, source.status_map) : value;
+  }
+  if (input.client === undefined && source.client_id) input.client_id = source.client_id;
+  return input;
+};
+
+/**
+ * What running `records` through `source` would do, without writing:
+ * { inserts, updates, unchanged, closes, errors, newClients, warnings }.
+ * Existing rows are locked so apply sees the same state.
+ */
+const planFeed = async (db, source, records) => {
+  const inputs = records.map((record, i) => ({ record: i + 1, input: toRequisitionInput(record, source) }));
+  const ids = inputs.map(({ input }) => stripSpaces(input.requirementid)).filter(Boolean);
+  const { rows: existingRows } = await db.query(
+    `
+    SELECT * FROM requisitions
+    WHERE requirementid = ANY($1) OR (feed_source_id = $2 AND status <> ALL($3))
+    ORDER BY requirementid
+    FOR UPDATE;
+    `,
+    [ids, source.id, FINAL_STATUSES]
+  );
+  const existing = new Map(existingRows.map((r) => [r.requirementid, r]));
+
+  const plan = { inserts: [], updates: [], unchanged: 0, closes: [], errors: [], newClients: [], warnings: [] };
+  const seen = new Map(); // requirementid -> first record number
+  const failed = new Set();
+
+  for (const { record, input } of inputs) {
+    const id = stripSpaces(input.requirementid);
+    const current = existing.get(id);
+    let { values, errors } = validateIncoming(input, current);
+
+    if (id && seen.has(id)) errors = { ...errors, requirementid: `Duplicate of record ${seen.get(id)}.` };
+    else if (id) seen.set(id, record);
+    if (!current && values.client === undefined && values.client_id === undefined && !errors.client) {
+      errors = { ...errors, client: "No client in the record and none set on the feed." };
+    }
+    if (hasErrors(errors)) {
+      if (id) failed.add(id);
+      plan.errors.push({ record, requirementid: id, errors });
+      continue;
+    }
+    // Someone put this job away on purpose; the feed doesn't bring it back
+    if (current?.deleted_at || current?.archived_at) {
+      plan.warnings.push(`${id} is ${current.deleted_at ? "in the trash" : "archived"}, so the feed left it alone.`);
+      continue;
+    }
+
+    await planUpsert(db, plan, current, values, { record, requirementid: id });
+  }
+
+  if (source.close_missing) {
+    if (!seen.size) {
+      plan.warnings.push("The feed has no usable jobs, so nothing was closed.");
+    } else {
+      for (const row of existingRows) {
+        if (row.feed_source_id !== source.id || seen.has(row.requirementid) || failed.has(row.requirementid)) continue;
+        if (row.deleted_at) continue;
+        if (FINAL_STATUSES.includes(row.status) || row.status === source.close_status) continue;
+        plan.closes.push({ requirementid: row.requirementid, from: row.status, to: source.close_status });
+      }
+    }
+  }
+  plan.seen = [...seen.keys()];
+  return plan;
+};
+
+// A feed taking a job out of Open also takes its recruiters off it
+const releaseIfClosed = async (db, row, actor) =>
+  row.status !== "Open" && (row.assigned_recruiters || []).length
+    ? releaseEveryone(db, row, actor, FEED_RELEASE_REASON)
+    : row;
+
+const applyPlan = async (db, source, plan, actor) => {
+  const written = { extra: { feed_source_id: source.id }, details: { source: "feed", feed: source.name } };
+
+  for (const { values } of plan.inserts) await insertRequisition(db, values, actor, written);
+
+  const changeRow = async (requirementid, changes) =>
+    releaseIfClosed(db, await updateRequisition(db, requirementid, changes, actor, written), actor);
+
+  for (const { requirementid, changes } of plan.updates) await changeRow(requirementid, changedValues(changes));
+  for (const { requirementid, to } of plan.closes) await changeRow(requirementid, { status: to });
+
+  // Jobs already here (typed in by hand, or from another feed) now belong to this
+  // one; trashed and archived ones were left alone above and stay untouched
+  await db.query(
+    `
+    UPDATE requisitions SET feed_source_id = $1
+    WHERE requirementid = ANY($2) AND feed_source_id IS DISTINCT FROM $1
+      AND deleted_at IS NULL AND archived_at IS NULL;
+    `,
+    [source.id, plan.seen]
+  );
+};
+
+// What a run reports back (and keeps in feed_runs.summary)
+const summarize = (plan, format, records) => ({
+  format,
+  counts: {
+    records,
+    inserted: plan.inserts.length,
+    updated: plan.updates.length,
+    closed: plan.closes.length,
+    unchanged: plan.unchanged,
+    errors: plan.errors.length,
+  },
+  inserts: plan.inserts.map(({ record, requirementid, values }) => ({ record, ...values, requirementid })),
+  updates: plan.updates,
+  closes: plan.closes,
+  errors: plan.errors,
+  newClients: plan.newClients,
+  warnings: plan.warnings,
+});
+
+const saveRun = async (source, { origin, fileName, actor, status, summary, error, startedAt }) => {
+  const { rows } = await pool.query(
+    `
+    INSERT INTO feed_runs (source_id, origin, file_name, actor, status, summary, error, started_at, finished_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+    RETURNING id;
+    `,
+    [source.id, origin, fileName || null, actor || null, status, summary ? JSON.stringify(summary) : null, error || null, startedAt]
+  );
+  return rows[0].id;
+};
+
+/**
+ * Run one feed file through `source`. Valid jobs are applied together in one
+ * transaction; invalid ones are reported and skipped. dryRun only reports.
+ * origin: upload | endpoint | directory. actor defaults to "feed:<name>".
+ * Returns { run_id, status, format, counts, inserts, updates, closes, errors, newClients, warnings }.
+ */
+export const runFeed = async (source, buffer, { origin, fileName, actor, dryRun = false, format } = {}) => {
+  const startedAt = new Date();
+  const status = dryRun ? "preview" : "applied";
+  try {
+    const parsed = parseFeed(buffer, {
+      format: format || source.format,
+      recordPath: source.record_path,
+      fileName,
+    });
+    const summary = await withTransaction(async (db) => {
+      const plan = await planFeed(db, source, parsed.records);
+      if (!dryRun) await applyPlan(db, source, plan, actor || `feed:${source.name}`);
+      return summarize(plan, parsed.format, parsed.records.length);
+    });
+    const runId = await saveRun(source, { origin, fileName, actor, status, summary, startedAt });
+    return { run_id: runId, status, ...summary };
+  } catch (err) {
+    await saveRun(source, { origin, fileName, actor, status: "failed", error: err.message || String(err), startedAt }).catch(
+      (saveErr) => console.error("❌ Error recording feed run:", saveErr.message || saveErr)
+    );
+    throw err;
+  }
+};
+
+// ===== WATCHED DIRECTORY =====
+const escapeRegExp = (text) => text.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+
+// "acme-*.xml" -> /^acme-.*\.xml$/i
+const globToRegExp = (pattern) =>
+  new RegExp(`^${pattern.split("*").map((part) => part.split("?").map(escapeRegExp).join(".")).join(".*")}$`, "i");
+
+const unmatchedWarned = new Set();
+
+/**
+ * Run every settled file in FEED_DIR through the first enabled source whose
+ * file_pattern matches it, then move it to FEED_DIR/processed (or /failed).
+ * One instance at a time. Returns [{ file, source, ok }].
+ */
+export const scanFeedDirectory = async () => {
+  if (!FEED_DIR) return [];
+  const client = await pool.connect();
+  try {
+    const { rows: lock } = await client.query("SELECT pg_try_advisory_lock($1) AS locked", [FEED_LOCK_KEY]);
+    if (!lock[0].locked) return [];
+    try {
+      const { rows: sources } = await pool.query(
+        "SELECT * FROM feed_sources WHERE enabled AND file_pattern IS NOT NULL ORDER BY id"
+      );
+      const results = [];
+      for (const entry of await fs.readdir(FEED_DIR, { withFileTypes: true })) {
+        if (!entry.isFile() || entry.name.startsWith(".")) continue;
+        const source = sources.find((s) => globToRegExp(s.file_pattern).test(entry.name));
+        if (!source) {
+          if (!unmatchedWarned.has(entry.name)) console.warn(`⚠️ No feed matches ${entry.name} in ${FEED_DIR}`);
+          unmatchedWarned.add(entry.name);
+          continue;
+        }
+        const file = path.join(FEED_DIR, entry.name);
+        const { mtimeMs } = await fs.stat(file);
+        if (Date.now() - mtimeMs < SETTLE_MS) continue;
+
+        let ok = true;
+        try {
+          const result = await runFeed(source, await fs.readFile(file), { origin: "directory", fileName: entry.name });
+          const c = result.counts;
+          console.log(
+            `📥 Feed "${source.name}" ${entry.name}: +${c.inserted} ~${c.updated} closed ${c.closed}, ${c.errors} error(s)`
+          );
+        } catch (err) {
+          ok = false;
+          console.error(`❌ Feed "${source.name}" ${entry.name} failed:`, err.message || err);
+        }
+        const target = path.join(FEED_DIR, ok ? "processed" : "failed");
+        await fs.mkdir(target, { recursive: true });
+        await fs.rename(file, path.join(target, `${new Date().toISOString().replace(/[:.]/g, "-")}-${entry.name}`));
+        results.push({ file: entry.name, source: source.name, ok });
+      }
+      return results;
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [FEED_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,172 @@
+import { pool, withTransaction } from "./db.js";
+import { HttpError } from "./errors.js";
+import { FINAL_STATUSES } from "./schema.js";
+import { recordAudit } from "./audit.js";
+import { releaseEveryone } from "./capacity.js";
+import { SYSTEM_ACTOR } from "./autorelease.js";
+
+// ===== ARCHIVE & TRASH =====
+// Deleting a requisition moves it to the trash (deleted_at/deleted_by,
+// migrations/019) instead of dropping it, so it can be restored with its
+// submissions and history. Purging removes it for good; the trash empties
+// itself after TRASH_RETENTION_DAYS. Archiving puts a finished requisition
+// out of the way: it stays readable but leaves the default list, by hand or
+// ARCHIVE_AFTER_DAYS after it last changed. A setting of 0 turns that off.
+const days = (value, fallback) => (value === undefined || value === "" ? fallback : Number(value) || 0);
+
+export const LIFECYCLE = {
+  trashRetentionDays: days(process.env.TRASH_RETENTION_DAYS, 30),
+  archiveAfterDays: days(process.env.ARCHIVE_AFTER_DAYS, 90),
+  intervalMs: 60 * 60 * 1000,
+};
+
+// Only one instance runs a housekeeping pass at a time
+const LIFECYCLE_LOCK_KEY = 74120005;
+
+// Where a row is: "active", "archived" or "trash"
+export const rowScope = (row) => (row.deleted_at ? "trash" : row.archived_at ? "archived" : "active");
+
+/**
+ * Why `action` can't be applied to `row`, or null when it can. Shared by the
+ * single-row routes and bulk.js so both refuse the same things.
+ */
+export const lifecycleError = (action, row) => {
+  const scope = rowScope(row);
+  switch (action) {
+    case "delete":
+      return scope === "trash" ? "This requisition is already in the trash." : null;
+    case "restore":
+    case "purge":
+      return scope === "trash" ? null : "This requisition isn't in the trash.";
+    case "archive":
+      if (scope !== "active") return scope === "trash" ? "Restore it from the trash first." : "Already archived.";
+      if (!FINAL_STATUSES.includes(row.status)) return "Only Closed, Filled or Cancelled requisitions can be archived.";
+      return (row.assigned_recruiters || []).length ? "Someone is still working on this requisition." : null;
+    case "unarchive":
+      return scope === "archived" ? null : "This requisition isn't archived.";
+    default:
+      // Edits, working on it, candidates
+      if (scope === "trash") return "This requisition is in the trash. Restore it first.";
+      return scope === "archived" ? "Archived requisitions are read-only. Unarchive it first." : null;
+  }
+};
+
+const auditEntry = (row, action, oldValue, newValue) => ({
+  requirementid: row.requirementid,
+  action,
+  old_value: oldValue,
+  new_value: newValue,
+});
+
+// ----- One row (already locked FOR UPDATE by the caller) -----
+// Recruiters on a deleted requisition are released from it, as by a manager
+export const trashRow = async (db, row, actor) => {
+  await releaseEveryone(db, row, actor, "deleted");
+  const { rows } = await db.query(
+    "UPDATE requisitions SET deleted_at = NOW(), deleted_by = $1 WHERE requirementid = $2 RETURNING *",
+    [actor, row.requirementid]
+  );
+  // The row as it was, including who was working it; the releases have their own entries
+  await recordAudit(db, actor, [auditEntry(row, "delete", row, null)]);
+  return rows[0];
+};
+
+// Back to where it was before the delete (the archive, if it was archived)
+export const restoreRow = async (db, row, actor) => {
+  const { rows } = await db.query(
+    "UPDATE requisitions SET deleted_at = NULL, deleted_by = NULL WHERE requirementid = $1 RETURNING *",
+    [row.requirementid]
+  );
+  await recordAudit(db, actor, [auditEntry(row, "restore", null, null)]);
+  return rows[0];
+};
+
+// Gone for good; the history stays (requisition_audit has no foreign key)
+export const purgeRow = async (db, row, actor) => {
+  await db.query("DELETE FROM requisitions WHERE requirementid = $1", [row.requirementid]);
+  await recordAudit(db, actor, [auditEntry(row, "purge", row, null)]);
+  return row;
+};
+
+export const archiveRow = async (db, row, actor) => {
+  const { rows } = await db.query(
+    "UPDATE requisitions SET archived_at = NOW(), archived_by = $1 WHERE requirementid = $2 RETURNING *",
+    [actor, row.requirementid]
+  );
+  await recordAudit(db, actor, [auditEntry(row, "archive", null, null)]);
+  return rows[0];
+};
+
+export const unarchiveRow = async (db, row, actor) => {
+  const { rows } = await db.query(
+    "UPDATE requisitions SET archived_at = NULL, archived_by = NULL WHERE requirementid = $1 RETURNING *",
+    [row.requirementid]
+  );
+  await recordAudit(db, actor, [auditEntry(row, "unarchive", null, null)]);
+  return rows[0];
+};
+
+export const LIFECYCLE_ACTIONS = {
+  delete: trashRow,
+  restore: restoreRow,
+  purge: purgeRow,
+  archive: archiveRow,
+  unarchive: unarchiveRow,
+};
+
+// Lock one row, check the action is allowed and apply it. Returns the row after.
+export const changeLifecycle = (id, action, actor) =>
+  withTransaction(async (db) => {
+    const { rows } = await db.query("SELECT * FROM requisitions WHERE requirementid = $1 FOR UPDATE", [id]);
+    if (!rows.length) throw new HttpError(404, "Requisition not found");
+    const error = lifecycleError(action, rows[0]);
+    if (error) throw new HttpError(400, error);
+    return LIFECYCLE_ACTIONS[action](db, rows[0], actor);
+  });
+
+// ----- Housekeeping -----
+const sweep = (action, sql, params) =>
+  withTransaction(async (db) => {
+    const { rows } = await db.query(`${sql} ORDER BY requirementid FOR UPDATE SKIP LOCKED`, params);
+    for (const row of rows) await LIFECYCLE_ACTIONS[action](db, row, SYSTEM_ACTOR);
+    return rows.map((r) => r.requirementid);
+  });
+
+/**
+ * Archive requisitions that finished more than archiveAfterDays ago and
+ * purge trash older than trashRetentionDays. Everything goes through the
+ * same row functions as the routes, so it is audited and reaches clients as
+ * normal requisition events. Returns { archived, purged } (empty when
+ * another instance holds the pass).
+ */
+export const runHousekeeping = async (config = LIFECYCLE) => {
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query("SELECT pg_try_advisory_lock($1) AS locked", [LIFECYCLE_LOCK_KEY]);
+    if (!rows[0].locked) return { archived: [], purged: [] };
+    try {
+      const archived = config.archiveAfterDays
+        ? await sweep(
+            "archive",
+            `SELECT * FROM requisitions
+             WHERE deleted_at IS NULL AND archived_at IS NULL AND status = ANY($1)
+               AND COALESCE(cardinality(assigned_recruiters), 0) = 0
+               AND updated_at < NOW() - $2::int * INTERVAL '1 day'`,
+            [FINAL_STATUSES, config.archiveAfterDays]
+          )
+        : [];
+      const purged = config.trashRetentionDays
+        ? await sweep(
+            "purge",
+            "SELECT * FROM requisitions WHERE deleted_at < NOW() - $1::int * INTERVAL '1 day'",
+            [config.trashRetentionDays]
+          )
+        : [];
+      return { archived, purged };
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [LIFECYCLE_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,276 @@
+import { HttpError } from "./errors.js";
+import { STATUSES } from "./schema.js";
+
+// ===== LIST QUERY (server-side paging / sorting / filtering) =====
+export const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 200;
+
+// Sortable columns -> SQL expression (never interpolate user input directly)
+const SORT_EXPRESSIONS = {
+  requirementid: "requirementid",
+  title: "lower(title)",
+  client: "lower(client)",
+  slots: "slots",
+  status: "status",
+  createdat: "createdat",
+  updated_at: "updated_at",
+  assigned_recruiters: "lower(array_to_string(assigned_recruiters, ', '))",
+  deleted_at: "deleted_at",
+  archived_at: "archived_at",
+};
+
+// ?scope= picks which rows a list covers (lifecycle.js): archived and
+// trashed requisitions stay out unless asked for
+export const LIST_SCOPES = {
+  active: "deleted_at IS NULL AND archived_at IS NULL",
+  archived: "deleted_at IS NULL AND archived_at IS NOT NULL",
+  all: "deleted_at IS NULL", // active and archived
+  trash: "deleted_at IS NOT NULL",
+};
+
+// Filterable columns -> how a substring filter is applied
+const TEXT_FILTERS = {
+  requirementid: "requirementid",
+  title: "title",
+  client: "client",
+  status: "status",
+  slots: "slots::text",
+};
+
+export const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+// ===== TYPED FILTERS =====
+// ?where= takes a filter tree (JSON): a group { op: "and" | "or", conditions }
+// whose conditions are groups again or { field, op, value, not }. `not`
+// negates any condition, so "not empty" is { op: "empty", not: true }.
+export const FILTER_FIELDS = {
+  requirementid: { type: "text", sql: "requirementid" },
+  title: { type: "text", sql: "title" },
+  client: { type: "text", sql: "client" },
+  status: { type: "enum", sql: "status", values: STATUSES },
+  slots: { type: "number", sql: "slots" },
+  assigned_recruiters: { type: "list", sql: "assigned_recruiters" },
+  createdat: { type: "date", sql: "createdat" },
+  updated_at: { type: "date", sql: "updated_at" },
+};
+
+// Operators each field type accepts, and the value they take
+export const FILTER_OPS = {
+  text: ["contains", "equals", "starts_with", "empty"], // value: text
+  number: ["eq", "gt", "gte", "lt", "lte", "between", "empty"], // value: number; between: [min, max]
+  enum: ["in", "empty"], // value: [allowed values]
+  date: ["between", "last_days", "empty"], // between: { from, to } (YYYY-MM-DD, inclusive); last_days: n
+  list: ["contains", "includes", "count_gte", "empty"], // contains: text; includes: [usernames]; count_gte: n
+};
+
+const MAX_DEPTH = 3;
+const MAX_CONDITIONS = 50;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const COMPARISONS = { eq: "=", gt: ">", gte: ">=", lt: "<", lte: "<=" };
+
+const badFilter = (message) => new HttpError(400, `Invalid filter: ${message}`);
+
+const filterText = (value, label) => {
+  if (typeof value !== "string" && typeof value !== "number") throw badFilter(`${label} needs a text value.`);
+  const text = String(value).trim();
+  if (!text) throw badFilter(`${label} needs a text value.`);
+  return text;
+};
+
+const filterNumber = (value, label) => {
+  const n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  if (typeof n !== "number" || !Number.isFinite(n)) throw badFilter(`${label} needs a number.`);
+  return n;
+};
+
+const filterList = (value, label, allowed) => {
+  if (!Array.isArray(value) || !value.length || value.some((v) => typeof v !== "string")) {
+    throw badFilter(`${label} needs a list of values.`);
+  }
+  const unknown = allowed && value.find((v) => !allowed.includes(v));
+  if (unknown) throw badFilter(`${label}: "${unknown}" is not one of ${allowed.join(", ")}.`);
+  return value;
+};
+
+// SQL for one condition, without its `not`
+const conditionSql = ({ field, op, value }, addParam) => {
+  const spec = FILTER_FIELDS[field];
+  const col = spec.sql;
+  const label = `${field} ${op}`;
+
+  if (op === "empty") {
+    if (spec.type === "list") return `cardinality(COALESCE(${col}, '{}')) = 0`;
+    if (spec.type === "text" || spec.type === "enum") return `(${col} IS NULL OR ${col} = '')`;
+    return `${col} IS NULL`;
+  }
+
+  switch (spec.type) {
+    case "text": {
+      const text = filterText(value, label);
+      if (op === "equals") return `lower(${col}) = lower(${addParam(text)})`;
+      const pattern = op === "starts_with" ? `${escapeLike(text)}%` : `%${escapeLike(text)}%`;
+      return `${col} ILIKE ${addParam(pattern)}`;
+    }
+    case "number": {
+      if (op !== "between") return `${col} ${COMPARISONS[op]} ${addParam(filterNumber(value, label))}`;
+      const [min, max] = Array.isArray(value) ? value : [];
+      const bounds = [];
+      if (min !== null && min !== undefined && min !== "") bounds.push(`${col} >= ${addParam(filterNumber(min, label))}`);
+      if (max !== null && max !== undefined && max !== "") bounds.push(`${col} <= ${addParam(filterNumber(max, label))}`);
+      if (!bounds.length) throw badFilter(`${label} needs a minimum, a maximum or both.`);
+      return `(${bounds.join(" AND ")})`;
+    }
+    case "enum":
+      return `${col} = ANY(${addParam(filterList(value, label, spec.values))}::text[])`;
+    case "date": {
+      if (op === "last_days") {
+        const days = filterNumber(value, label);
+        if (!Number.isInteger(days) || days < 1) throw badFilter(`${label} needs a whole number of days.`);
+        return `${col} >= NOW() - ${addParam(days)}::int * INTERVAL '1 day'`;
+      }
+      const { from, to } = value && typeof value === "object" ? value : {};
+      const bounds = [];
+      for (const [date, sql] of [
+        [from, (p) => `${col} >= ${p}::date`],
+        [to, (p) => `${col} < ${p}::date + 1`],
+      ]) {
+        if (date === null || date === undefined || date === "") continue;
+        if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) throw badFilter(`${label} dates must be YYYY-MM-DD.`);
+        bounds.push(sql(addParam(date)));
+      }
+      if (!bounds.length) throw badFilter(`${label} needs a start date, an end date or both.`);
+      return `(${bounds.join(" AND ")})`;
+    }
+    case "list": {
+      if (op === "contains") {
+        const pattern = `%${escapeLike(filterText(value, label))}%`;
+        return `EXISTS (SELECT 1 FROM unnest(${col}) AS r WHERE r ILIKE ${addParam(pattern)})`;
+      }
+      if (op === "includes") return `${col} && ${addParam(filterList(value, label))}::text[]`;
+      const count = filterNumber(value, label);
+      return `cardinality(COALESCE(${col}, '{}')) >= ${addParam(count)}`;
+    }
+    default:
+      throw badFilter(`${label} is not supported.`);
+  }
+};
+
+/**
+ * Compile a filter tree into one SQL condition (null when it has no
+ * conditions). Throws 400 on unknown fields or operators and bad values.
+ */
+export const compileFilterTree = (tree, addParam) => {
+  let count = 0;
+  const compile = (node, depth) => {
+    if (!node || typeof node !== "object" || Array.isArray(node)) throw badFilter("conditions must be objects.");
+    let sql;
+    if (Array.isArray(node.conditions)) {
+      if (depth > MAX_DEPTH) throw badFilter(`groups can be nested at most ${MAX_DEPTH} deep.`);
+      const op = node.op === undefined ? "and" : node.op;
+      if (op !== "and" && op !== "or") throw badFilter('group op must be "and" or "or".');
+      const parts = node.conditions.map((child) => compile(child, depth + 1)).filter(Boolean);
+      if (!parts.length) return null;
+      sql = `(${parts.join(op === "or" ? " OR " : " AND ")})`;
+    } else {
+      if (++count > MAX_CONDITIONS) throw badFilter(`at most ${MAX_CONDITIONS} conditions.`);
+      const spec = Object.hasOwn(FILTER_FIELDS, node.field) && FILTER_FIELDS[node.field];
+      if (!spec) throw badFilter(`cannot filter on "${node.field}".`);
+      if (!FILTER_OPS[spec.type].includes(node.op)) {
+        throw badFilter(`"${node.op}" does not apply to ${node.field} (use ${FILTER_OPS[spec.type].join(", ")}).`);
+      }
+      sql = conditionSql(node, addParam);
+    }
+    // NULL counts as "doesn't match" before and after negation
+    return node.not ? `NOT COALESCE(${sql}, FALSE)` : sql;
+  };
+  return compile(tree, 1);
+};
+
+// ?where= arrives as JSON text; export bodies may send the object itself
+const parseFilterTree = (raw) => {
+  if (raw === undefined || raw === null || raw === "") return null;
+  if (typeof raw !== "string") return raw;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw badFilter("where must be JSON.");
+  }
+};
+
+const toInt = (value, fallback) => {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+/**
+ * Turn Express query params into SQL fragments:
+ *   page, pageSize, sort, dir=asc|desc,
+ *   filter[<column>]=substring (case-insensitive, any assigned recruiter for assigned_recruiters),
+ *   where=<filter tree JSON> (typed conditions, AND/OR groups; see FILTER_OPS),
+ *   assignedTo=<username> (exact array match, uses the GIN index),
+ *   clientId=<id> (requisitions of one client record)
+ * Returns { where, params, orderBy, limit, offset, page, pageSize }.
+ */
+export const buildListQuery = (query = {}) => {
+  const params = [];
+  const conditions = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const scope = query.scope || "active";
+  if (!Object.hasOwn(LIST_SCOPES, scope)) throw new HttpError(400, `scope must be one of: ${Object.keys(LIST_SCOPES).join(", ")}.`);
+  conditions.push(LIST_SCOPES[scope]);
+
+  const filters = query.filter && typeof query.filter === "object" ? query.filter : {};
+  for (const [field, raw] of Object.entries(filters)) {
+    const value = typeof raw === "string" ? raw.trim() : "";
+    if (!value) continue;
+    const pattern = `%${escapeLike(value)}%`;
+    if (field === "assigned_recruiters") {
+      conditions.push(
+        `EXISTS (SELECT 1 FROM unnest(assigned_recruiters) AS r WHERE r ILIKE ${addParam(pattern)})`
+      );
+    } else if (Object.hasOwn(TEXT_FILTERS, field)) {
+      conditions.push(`${TEXT_FILTERS[field]} ILIKE ${addParam(pattern)}`);
+    } else {
+      throw new HttpError(400, `Cannot filter on "${field}".`);
+    }
+  }
+
+  const tree = parseFilterTree(query.where);
+  if (tree) {
+    const condition = compileFilterTree(tree, addParam);
+    if (condition) conditions.push(condition);
+  }
+
+  if (typeof query.assignedTo === "string" && query.assignedTo) {
+    conditions.push(`assigned_recruiters @> ARRAY[${addParam(query.assignedTo)}]::text[]`);
+  }
+
+  const clientId = Number(query.clientId);
+  if (query.clientId !== undefined && query.clientId !== "") {
+    if (!Number.isInteger(clientId) || clientId < 1) throw new HttpError(400, "clientId must be a client id.");
+    conditions.push(`client_id = ${addParam(clientId)}`);
+  }
+
+  const sortField = query.sort || "requirementid";
+  if (!Object.hasOwn(SORT_EXPRESSIONS, sortField)) throw new HttpError(400, `Cannot sort on "${sortField}".`);
+  const direction = String(query.dir).toLowerCase() === "desc" ? "DESC" : "ASC";
+  // requirementid as tie-breaker keeps paging stable
+  const orderBy = `${SORT_EXPRESSIONS[sortField]} ${direction} NULLS LAST, requirementid ASC`;
+
+  const pageSize = Math.min(MAX_PAGE_SIZE, toInt(query.pageSize, DEFAULT_PAGE_SIZE));
+  const page = toInt(query.page, 1);
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+    orderBy,
+    limit: pageSize,
+    offset: (page - 1) * pageSize,
+    page,
+    pageSize,
+  };
+};
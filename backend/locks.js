@@ -0,0 +1,104 @@
+import { pool } from "./db.js";
+
+// ===== FIELD LOCKS =====
+// One lock per requisition field, owned by a user on a specific socket.
+// Locks expire unless the owner heartbeats, so an abandoned tab frees them.
+// They live in field_locks (migrations/009) so every backend instance sees
+// the same locks; socket ids are unique across instances.
+export const LOCK_TTL_MS = Number(process.env.LOCK_TTL_MS) || 30 * 1000;
+
+const publicLock = ({ requirementid, field, username, expires_at }) => ({
+  requirementid,
+  field,
+  user: username,
+  expiresAt: new Date(expires_at).toISOString(),
+});
+
+/**
+ * Take or refresh the lock on one field.
+ * The same user may take over from another of their own tabs.
+ * Returns { ok: true, lock, isNew } or { ok: false, holder } when someone else has it.
+ */
+export const acquireLock = async (requirementid, field, user, socket) => {
+  const { rows } = await pool.query(
+    `
+    WITH prev AS (
+      SELECT username FROM field_locks
+      WHERE requirementid = $1 AND field = $2 AND expires_at > NOW()
+    )
+    INSERT INTO field_locks (requirementid, field, username, socket_id, expires_at)
+    VALUES ($1, $2, $3, $4, NOW() + $5 * INTERVAL '1 millisecond')
+    ON CONFLICT (requirementid, field) DO UPDATE
+      SET username = EXCLUDED.username, socket_id = EXCLUDED.socket_id, expires_at = EXCLUDED.expires_at
+      WHERE field_locks.username = EXCLUDED.username OR field_locks.expires_at <= NOW()
+    RETURNING *, (SELECT username FROM prev) AS prev_user;
+    `,
+    [requirementid, field, user, socket, LOCK_TTL_MS]
+  );
+  if (rows.length) {
+    return { ok: true, lock: publicLock(rows[0]), isNew: rows[0].prev_user !== user };
+  }
+
+  const holder = await pool.query("SELECT * FROM field_locks WHERE requirementid = $1 AND field = $2", [
+    requirementid,
+    field,
+  ]);
+  return { ok: false, holder: holder.rows[0] ? publicLock(holder.rows[0]) : null };
+};
+
+// Extend a lock the socket still holds; false if it lost it meanwhile
+export const heartbeatLock = async (requirementid, field, socket) => {
+  const { rowCount } = await pool.query(
+    `
+    UPDATE field_locks SET expires_at = NOW() + $4 * INTERVAL '1 millisecond'
+    WHERE requirementid = $1 AND field = $2 AND socket_id = $3;
+    `,
+    [requirementid, field, socket, LOCK_TTL_MS]
+  );
+  return rowCount > 0;
+};
+
+// Release locks held by `socket`, optionally narrowed to one row, one field,
+// or every field of the row except `exceptField`. Returns what was released.
+export const releaseLocks = async (socket, { requirementid, field, exceptField } = {}) => {
+  const conditions = ["socket_id = $1"];
+  const params = [socket];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+  if (requirementid !== undefined) add("requirementid = ?", requirementid);
+  if (field) add("field = ?", field);
+  if (exceptField) add("field <> ?", exceptField);
+
+  const { rows } = await pool.query(
+    `DELETE FROM field_locks WHERE ${conditions.join(" AND ")} RETURNING *`,
+    params
+  );
+  return rows.map(publicLock);
+};
+
+// Drop locks whose owner stopped heartbeating; returns what expired.
+// Every instance sweeps, but each expired row is deleted (and reported) once.
+export const expireLocks = async () => {
+  const { rows } = await pool.query("DELETE FROM field_locks WHERE expires_at <= NOW() RETURNING *");
+  return rows.map(publicLock);
+};
+
+// Current locks for clients that just connected
+export const lockSnapshot = async () => {
+  const { rows } = await pool.query("SELECT * FROM field_locks WHERE expires_at > NOW()");
+  return rows.map(publicLock);
+};
+
+// Fields of `requirementid` (one id or a list) locked by someone other than `user`
+export const lockedByOthers = async (requirementid, fields, user) => {
+  const { rows } = await pool.query(
+    `
+    SELECT * FROM field_locks
+    WHERE requirementid = ANY($1) AND field = ANY($2) AND username <> $3 AND expires_at > NOW();
+    `,
+    [[].concat(requirementid), fields, user]
+  );
+  return rows.map(publicLock);
+};
@@ -0,0 +1,116 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { pool } from "./db.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const MIGRATIONS_DIR = path.join(path.dirname(__filename), "migrations");
+
+// Any fixed key works; it only has to be the same for every instance
+const MIGRATION_LOCK_KEY = 74120001;
+
+// ===== MIGRATIONS =====
+// Files in migrations/ named NNN_description.sql run once each, in name order,
+// inside their own transaction, and are recorded in schema_migrations.
+const listMigrations = async () => {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter((f) => /^\d+_.+\.sql$/.test(f)).sort();
+  return Promise.all(
+    files.map(async (file) => {
+      const sql = await fs.readFile(path.join(MIGRATIONS_DIR, file), "utf8");
+      return {
+        version: file.replace(/\.sql$/, ""),
+        sql,
+        checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+      };
+    })
+  );
+};
+
+const ensureMigrationsTable = (client) =>
+  client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+
+// Apply pending migrations. Safe to call from several instances at once:
+// an advisory lock makes the others wait and then find nothing to do.
+export const runMigrations = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+
+    const { rows } = await client.query("SELECT version, checksum FROM schema_migrations");
+    const applied = new Map(rows.map((r) => [r.version, r.checksum]));
+
+    for (const migration of await listMigrations()) {
+      if (applied.has(migration.version)) {
+        if (applied.get(migration.version) !== migration.checksum) {
+          console.warn(`⚠️ Migration ${migration.version} was edited after it ran; add a new migration instead.`);
+        }
+        continue;
+      }
+
+      try {
+        await client.query("BEGIN");
+        await client.query(migration.sql);
+        await client.query("INSERT INTO schema_migrations (version, checksum) VALUES ($1, $2)", [
+          migration.version,
+          migration.checksum,
+        ]);
+        await client.query("COMMIT");
+        console.log(`✅ Migration applied: ${migration.version}`);
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw new Error(`Migration ${migration.version} failed: ${err.message}`);
+      }
+    }
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+export const migrationStatus = async () => {
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const { rows } = await client.query("SELECT version, applied_at FROM schema_migrations");
+    const applied = new Map(rows.map((r) => [r.version, r.applied_at]));
+    return (await listMigrations()).map(({ version }) => ({
+      version,
+      applied_at: applied.get(version) || null,
+    }));
+  } finally {
+    client.release();
+  }
+};
+
+// CLI: `node migrate.js` applies pending migrations, `node migrate.js status` lists them
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const command = process.argv[2] || "up";
+  (async () => {
+    try {
+      if (command === "status") {
+        for (const m of await migrationStatus()) {
+          console.log(`${m.applied_at ? "✅" : "⏳"} ${m.version}${m.applied_at ? `  (${m.applied_at.toISOString()})` : ""}`);
+        }
+      } else if (command === "up") {
+        await runMigrations();
+        console.log("✅ Database is up to date");
+      } else {
+        console.error(`Unknown command "${command}". Use "up" or "status".`);
+        process.exitCode = 1;
+      }
+    } catch (err) {
+      console.error("❌", err.message || err);
+      process.exitCode = 1;
+    } finally {
+      await pool.end();
+    }
+  })();
+}
@@ -0,0 +1,11 @@
+-- Base requisitions table (previously created by ensureTable on boot)
+CREATE TABLE IF NOT EXISTS requisitions (
+  requirementid TEXT PRIMARY KEY,
+  title TEXT,
+  client TEXT,
+  assigned_recruiters TEXT[],
+  working_times JSONB,
+  slots INTEGER,
+  status TEXT,
+  createdat TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,7 @@
+-- Per-client recruiter limits; the "*" row holds the team-wide defaults
+CREATE TABLE IF NOT EXISTS capacity_rules (
+  client TEXT PRIMARY KEY,
+  max_recruiters_per_req INTEGER CHECK (max_recruiters_per_req > 0),
+  max_reqs_per_recruiter INTEGER CHECK (max_reqs_per_recruiter > 0),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,26 @@
+-- Append-only change history for requisitions
+CREATE TABLE IF NOT EXISTS requisition_audit (
+  id BIGSERIAL PRIMARY KEY,
+  requirementid TEXT NOT NULL,
+  action TEXT NOT NULL,
+  field TEXT,
+  old_value JSONB,
+  new_value JSONB,
+  details JSONB,
+  actor TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS requisition_audit_req_idx
+  ON requisition_audit (requirementid, created_at);
+
+CREATE OR REPLACE FUNCTION requisition_audit_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'requisition_audit is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS requisition_audit_no_rewrite ON requisition_audit;
+CREATE TRIGGER requisition_audit_no_rewrite
+  BEFORE UPDATE OR DELETE ON requisition_audit
+  FOR EACH ROW EXECUTE FUNCTION requisition_audit_append_only();
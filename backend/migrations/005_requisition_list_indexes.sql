@@ -0,0 +1,19 @@
+-- Indexes behind server-side sorting/filtering (see listQuery.js)
+CREATE INDEX IF NOT EXISTS requisitions_status_idx ON requisitions (status);
+CREATE INDEX IF NOT EXISTS requisitions_client_lower_idx ON requisitions (lower(client));
+CREATE INDEX IF NOT EXISTS requisitions_title_lower_idx ON requisitions (lower(title));
+CREATE INDEX IF NOT EXISTS requisitions_createdat_idx ON requisitions (createdat);
+CREATE INDEX IF NOT EXISTS requisitions_assigned_gin_idx ON requisitions USING GIN (assigned_recruiters);
+
+-- Trigram indexes make ILIKE '%...%' filters indexable. Some hosts don't allow
+-- pg_trgm; the filters still work there, just with a scan.
+DO $$
+BEGIN
+  CREATE EXTENSION IF NOT EXISTS pg_trgm;
+  EXECUTE 'CREATE INDEX IF NOT EXISTS requisitions_title_trgm_idx ON requisitions USING GIN (title gin_trgm_ops)';
+  EXECUTE 'CREATE INDEX IF NOT EXISTS requisitions_client_trgm_idx ON requisitions USING GIN (client gin_trgm_ops)';
+  EXECUTE 'CREATE INDEX IF NOT EXISTS requisitions_reqid_trgm_idx ON requisitions USING GIN (requirementid gin_trgm_ops)';
+EXCEPTION WHEN OTHERS THEN
+  RAISE NOTICE 'pg_trgm unavailable, skipping trigram indexes: %', SQLERRM;
+END;
+$$;
@@ -0,0 +1,16 @@
+-- Optimistic concurrency: every update bumps version and updated_at
+ALTER TABLE requisitions ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE requisitions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE OR REPLACE FUNCTION requisitions_bump_version() RETURNS trigger AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS requisitions_bump_version ON requisitions;
+CREATE TRIGGER requisitions_bump_version
+  BEFORE UPDATE ON requisitions
+  FOR EACH ROW EXECUTE FUNCTION requisitions_bump_version();
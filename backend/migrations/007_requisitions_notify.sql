@@ -0,0 +1,21 @@
+-- NOTIFY requisitions_change on every row change, with the
+-- { operation, new, old } payload the dedicated listener in app.js expects.
+-- Rows are small; NOTIFY payloads are capped at 8000 bytes.
+CREATE OR REPLACE FUNCTION requisitions_notify_change() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify(
+    'requisitions_change',
+    json_build_object(
+      'operation', TG_OP,
+      'new', CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE row_to_json(NEW) END,
+      'old', CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE row_to_json(OLD) END
+    )::text
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS requisitions_notify_change ON requisitions;
+CREATE TRIGGER requisitions_notify_change
+  AFTER INSERT OR UPDATE OR DELETE ON requisitions
+  FOR EACH ROW EXECUTE FUNCTION requisitions_notify_change();
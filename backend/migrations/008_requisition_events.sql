@@ -0,0 +1,37 @@
+-- Single source of real-time events: every requisition change is written to
+-- requisition_events with a gap-free, commit-ordered sequence number, and
+-- NOTIFY requisitions_change only rings the doorbell ({ "seq": n }).
+CREATE TABLE IF NOT EXISTS requisition_events (
+  seq BIGSERIAL PRIMARY KEY,
+  event_id UUID NOT NULL DEFAULT gen_random_uuid(),
+  txid BIGINT NOT NULL DEFAULT txid_current(),
+  type TEXT NOT NULL,
+  requirementid TEXT NOT NULL,
+  row JSONB,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION requisitions_notify_change() RETURNS trigger AS $$
+DECLARE
+  event_seq BIGINT;
+BEGIN
+  -- Serialize writers until commit so seq order == commit order; readers
+  -- fetching "seq > last" can then never skip a late-committing event.
+  PERFORM pg_advisory_xact_lock(74120002);
+
+  INSERT INTO requisition_events (type, requirementid, row)
+  VALUES (
+    CASE TG_OP
+      WHEN 'INSERT' THEN 'requisition_created'
+      WHEN 'UPDATE' THEN 'requisitions_updated'
+      ELSE 'requisition_deleted'
+    END,
+    CASE WHEN TG_OP = 'DELETE' THEN OLD.requirementid ELSE NEW.requirementid END,
+    CASE WHEN TG_OP = 'DELETE' THEN to_jsonb(OLD) ELSE to_jsonb(NEW) END
+  )
+  RETURNING seq INTO event_seq;
+
+  PERFORM pg_notify('requisitions_change', json_build_object('seq', event_seq)::text);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
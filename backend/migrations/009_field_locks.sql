@@ -0,0 +1,14 @@
+-- Field locks shared by every backend instance (see locks.js).
+-- UNLOGGED: locks are ephemeral and expire within seconds, so skipping the
+-- WAL is fine; a crash simply empties the table.
+CREATE UNLOGGED TABLE IF NOT EXISTS field_locks (
+  requirementid TEXT NOT NULL,
+  field TEXT NOT NULL,
+  username TEXT NOT NULL,
+  socket_id TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (requirementid, field)
+);
+
+CREATE INDEX IF NOT EXISTS field_locks_socket_idx ON field_locks (socket_id);
+CREATE INDEX IF NOT EXISTS field_locks_expires_idx ON field_locks (expires_at);
@@ -0,0 +1,58 @@
+-- Candidates submitted against a requisition. stage_times maps each stage
+-- reached to when it was (last) entered, like working_times on requisitions.
+CREATE TABLE IF NOT EXISTS submissions (
+  id SERIAL PRIMARY KEY,
+  requirementid TEXT NOT NULL REFERENCES requisitions (requirementid) ON DELETE CASCADE,
+  candidate_name TEXT NOT NULL,
+  recruiter TEXT NOT NULL,
+  stage TEXT NOT NULL DEFAULT 'Submitted'
+    CHECK (stage IN ('Submitted', 'Client Review', 'Interview', 'Offer', 'Placed', 'Rejected')),
+  stage_times JSONB NOT NULL DEFAULT '{}',
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS submissions_requirementid_idx ON submissions (requirementid);
+
+CREATE OR REPLACE FUNCTION submissions_touch() RETURNS trigger AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS submissions_touch ON submissions;
+CREATE TRIGGER submissions_touch
+  BEFORE UPDATE ON submissions
+  FOR EACH ROW EXECUTE FUNCTION submissions_touch();
+
+-- Submission changes share the requisition event log (see 008), so they get
+-- sequence numbers, catch-up and cross-instance delivery for free.
+CREATE OR REPLACE FUNCTION submissions_notify_change() RETURNS trigger AS $$
+DECLARE
+  event_seq BIGINT;
+BEGIN
+  PERFORM pg_advisory_xact_lock(74120002);
+
+  INSERT INTO requisition_events (type, requirementid, row)
+  VALUES (
+    CASE TG_OP
+      WHEN 'INSERT' THEN 'submission_created'
+      WHEN 'UPDATE' THEN 'submission_updated'
+      ELSE 'submission_deleted'
+    END,
+    CASE WHEN TG_OP = 'DELETE' THEN OLD.requirementid ELSE NEW.requirementid END,
+    CASE WHEN TG_OP = 'DELETE' THEN to_jsonb(OLD) ELSE to_jsonb(NEW) END
+  )
+  RETURNING seq INTO event_seq;
+
+  PERFORM pg_notify('requisitions_change', json_build_object('seq', event_seq)::text);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS submissions_notify_change ON submissions;
+CREATE TRIGGER submissions_notify_change
+  AFTER INSERT OR UPDATE OR DELETE ON submissions
+  FOR EACH ROW EXECUTE FUNCTION submissions_notify_change();
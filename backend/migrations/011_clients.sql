@@ -0,0 +1,66 @@
+-- Clients as records instead of free text on each requisition.
+-- client_match_key() is how names are compared: case, punctuation and
+-- company suffixes are ignored, so "Acme", "ACME Corp." and "acme, inc" match.
+CREATE OR REPLACE FUNCTION client_match_key(value TEXT) RETURNS TEXT AS $$
+  SELECT btrim(regexp_replace(
+    regexp_replace(lower(coalesce(value, '')), '[^a-z0-9]+', ' ', 'g'),
+    '( (inc|incorporated|corp|corporation|co|company|llc|ltd|limited|plc|group))+ *$', ''
+  ));
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE TABLE IF NOT EXISTS clients (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  aliases TEXT[] NOT NULL DEFAULT '{}',
+  msp TEXT,
+  vms TEXT,
+  contacts JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS clients_match_key_idx ON clients (client_match_key(name));
+
+-- Fold existing spellings: the most used one becomes the name, the rest aliases
+WITH spellings AS (
+  SELECT btrim(client) AS spelling, client_match_key(client) AS key, COUNT(*) AS uses
+  FROM requisitions
+  WHERE client_match_key(client) <> ''
+  GROUP BY 1, 2
+), ranked AS (
+  SELECT *, ROW_NUMBER() OVER (PARTITION BY key ORDER BY uses DESC, spelling) AS rank
+  FROM spellings
+)
+INSERT INTO clients (name, aliases)
+SELECT
+  MAX(spelling) FILTER (WHERE rank = 1),
+  COALESCE(array_agg(spelling ORDER BY spelling) FILTER (WHERE rank > 1), '{}')
+FROM ranked
+GROUP BY key
+ON CONFLICT (client_match_key(name)) DO NOTHING;
+
+ALTER TABLE requisitions ADD COLUMN IF NOT EXISTS client_id INTEGER REFERENCES clients (id);
+CREATE INDEX IF NOT EXISTS requisitions_client_id_idx ON requisitions (client_id);
+
+-- requisitions.client stays as a copy of the client's name for sorting,
+-- filtering, exports and capacity rules
+UPDATE requisitions r
+SET client_id = c.id, client = c.name
+FROM clients c
+WHERE client_match_key(r.client) = client_match_key(c.name)
+  AND (r.client_id IS DISTINCT FROM c.id OR r.client IS DISTINCT FROM c.name);
+
+-- Capacity overrides are keyed by lower(name); re-key those saved under another
+-- spelling (the most recently updated one wins if several fold together)
+UPDATE capacity_rules cr
+SET client = lower(c.name)
+FROM clients c
+WHERE cr.client IN (
+    SELECT DISTINCT ON (client_match_key(client)) client
+    FROM capacity_rules
+    WHERE client <> '*'
+    ORDER BY client_match_key(client), updated_at DESC
+  )
+  AND cr.client <> lower(c.name)
+  AND client_match_key(cr.client) = client_match_key(c.name)
+  AND NOT EXISTS (SELECT 1 FROM capacity_rules x WHERE x.client = lower(c.name));
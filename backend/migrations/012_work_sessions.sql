@@ -0,0 +1,43 @@
+-- One row per stretch of time a recruiter spent working a requisition.
+-- ended_at is NULL while the session is open; end_reason says why it closed
+-- (stopped, auto-switch, released, deleted).
+CREATE TABLE IF NOT EXISTS work_sessions (
+  id BIGSERIAL PRIMARY KEY,
+  requirementid TEXT NOT NULL,
+  recruiter TEXT NOT NULL,
+  client_id INTEGER REFERENCES clients (id) ON DELETE SET NULL,
+  client TEXT,
+  started_at TIMESTAMPTZ NOT NULL,
+  ended_at TIMESTAMPTZ,
+  end_reason TEXT,
+  CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS work_sessions_open_idx
+  ON work_sessions (recruiter, requirementid) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS work_sessions_range_idx ON work_sessions (started_at, ended_at);
+
+-- Recover past effort from the audit trail (stop_working entries carry started_at)
+INSERT INTO work_sessions (requirementid, recruiter, client_id, client, started_at, ended_at, end_reason)
+SELECT
+  a.requirementid,
+  a.details->>'recruiter',
+  r.client_id,
+  r.client,
+  (a.details->>'started_at')::timestamptz,
+  a.created_at,
+  COALESCE(a.details->>'reason', 'stopped')
+FROM requisition_audit a
+LEFT JOIN requisitions r ON r.requirementid = a.requirementid
+WHERE a.action = 'stop_working'
+  AND a.details ? 'started_at'
+  AND (a.details->>'started_at')::timestamptz <= a.created_at
+  AND NOT EXISTS (SELECT 1 FROM work_sessions);
+
+-- Open sessions for whoever is working right now
+INSERT INTO work_sessions (requirementid, recruiter, client_id, client, started_at)
+SELECT r.requirementid, w.recruiter, r.client_id, r.client,
+       COALESCE((r.working_times->>w.recruiter)::timestamptz, NOW())
+FROM requisitions r
+CROSS JOIN LATERAL unnest(r.assigned_recruiters) AS w (recruiter)
+ON CONFLICT DO NOTHING;
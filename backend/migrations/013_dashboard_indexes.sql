@@ -0,0 +1,5 @@
+-- Dashboard metrics read status changes out of the audit trail
+CREATE INDEX IF NOT EXISTS requisition_audit_status_idx
+  ON requisition_audit (requirementid, created_at) WHERE field = 'status';
+
+CREATE INDEX IF NOT EXISTS work_sessions_recruiter_idx ON work_sessions (recruiter, started_at);
@@ -0,0 +1,20 @@
+-- Who is connected and when they last did something (see activity.js).
+-- user_connections is UNLOGGED like field_locks: one row per open socket,
+-- refreshed by its instance; rows from a crashed instance simply go stale.
+CREATE UNLOGGED TABLE IF NOT EXISTS user_connections (
+  socket_id TEXT PRIMARY KEY,
+  instance_id TEXT NOT NULL,
+  username TEXT NOT NULL,
+  connected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS user_connections_user_idx ON user_connections (username, seen_at);
+CREATE INDEX IF NOT EXISTS user_connections_instance_idx ON user_connections (instance_id);
+
+-- active_at: last interaction in the app; disconnected_at: when their last socket closed
+CREATE TABLE IF NOT EXISTS user_activity (
+  username TEXT PRIMARY KEY,
+  active_at TIMESTAMPTZ,
+  disconnected_at TIMESTAMPTZ
+);
@@ -0,0 +1,35 @@
+-- Where and how to reach each user (see notifications.js)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS notify_channels TEXT[] NOT NULL DEFAULT '{email}';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS notify_muted TEXT[] NOT NULL DEFAULT '{}';
+
+-- Users who want to hear about new requisitions for a client
+CREATE TABLE IF NOT EXISTS client_followers (
+  client_id INTEGER NOT NULL REFERENCES clients (id) ON DELETE CASCADE,
+  username TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (client_id, username)
+);
+
+CREATE INDEX IF NOT EXISTS client_followers_user_idx ON client_followers (username);
+
+-- Outbox: written in the same transaction as the change, delivered afterwards
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  channel TEXT NOT NULL,
+  requirementid TEXT,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS notification_outbox_pending_idx
+  ON notification_outbox (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS notification_outbox_recipient_idx ON notification_outbox (recipient, created_at);
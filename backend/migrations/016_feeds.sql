@@ -0,0 +1,37 @@
+-- VMS/MSP job feeds (see feeds.js): how to read each one and what every run did
+CREATE TABLE IF NOT EXISTS feed_sources (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  client_id INTEGER REFERENCES clients (id) ON DELETE SET NULL,
+  format TEXT NOT NULL DEFAULT 'auto' CHECK (format IN ('auto', 'json', 'xml', 'csv')),
+  file_pattern TEXT,
+  record_path TEXT,
+  field_map JSONB NOT NULL DEFAULT '{}',
+  status_map JSONB NOT NULL DEFAULT '{}',
+  close_missing BOOLEAN NOT NULL DEFAULT TRUE,
+  close_status TEXT NOT NULL DEFAULT 'Closed',
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  -- sha256 of the token a VMS uses to post to /api/feeds/:id/ingest
+  token_hash TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS feed_runs (
+  id BIGSERIAL PRIMARY KEY,
+  source_id INTEGER NOT NULL REFERENCES feed_sources (id) ON DELETE CASCADE,
+  origin TEXT NOT NULL, -- upload, endpoint, directory
+  file_name TEXT,
+  actor TEXT,
+  status TEXT NOT NULL CHECK (status IN ('applied', 'preview', 'failed')),
+  summary JSONB,
+  error TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS feed_runs_source_idx ON feed_runs (source_id, started_at DESC);
+
+-- The feed that created or last updated a requisition; it may close it later
+ALTER TABLE requisitions ADD COLUMN IF NOT EXISTS feed_source_id INTEGER REFERENCES feed_sources (id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS requisitions_feed_source_idx ON requisitions (feed_source_id) WHERE feed_source_id IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Presence (see presence.js): per socket, whether its tab is idle and which
+-- requisition row it has focused
+ALTER TABLE user_connections ADD COLUMN IF NOT EXISTS idle BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE user_connections ADD COLUMN IF NOT EXISTS focused TEXT;
+ALTER TABLE user_connections ADD COLUMN IF NOT EXISTS focused_at TIMESTAMPTZ;
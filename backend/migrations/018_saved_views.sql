@@ -0,0 +1,18 @@
+-- Named requisition table layouts (see views.js). Private to their owner
+-- unless shared; team views are published by a manager for everyone.
+CREATE TABLE IF NOT EXISTS saved_views (
+  id SERIAL PRIMARY KEY,
+  owner TEXT NOT NULL,
+  name TEXT NOT NULL,
+  state JSONB NOT NULL DEFAULT '{}',
+  shared BOOLEAN NOT NULL DEFAULT FALSE,
+  team BOOLEAN NOT NULL DEFAULT FALSE,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (owner, name),
+  CHECK (team OR NOT is_default)
+);
+
+-- At most one team default
+CREATE UNIQUE INDEX IF NOT EXISTS saved_views_one_default_idx ON saved_views ((TRUE)) WHERE is_default;
@@ -0,0 +1,12 @@
+-- Soft delete and archive for requisitions (see lifecycle.js). A deleted row
+-- sits in the trash until it is restored or purged; an archived row is a
+-- long-finished one kept out of the default list. Both keep their
+-- submissions and history.
+ALTER TABLE requisitions ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE requisitions ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+ALTER TABLE requisitions ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE requisitions ADD COLUMN IF NOT EXISTS archived_by TEXT;
+
+-- The trash and archive lists, and the retention sweep
+CREATE INDEX IF NOT EXISTS requisitions_deleted_at_idx ON requisitions (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS requisitions_archived_at_idx ON requisitions (archived_at) WHERE archived_at IS NOT NULL;
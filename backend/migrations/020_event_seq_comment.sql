@@ -0,0 +1,5 @@
+-- Correction to 008: requisition_events.seq is commit-ordered but not
+-- gap-free. It is a BIGSERIAL, so a rolled-back write still uses up a number;
+-- readers must only rely on seq growing, never on it being consecutive.
+COMMENT ON COLUMN requisition_events.seq IS
+  'Commit-ordered (writers serialize on an advisory lock until commit), not gap-free: rolled-back writes leave gaps.';
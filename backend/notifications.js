@@ -0,0 +1,284 @@
+import { pool } from "./db.js";
+import { HttpError } from "./errors.js";
+
+// ===== NOTIFICATIONS =====
+// recordAudit() passes every audited change through queueNotifications(), so
+// rules see exactly what the history shows and the outbox rows
+// (migrations/015) commit or roll back with the change itself. The
+// dispatcher then delivers pending rows through a notifier (notifiers/).
+export const NOTIFICATION_TYPES = ["status_changed", "requisition_created", "assignment_released", "submission_stage"];
+export const CHANNELS = ["email", "teams"];
+
+// Statuses worth telling the recruiters working a requisition about
+const NOTIFY_STATUSES = ["On Hold", "Closed", "Filled"];
+// stop_working reasons where the recruiter didn't stop by themselves
+const RELEASE_REASONS = ["released", "idle", "end-of-day", "disconnected", "feed", "deleted"];
+// A status can only be changed by hand once nobody is working the requisition,
+// so "working it" includes anyone whose work session on it ended this recently
+const RECENT_WORK_DAYS = 7;
+
+const DELIVERY_BATCH = 50;
+const MAX_ATTEMPTS = 5;
+// A claimed row stays invisible to other instances this long
+const CLAIM_MINUTES = 5;
+const RECENT_LIMIT = 20;
+
+const describeReq = (requisition, requirementid) =>
+  requisition ? `${requisition.requirementid} "${requisition.title}" (${requisition.client})` : requirementid;
+
+// Each rule turns one audit entry into recipients and a message
+const RULES = [
+  {
+    type: "status_changed",
+    matches: (e) => e.action === "update" && e.field === "status" && NOTIFY_STATUSES.includes(e.new_value),
+    recipients: async (db, e, requisition) => {
+      const { rows } = await db.query(
+        `
+        SELECT DISTINCT recruiter FROM work_sessions
+        WHERE requirementid = $1 AND (ended_at IS NULL OR ended_at > NOW() - $2::int * INTERVAL '1 day')
+        `,
+        [e.requirementid, RECENT_WORK_DAYS]
+      );
+      return [...(requisition?.assigned_recruiters || []), ...rows.map((r) => r.recruiter)];
+    },
+    message: (e, requisition, actor) => ({
+      subject: `${e.requirementid} is now ${e.new_value}`,
+      body: `${describeReq(requisition, e.requirementid)}, which you have been working on, moved from ${e.old_value} to ${e.new_value} (by ${actor}).`,
+    }),
+  },
+  {
+    type: "requisition_created",
+    matches: (e) => e.action === "create" && e.field === "requirementid",
+    recipients: async (db, e, requisition) => {
+      if (!requisition?.client_id) return [];
+      const { rows } = await db.query("SELECT username FROM client_followers WHERE client_id = $1", [
+        requisition.client_id,
+      ]);
+      return rows.map((r) => r.username);
+    },
+    message: (e, requisition, actor) => ({
+      subject: `New requisition for ${requisition.client}: ${requisition.title}`,
+      body: `${actor} added ${describeReq(requisition, e.requirementid)} with ${requisition.slots} slot(s).`,
+    }),
+  },
+  {
+    type: "assignment_released",
+    matches: (e) => e.action === "stop_working" && RELEASE_REASONS.includes(e.details?.reason),
+    recipients: async (db, e) => [e.details.recruiter],
+    message: (e, requisition, actor) => ({
+      subject: `You were taken off ${e.requirementid}`,
+      body: `You are no longer working on ${describeReq(requisition, e.requirementid)} (${e.details.reason}, by ${actor}).`,
+    }),
+  },
+  {
+    type: "submission_stage",
+    matches: (e) => e.action === "update_submission" && e.field === "stage",
+    recipients: async (db, e) => [e.details?.recruiter],
+    message: (e, requisition, actor) => ({
+      subject: `${e.details.candidate_name} moved to ${e.new_value}`,
+      body: `${actor} moved ${e.details.candidate_name} on ${describeReq(requisition, e.requirementid)} from ${e.old_value} to ${e.new_value}.`,
+    }),
+  },
+];
+
+/**
+ * Queue notifications for audit `entries` made by `actor`, inside the
+ * caller's transaction. One row per recipient and channel they chose; nobody
+ * is told about their own change, and muted types are dropped.
+ */
+export const queueNotifications = async (db, actor, entries) => {
+  const messages = [];
+  const requisitions = new Map();
+  for (const e of entries) {
+    const rule = RULES.find((r) => r.matches(e));
+    if (!rule) continue;
+    if (!requisitions.has(e.requirementid)) {
+      const { rows } = await db.query("SELECT * FROM requisitions WHERE requirementid = $1", [e.requirementid]);
+      requisitions.set(e.requirementid, rows[0] || null);
+    }
+    const requisition = requisitions.get(e.requirementid);
+    const recipients = new Set(await rule.recipients(db, e, requisition));
+    recipients.delete(actor);
+    for (const recipient of recipients) {
+      if (!recipient) continue;
+      messages.push({ type: rule.type, recipient, requirementid: e.requirementid, ...rule.message(e, requisition, actor) });
+    }
+  }
+  if (!messages.length) return;
+
+  await db.query(
+    `
+    INSERT INTO notification_outbox (type, recipient, channel, requirementid, subject, body)
+    SELECT m.type, m.recipient, ch, m.requirementid, m.subject, m.body
+    FROM jsonb_to_recordset($1::jsonb) AS m (type TEXT, recipient TEXT, requirementid TEXT, subject TEXT, body TEXT)
+    JOIN users u ON u.username = m.recipient
+    CROSS JOIN LATERAL unnest(u.notify_channels) AS ch
+    WHERE NOT (m.type = ANY (u.notify_muted));
+    `,
+    [JSON.stringify(messages)]
+  );
+};
+
+// ===== DELIVERY =====
+const markSent = (id) =>
+  pool.query("UPDATE notification_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1", [id]);
+
+const markSkipped = (id, reason) =>
+  pool.query("UPDATE notification_outbox SET status = 'skipped', last_error = $2 WHERE id = $1", [id, reason]);
+
+// Retry with a growing delay (1, 4, 9, 16 minutes), then give up
+const markFailed = (row, err) =>
+  pool.query(
+    `
+    UPDATE notification_outbox
+    SET status = CASE WHEN attempts >= $3 THEN 'failed' ELSE 'pending' END,
+        last_error = $2,
+        next_attempt_at = NOW() + attempts * attempts * INTERVAL '1 minute'
+    WHERE id = $1;
+    `,
+    [row.id, String(err.message || err).slice(0, 1000), MAX_ATTEMPTS]
+  );
+
+/**
+ * Deliver due outbox rows through `notifier`. Rows are claimed by pushing
+ * next_attempt_at ahead (SKIP LOCKED), so several instances can run this
+ * side by side without sending anything twice. Returns the number delivered.
+ */
+export const deliverPending = async (notifier) => {
+  const { rows } = await pool.query(
+    `
+    WITH due AS (
+      SELECT id FROM notification_outbox
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY id
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    UPDATE notification_outbox o
+    SET attempts = o.attempts + 1, next_attempt_at = NOW() + $2::int * INTERVAL '1 minute'
+    FROM due
+    WHERE o.id = due.id
+    RETURNING o.*,
+      (SELECT email FROM users WHERE username = o.recipient) AS email,
+      (SELECT COALESCE(display_name, username) FROM users WHERE username = o.recipient) AS display_name;
+    `,
+    [DELIVERY_BATCH, CLAIM_MINUTES]
+  );
+
+  let delivered = 0;
+  for (const row of rows) {
+    if (!row.email) {
+      await markSkipped(row.id, "No email address on file");
+      continue;
+    }
+    try {
+      await notifier.send({
+        channel: row.channel,
+        to: { username: row.recipient, display_name: row.display_name, email: row.email },
+        subject: row.subject,
+        text: row.body,
+      });
+      await markSent(row.id);
+      delivered += 1;
+    } catch (err) {
+      console.error(`❌ Error sending notification ${row.id} via ${notifier.name}:`, err.message || err);
+      await markFailed(row, err);
+    }
+  }
+  return delivered;
+};
+
+// ===== PREFERENCES =====
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const validationError = (errors) => new HttpError(400, "Please fix the highlighted fields.", { errors });
+
+// Settings, followed clients and the latest notifications for `username`
+export const getPreferences = async (username) => {
+  const { rows } = await pool.query(
+    "SELECT email, notify_channels, notify_muted FROM users WHERE username = $1",
+    [username]
+  );
+  if (!rows.length) throw new HttpError(404, "User not found");
+  const [follows, recent] = await Promise.all([
+    pool.query(
+      `
+      SELECT c.id, c.name FROM client_followers f
+      JOIN clients c ON c.id = f.client_id
+      WHERE f.username = $1
+      ORDER BY lower(c.name);
+      `,
+      [username]
+    ),
+    pool.query(
+      `
+      SELECT id, type, channel, requirementid, subject, status, last_error, created_at, sent_at
+      FROM notification_outbox WHERE recipient = $1
+      ORDER BY created_at DESC, id DESC LIMIT $2;
+      `,
+      [username, RECENT_LIMIT]
+    ),
+  ]);
+  return {
+    email: rows[0].email,
+    channels: rows[0].notify_channels,
+    muted: rows[0].notify_muted,
+    follows: follows.rows,
+    recent: recent.rows,
+    types: NOTIFICATION_TYPES,
+  };
+};
+
+// body: { email?, channels?, muted? }
+export const savePreferences = async (username, body = {}) => {
+  const errors = {};
+  const sets = [];
+  const params = [];
+  const set = (column, value) => {
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  };
+
+  if (body.email !== undefined) {
+    const email = body.email === null ? "" : String(body.email).trim();
+    if (email && !EMAIL_PATTERN.test(email)) errors.email = "Enter a valid email address.";
+    else set("email", email || null);
+  }
+  const subset = (field, value, allowed, column) => {
+    if (value === undefined) return;
+    if (!Array.isArray(value) || value.some((v) => !allowed.includes(v))) {
+      errors[field] = `Pick from: ${allowed.join(", ")}.`;
+    } else {
+      set(column, [...new Set(value)]);
+    }
+  };
+  subset("channels", body.channels, CHANNELS, "notify_channels");
+  subset("muted", body.muted, NOTIFICATION_TYPES, "notify_muted");
+  if (Object.keys(errors).length) throw validationError(errors);
+
+  if (sets.length) {
+    params.push(username);
+    await pool.query(`UPDATE users SET ${sets.join(", ")} WHERE username = $${params.length}`, params);
+  }
+  return getPreferences(username);
+};
+
+export const followClient = async (clientId, username) => {
+  const id = Number(clientId);
+  const { rows } = await pool.query("SELECT id FROM clients WHERE id = $1", [Number.isInteger(id) ? id : 0]);
+  if (!rows.length) throw new HttpError(404, "Client not found");
+  await pool.query("INSERT INTO client_followers (client_id, username) VALUES ($1, $2) ON CONFLICT DO NOTHING", [
+    id,
+    username,
+  ]);
+  return getPreferences(username);
+};
+
+export const unfollowClient = async (clientId, username) => {
+  const id = Number(clientId);
+  await pool.query("DELETE FROM client_followers WHERE client_id = $1 AND username = $2", [
+    Number.isInteger(id) ? id : 0,
+    username,
+  ]);
+  return getPreferences(username);
+};
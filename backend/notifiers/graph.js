@@ -0,0 +1,45 @@
+import { Client } from "@microsoft/microsoft-graph-client";
+import { TokenCredentialAuthenticationProvider } from "@microsoft/microsoft-graph-client/authProviders/azureTokenCredentials/index.js";
+import { ClientSecretCredential } from "@azure/identity";
+
+// ===== MICROSOFT GRAPH NOTIFIER =====
+// App-only Graph client (client credentials). Needs these application
+// permissions on the Azure AD app registration:
+//   email -> Mail.Send (sent as `sender`)
+//   teams -> TeamsActivity.Send (an activity feed notification for the user)
+// Recipients are addressed by their email / user principal name.
+export const createGraphNotifier = ({ tenantId, clientId, clientSecret, sender, appUrl }) => {
+  const credential = new ClientSecretCredential(tenantId, clientId, clientSecret);
+  const client = Client.initWithMiddleware({
+    authProvider: new TokenCredentialAuthenticationProvider(credential, {
+      scopes: ["https://graph.microsoft.com/.default"],
+    }),
+  });
+
+  const sendEmail = ({ to, subject, text }) => {
+    if (!sender) throw new Error("GRAPH_SENDER is not set");
+    return client.api(`/users/${encodeURIComponent(sender)}/sendMail`).post({
+      message: {
+        subject,
+        body: { contentType: "Text", content: appUrl ? `${text}\n\n${appUrl}` : text },
+        toRecipients: [{ emailAddress: { address: to.email, name: to.display_name } }],
+      },
+      saveToSentItems: false,
+    });
+  };
+
+  const sendTeams = ({ to, subject, text }) => {
+    if (!appUrl) throw new Error("APP_URL is needed for Teams notifications");
+    return client.api(`/users/${encodeURIComponent(to.email)}/teamwork/sendActivityNotification`).post({
+      topic: { source: "text", value: subject, webUrl: appUrl },
+      activityType: "systemDefault",
+      previewText: { content: text.slice(0, 150) },
+      templateParameters: [{ name: "systemDefault", value: subject }],
+    });
+  };
+
+  return {
+    name: "graph",
+    send: (message) => (message.channel === "teams" ? sendTeams(message) : sendEmail(message)),
+  };
+};
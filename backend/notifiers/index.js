@@ -0,0 +1,28 @@
+import { createLocalNotifier } from "./local.js";
+import { createGraphNotifier } from "./graph.js";
+
+// ===== NOTIFIERS =====
+// A notifier is { name, send(message) } where message is
+//   { channel: "email" | "teams", to: { username, display_name, email }, subject, text }
+// and send() resolves once delivered (or throws to have it retried).
+//
+// NOTIFIER=graph | file | console picks one; by default Graph is used when
+// the Azure credentials are set and the console otherwise.
+export const createNotifier = (env = process.env) => {
+  const hasGraph = Boolean(env.AZURE_TENANT_ID && env.AZURE_CLIENT_ID && env.AZURE_CLIENT_SECRET);
+  const kind = env.NOTIFIER || (hasGraph ? "graph" : "console");
+
+  if (kind === "graph") {
+    if (!hasGraph) throw new Error("NOTIFIER=graph needs AZURE_TENANT_ID, AZURE_CLIENT_ID and AZURE_CLIENT_SECRET");
+    return createGraphNotifier({
+      tenantId: env.AZURE_TENANT_ID,
+      clientId: env.AZURE_CLIENT_ID,
+      clientSecret: env.AZURE_CLIENT_SECRET,
+      sender: env.GRAPH_SENDER,
+      appUrl: env.APP_URL,
+    });
+  }
+  if (kind === "file") return createLocalNotifier({ file: env.NOTIFY_FILE || "notifications.jsonl" });
+  if (kind === "console") return createLocalNotifier();
+  throw new Error(`Unknown NOTIFIER "${kind}" (use graph, file or console)`);
+};
@@ -0,0 +1,15 @@
+import fs from "fs/promises";
+
+// ===== LOCAL NOTIFIER =====
+// For development and offline testing: prints every message and, given a
+// file, appends it there as one JSON line. Never fails a delivery.
+export const createLocalNotifier = ({ file } = {}) => ({
+  name: file ? "file" : "console",
+  send: async (message) => {
+    const { channel, to, subject } = message;
+    console.log(`📨 [${channel}] ${to.username} <${to.email || "no email"}>: ${subject}`);
+    if (file) {
+      await fs.appendFile(file, `${JSON.stringify({ sent_at: new Date().toISOString(), ...message })}\n`);
+    }
+  },
+});
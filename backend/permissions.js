@@ -0,0 +1,50 @@
+// ===== ROLES & PERMISSIONS =====
+export const ROLES = ["admin", "manager", "recruiter", "viewer"];
+
+// What each role may do; checked by the Express routes and socket handlers
+const ROLE_PERMISSIONS = {
+  admin: [
+    "requisitions:read",
+    "requisitions:create",
+    "requisitions:edit",
+    "requisitions:delete",
+    "working:self",
+    "working:others",
+    "submissions:write",
+    "clients:manage",
+    "timesheets:all",
+    "dashboard:read",
+    "feeds:manage",
+    "views:publish",
+    "admin:settings",
+    "admin:users",
+  ],
+  manager: [
+    "requisitions:read",
+    "requisitions:create",
+    "requisitions:edit",
+    "requisitions:delete",
+    "working:self",
+    "working:others",
+    "submissions:write",
+    "clients:manage",
+    "timesheets:all",
+    "dashboard:read",
+    "feeds:manage",
+    "views:publish",
+  ],
+  recruiter: ["requisitions:read", "working:self", "submissions:write"],
+  viewer: ["requisitions:read"],
+};
+
+export const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const can = (user, permission) => Boolean(user) && permissionsFor(user.role).includes(permission);
+
+// Express: 403 unless req.user (set by requireAuth) holds `permission`
+export const requirePermission = (permission) => (req, res, next) => {
+  if (!can(req.user, permission)) {
+    return res.status(403).json({ message: "You don't have permission to do that." });
+  }
+  next();
+};
@@ -0,0 +1,58 @@
+import { pool } from "./db.js";
+import { CONNECTION_STALE_MS } from "./activity.js";
+
+// ===== PRESENCE =====
+// Built on user_connections (activity.js): each socket reports whether its
+// tab is idle and which requisition row it has focused (migrations/017).
+// A user is online while any tab is live, active while any tab is, and
+// "on" the row their most recently focusing tab is on, so several tabs
+// show up as one person.
+const MAX_ROW_ID_LENGTH = 100;
+
+const PRESENCE_SQL = (where) => `
+  SELECT
+    uc.username,
+    COALESCE(u.display_name, uc.username) AS display_name,
+    bool_and(uc.idle) AS idle,
+    (array_agg(uc.focused ORDER BY uc.focused_at DESC) FILTER (WHERE uc.focused IS NOT NULL))[1] AS focused,
+    COUNT(*)::int AS tabs,
+    MIN(uc.connected_at) AS online_since
+  FROM user_connections uc
+  LEFT JOIN users u ON u.username = uc.username
+  WHERE uc.seen_at > NOW() - INTERVAL '${CONNECTION_STALE_MS} milliseconds' AND ${where}
+  GROUP BY uc.username, u.display_name
+`;
+
+// Everyone online: [{ username, display_name, idle, focused, tabs, online_since }]
+export const presenceSnapshot = async () => {
+  const { rows } = await pool.query(`${PRESENCE_SQL("TRUE")} ORDER BY display_name`);
+  return rows.map((r) => ({ ...r, online: true }));
+};
+
+// One user's combined presence; { username, online: false } once their last tab is gone
+export const userPresence = async (username) => {
+  const { rows } = await pool.query(PRESENCE_SQL("uc.username = $1"), [username]);
+  return rows.length ? { ...rows[0], online: true } : { username, online: false };
+};
+
+/**
+ * Record what one socket's tab reports: { idle?, focused? } (focused: a
+ * requirementid, or null when the tab left the row). Returns the user's
+ * combined presence.
+ */
+export const setPresence = async (socketId, username, { idle, focused } = {}) => {
+  const sets = [];
+  const params = [socketId];
+  if (typeof idle === "boolean") {
+    params.push(idle);
+    sets.push(`idle = $${params.length}`);
+  }
+  if (focused === null || (typeof focused === "string" && focused.length <= MAX_ROW_ID_LENGTH)) {
+    params.push(focused || null);
+    sets.push(`focused = $${params.length}`, `focused_at = NOW()`);
+  }
+  if (sets.length) {
+    await pool.query(`UPDATE user_connections SET ${sets.join(", ")} WHERE socket_id = $1`, params);
+  }
+  return userPresence(username);
+};
@@ -0,0 +1,209 @@
+// ===== FIELD SCHEMAS =====
+// Single source of truth for which columns POST/PUT may touch and what they
+// accept. Keys are the real column names, so a validated payload is safe to
+// turn into SQL.
+export const STATUSES = ["Open", "Closed", "On Hold", "Filled", "Cancelled"];
+// Statuses a requisition ends in; only these can be archived
+export const FINAL_STATUSES = ["Closed", "Filled", "Cancelled"];
+// Candidate pipeline; "Placed" consumes one of the requisition's slots
+export const STAGES = ["Submitted", "Client Review", "Interview", "Offer", "Placed", "Rejected"];
+
+export const requisitionSchema = {
+  requirementid: { type: "string", required: true, readOnly: true, maxLength: 100, stripSpaces: true },
+  title: { type: "string", required: true, maxLength: 255 },
+  // A client name (matched to a client record, or a new one is created) or a
+  // client_id; one of them is required on create, see clients.js
+  client: { type: "string", maxLength: 255 },
+  client_id: { type: "integer", min: 1 },
+  slots: { type: "integer", min: 0, max: 999, default: 1 },
+  status: { type: "string", enum: STATUSES, default: "Open" },
+  // Maintained by the start/stop working endpoints
+  assigned_recruiters: { type: "array", readOnly: true, managed: true },
+  working_times: { type: "object", readOnly: true, managed: true },
+  createdat: { type: "timestamp", readOnly: true, managed: true },
+  // Bumped by the requisitions_bump_version trigger on every update
+  version: { type: "integer", readOnly: true, managed: true },
+  // Set when a job feed created or last updated the row (feeds.js)
+  feed_source_id: { type: "integer", readOnly: true, managed: true },
+  updated_at: { type: "timestamp", readOnly: true, managed: true },
+  // Trash and archive stamps, set by lifecycle.js
+  deleted_at: { type: "timestamp", readOnly: true, managed: true },
+  deleted_by: { type: "string", readOnly: true, managed: true },
+  archived_at: { type: "timestamp", readOnly: true, managed: true },
+  archived_by: { type: "string", readOnly: true, managed: true },
+};
+
+export const submissionSchema = {
+  candidate_name: { type: "string", required: true, maxLength: 255 },
+  stage: { type: "string", enum: STAGES, default: "Submitted" },
+  notes: { type: "string", maxLength: 2000, nullable: true },
+  // Set by the server
+  requirementid: { type: "string", readOnly: true, managed: true },
+  recruiter: { type: "string", readOnly: true, managed: true },
+  stage_times: { type: "object", readOnly: true, managed: true },
+};
+
+export const clientSchema = {
+  name: { type: "string", required: true, maxLength: 255 },
+  aliases: { type: "list", maxLength: 255, default: [] },
+  msp: { type: "string", maxLength: 255, nullable: true },
+  vms: { type: "string", maxLength: 255, nullable: true },
+  contacts: { type: "contacts", default: [] }, // [{ name, email?, phone?, title? }]
+};
+
+export const FEED_FORMATS = ["auto", "json", "xml", "csv"];
+
+// A job feed: how to read it and map its records to requisitions (feeds.js)
+export const feedSourceSchema = {
+  name: { type: "string", required: true, maxLength: 100 },
+  client_id: { type: "integer", min: 1, nullable: true }, // client for records that don't name one
+  format: { type: "string", enum: FEED_FORMATS, default: "auto" },
+  file_pattern: { type: "string", maxLength: 255, nullable: true }, // e.g. "acme-*.xml" in FEED_DIR
+  record_path: { type: "string", maxLength: 255, nullable: true }, // JSON path / XML element of one job
+  field_map: { type: "map", default: {} }, // requisition field -> feed key
+  status_map: { type: "map", default: {} }, // feed status -> requisition status
+  close_missing: { type: "boolean", default: true },
+  close_status: { type: "string", enum: STATUSES, default: "Closed" },
+  enabled: { type: "boolean", default: true },
+};
+
+// A named table layout (views.js); `state` is checked there against the list query
+export const savedViewSchema = {
+  name: { type: "string", required: true, maxLength: 100 },
+  state: { type: "object", default: {} }, // { filters, where, sort, columns, hidden, widths, pageSize, page }
+  shared: { type: "boolean", default: false }, // everyone may load it
+  team: { type: "boolean", default: false }, // published for the team (views:publish)
+  is_default: { type: "boolean", default: false }, // the team view new sessions start from
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+// Coerce and check one value; returns { value } or { error }
+const checkField = (rule, raw) => {
+  if (rule.type === "string") {
+    if (typeof raw !== "string" && typeof raw !== "number") return { error: "Must be text." };
+    let value = String(raw).trim();
+    if (rule.stripSpaces) value = value.replace(/\s+/g, "");
+    if (rule.required && !value) return { error: "This field is required." };
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return { error: `Must be at most ${rule.maxLength} characters.` };
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      return { error: `Must be one of: ${rule.enum.join(", ")}.` };
+    }
+    return { value };
+  }
+
+  if (rule.type === "integer") {
+    const value = typeof raw === "string" && raw.trim() !== "" ? Number(raw) : raw;
+    if (typeof value !== "number" || !Number.isInteger(value)) return { error: "Must be a whole number." };
+    if (rule.min !== undefined && value < rule.min) return { error: `Must be at least ${rule.min}.` };
+    if (rule.max !== undefined && value > rule.max) return { error: `Must be at most ${rule.max}.` };
+    return { value };
+  }
+
+  if (rule.type === "list") {
+    if (!Array.isArray(raw)) return { error: "Must be a list." };
+    const value = [];
+    for (const item of raw) {
+      if (typeof item !== "string" && typeof item !== "number") return { error: "Every entry must be text." };
+      const text = String(item).trim();
+      if (rule.maxLength && text.length > rule.maxLength) {
+        return { error: `Entries must be at most ${rule.maxLength} characters.` };
+      }
+      if (text && !value.includes(text)) value.push(text);
+    }
+    return { value };
+  }
+
+  if (rule.type === "contacts") {
+    if (!Array.isArray(raw)) return { error: "Must be a list of contacts." };
+    const value = [];
+    for (const contact of raw) {
+      const name = typeof contact?.name === "string" ? contact.name.trim() : "";
+      if (!name) return { error: "Every contact needs a name." };
+      const entry = { name };
+      for (const key of ["email", "phone", "title"]) {
+        if (contact[key] === undefined || contact[key] === null || contact[key] === "") continue;
+        if (typeof contact[key] !== "string" || contact[key].length > 255) {
+          return { error: `Contact ${key} must be text of at most 255 characters.` };
+        }
+        entry[key] = contact[key].trim();
+      }
+      value.push(entry);
+    }
+    return { value };
+  }
+
+  if (rule.type === "boolean") {
+    if (typeof raw !== "boolean") return { error: "Must be true or false." };
+    return { value: raw };
+  }
+
+  if (rule.type === "map") {
+    if (typeof raw !== "object" || Array.isArray(raw)) return { error: "Must be an object." };
+    const value = {};
+    for (const [key, item] of Object.entries(raw)) {
+      if (typeof item !== "string" || !key.trim()) return { error: "Keys and values must be text." };
+      if (item.trim()) value[key.trim()] = item.trim();
+    }
+    return { value };
+  }
+
+  if (rule.type === "object") {
+    if (typeof raw !== "object" || Array.isArray(raw)) return { error: "Must be an object." };
+    return { value: raw };
+  }
+
+  return { error: "Unsupported field." };
+};
+
+/**
+ * Validate a payload against a field schema.
+ * mode "create": required fields must be present, defaults are filled in.
+ * mode "update": only the given keys are checked and read-only fields are refused.
+ * Returns { values, errors } where errors maps field name -> message.
+ */
+export const validateFields = (schema, body, { mode }) => {
+  const values = {};
+  const errors = {};
+  const input = body && typeof body === "object" && !Array.isArray(body) ? body : {};
+
+  for (const key of Object.keys(input)) {
+    const rule = schema[key];
+    if (!rule) errors[key] = "Unknown field.";
+    else if (rule.managed || (mode === "update" && rule.readOnly)) errors[key] = "This field is read-only.";
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (rule.managed || errors[field]) continue;
+    if (mode === "update" && !(field in input)) continue;
+
+    const raw = input[field];
+    if (isBlank(raw)) {
+      if (rule.required) errors[field] = "This field is required.";
+      else if (rule.nullable && field in input) values[field] = null;
+      else if (mode === "create" && rule.default !== undefined) values[field] = rule.default;
+      else if (mode === "update") errors[field] = "This field cannot be empty.";
+      continue;
+    }
+
+    const { value, error } = checkField(rule, raw);
+    if (error) errors[field] = error;
+    else values[field] = value;
+  }
+
+  return { values, errors };
+};
+
+export const validateRequisition = (body, options) => validateFields(requisitionSchema, body, options);
+
+export const validateClient = (body, options) => validateFields(clientSchema, body, options);
+
+export const validateSubmission = (body, options) => validateFields(submissionSchema, body, options);
+
+export const validateFeedSource = (body, options) => validateFields(feedSourceSchema, body, options);
+
+export const validateSavedView = (body, options) => validateFields(savedViewSchema, body, options);
+
+export const hasErrors = (errors) => Object.keys(errors).length > 0;
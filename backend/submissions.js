@@ -0,0 +1,180 @@
+import { pool, withTransaction } from "./db.js";
+import { HttpError } from "./errors.js";
+import { validateSubmission, hasErrors } from "./schema.js";
+import { recordAudit, diffEntries } from "./audit.js";
+
+// ===== CANDIDATE SUBMISSIONS =====
+// Candidates a recruiter put forward for a requisition, moving through STAGES.
+// Entering "Placed" takes one of the requisition's slots (and marks it Filled
+// at zero); leaving "Placed" or removing a placed candidate gives it back.
+const PLACED = "Placed";
+
+// Fields worth a history line when a submission changes
+const TRACKED_FIELDS = ["candidate_name", "stage"];
+
+const validationError = (errors) =>
+  new HttpError(400, "Please fix the highlighted fields.", { errors });
+
+const submissionDetails = (submission) => ({
+  submission_id: submission.id,
+  candidate_name: submission.candidate_name,
+  recruiter: submission.recruiter,
+});
+
+// Route ids arrive as strings; anything that isn't a serial id can't exist
+const parseId = (id) => {
+  const n = Number(id);
+  if (!Number.isInteger(n) || n < 1) throw new HttpError(404, "Submission not found");
+  return n;
+};
+
+const lockRequisition = async (db, requirementid) => {
+  const { rows } = await db.query("SELECT * FROM requisitions WHERE requirementid = $1 FOR UPDATE", [
+    requirementid,
+  ]);
+  if (!rows.length || rows[0].deleted_at) throw new HttpError(404, "Requisition not found");
+  return rows[0];
+};
+
+// Take (delta -1) or return (delta +1) a slot for a placement
+const adjustSlots = async (db, requisition, delta, actor, submission) => {
+  if (delta < 0 && requisition.slots <= 0) {
+    throw new HttpError(409, "This requisition has no open slots left.");
+  }
+  const slots = requisition.slots + delta;
+  let status = requisition.status;
+  if (slots === 0) status = "Filled";
+  else if (delta > 0 && status === "Filled") status = "Open";
+
+  const { rows } = await db.query(
+    "UPDATE requisitions SET slots = $1, status = $2 WHERE requirementid = $3 RETURNING *",
+    [slots, status, requisition.requirementid]
+  );
+  await recordAudit(
+    db,
+    actor,
+    diffEntries("update", requisition, rows[0]).map((e) => ({
+      ...e,
+      details: { source: "placement", ...submissionDetails(submission) },
+    }))
+  );
+  return rows[0];
+};
+
+export const listSubmissions = async (requirementid) => {
+  const { rows } = await pool.query(
+    "SELECT * FROM submissions WHERE requirementid = $1 ORDER BY created_at ASC, id ASC",
+    [requirementid]
+  );
+  return rows;
+};
+
+// Returns { submission, requisition } where requisition is the row after any slot change
+export const createSubmission = (requirementid, body, actor) =>
+  withTransaction(async (db) => {
+    const { values, errors } = validateSubmission(body, { mode: "create" });
+    if (hasErrors(errors)) throw validationError(errors);
+
+    let requisition = await lockRequisition(db, requirementid);
+    if (requisition.status !== "Open") {
+      throw new HttpError(400, "This requirement is not open for submissions.");
+    }
+
+    const { rows } = await db.query(
+      `
+      INSERT INTO submissions (requirementid, candidate_name, recruiter, stage, stage_times, notes)
+      VALUES ($1, $2, $3, $4, jsonb_build_object($4::text, NOW()), $5)
+      RETURNING *;
+      `,
+      [requirementid, values.candidate_name, actor, values.stage, values.notes ?? null]
+    );
+    const submission = rows[0];
+    await recordAudit(db, actor, [
+      {
+        requirementid,
+        action: "add_submission",
+        field: "stage",
+        new_value: submission.stage,
+        details: submissionDetails(submission),
+      },
+    ]);
+
+    if (submission.stage === PLACED) requisition = await adjustSlots(db, requisition, -1, actor, submission);
+    return { submission, requisition };
+  });
+
+export const updateSubmission = (id, body, actor) =>
+  withTransaction(async (db) => {
+    const { values, errors } = validateSubmission(body, { mode: "update" });
+    if (hasErrors(errors)) throw validationError(errors);
+    const keys = Object.keys(values);
+
+    id = parseId(id);
+    const found = await db.query("SELECT requirementid FROM submissions WHERE id = $1", [id]);
+    if (!found.rows.length) throw new HttpError(404, "Submission not found");
+
+    // Requisition first, then the submission: the same order every writer uses
+    let requisition = await lockRequisition(db, found.rows[0].requirementid);
+    const { rows } = await db.query("SELECT * FROM submissions WHERE id = $1 FOR UPDATE", [id]);
+    const before = rows[0];
+    if (!before) throw new HttpError(404, "Submission not found");
+    if (!keys.length) return { submission: before, requisition };
+
+    // keys are whitelisted column names from submissionSchema
+    const setClauses = keys.map((key, i) => `${key} = $${i + 1}`);
+    const params = Object.values(values);
+    if (values.stage && values.stage !== before.stage) {
+      params.push(values.stage);
+      setClauses.push(`stage_times = stage_times || jsonb_build_object($${params.length}::text, NOW())`);
+    }
+    params.push(id);
+    const updated = await db.query(
+      `UPDATE submissions SET ${setClauses.join(", ")} WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+    const submission = updated.rows[0];
+
+    await recordAudit(
+      db,
+      actor,
+      TRACKED_FIELDS.filter((field) => before[field] !== submission[field]).map((field) => ({
+        requirementid: submission.requirementid,
+        action: "update_submission",
+        field,
+        old_value: before[field],
+        new_value: submission[field],
+        details: submissionDetails(submission),
+      }))
+    );
+
+    if (before.stage !== PLACED && submission.stage === PLACED) {
+      requisition = await adjustSlots(db, requisition, -1, actor, submission);
+    } else if (before.stage === PLACED && submission.stage !== PLACED) {
+      requisition = await adjustSlots(db, requisition, 1, actor, submission);
+    }
+    return { submission, requisition };
+  });
+
+export const deleteSubmission = (id, actor) =>
+  withTransaction(async (db) => {
+    id = parseId(id);
+    const found = await db.query("SELECT requirementid FROM submissions WHERE id = $1", [id]);
+    if (!found.rows.length) throw new HttpError(404, "Submission not found");
+
+    let requisition = await lockRequisition(db, found.rows[0].requirementid);
+    const { rows } = await db.query("DELETE FROM submissions WHERE id = $1 RETURNING *", [id]);
+    const submission = rows[0];
+    if (!submission) throw new HttpError(404, "Submission not found");
+    await recordAudit(db, actor, [
+      {
+        requirementid: submission.requirementid,
+        action: "remove_submission",
+        field: "stage",
+        old_value: submission.stage,
+        details: submissionDetails(submission),
+      },
+    ]);
+
+    if (submission.stage === PLACED) requisition = await adjustSlots(db, requisition, 1, actor, submission);
+    return { submission, requisition };
+  });
@@ -0,0 +1,97 @@
+import { validateRequisition } from "./schema.js";
+import { recordAudit, diffEntries } from "./audit.js";
+import { findClient, resolveRequisitionClient } from "./clients.js";
+
+// ===== REQUISITION UPSERTS =====
+// The spreadsheet import (excel.js) and job feeds (feeds.js) both upsert
+// requisitions by requirementid from outside records. What each refuses or
+// only reports stays with it; validating a record, planning it and writing it
+// happen here, so both write rows, client links and history the same way.
+
+// A record checked as an update of `current` (its requirementid can't change)
+// or, without one, as a new requisition. Returns { values, errors }.
+export const validateIncoming = (input, current) =>
+  current
+    ? validateRequisition(
+        Object.fromEntries(Object.entries(input).filter(([field]) => field !== "requirementid")),
+        { mode: "update" }
+      )
+    : validateRequisition(input, { mode: "create" });
+
+/**
+ * Add one valid record to `plan` ({ inserts, updates, unchanged, newClients }):
+ * an insert carrying its values, an update carrying the fields that change
+ * ({ field: { from, to } }), or one more unchanged. `entry` says where the
+ * record came from ({ row } or { record }, plus requirementid).
+ */
+export const planUpsert = async (db, plan, current, values, entry) => {
+  // Spell known clients the way their record does; unknown ones will be created
+  if (values.client) {
+    const known = await findClient(db, values.client);
+    if (known) values.client = known.name;
+    else if (!plan.newClients.includes(values.client)) plan.newClients.push(values.client);
+  }
+
+  if (!current) {
+    plan.inserts.push({ ...entry, values });
+    return;
+  }
+  const changes = Object.fromEntries(
+    Object.entries(values)
+      .filter(([field, value]) => String(value) !== String(current[field] ?? ""))
+      .map(([field, value]) => [field, { from: current[field], to: value }])
+  );
+  if (Object.keys(changes).length) plan.updates.push({ ...entry, changes });
+  else plan.unchanged += 1;
+};
+
+// A planned update's { field: { from, to } } as the values to write
+export const changedValues = (changes) =>
+  Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to]));
+
+const withDetails = (entries, details) => (details ? entries.map((e) => ({ ...e, details })) : entries);
+
+/**
+ * Insert a planned requisition and audit it as `actor`. `extra` sets more
+ * columns (the caller's own column names, e.g. feed_source_id) and `details`
+ * goes on the history entries. Returns the new row.
+ */
+export const insertRequisition = async (db, values, actor, { extra = {}, details } = {}) => {
+  const row = await resolveRequisitionClient(db, values, { mode: "create" });
+  const extraKeys = Object.keys(extra);
+  const { rows } = await db.query(
+    `
+    INSERT INTO requisitions
+      (requirementid, title, client, client_id, slots, status, assigned_recruiters, working_times${extraKeys
+        .map((key) => `, ${key}`)
+        .join("")})
+    VALUES ($1, $2, $3, $4, $5, $6, '{}', '{}'${extraKeys.map((key, i) => `, $${i + 7}`).join("")})
+    RETURNING *;
+    `,
+    [row.requirementid, row.title, row.client, row.client_id, row.slots, row.status, ...Object.values(extra)]
+  );
+  await recordAudit(db, actor, withDetails(diffEntries("create", null, rows[0]), details));
+  return rows[0];
+};
+
+/**
+ * Write `changes` ({ field: value }, validated schema columns) to one
+ * requisition and audit it as `actor`; `extra` and `details` as for
+ * insertRequisition. Returns the row after.
+ */
+export const updateRequisition = async (db, requirementid, changes, actor, { extra = {}, details } = {}) => {
+  const values = { ...(await resolveRequisitionClient(db, changes, { mode: "update" })), ...extra };
+  const fields = Object.keys(values);
+  const { rows: before } = await db.query("SELECT * FROM requisitions WHERE requirementid = $1", [requirementid]);
+  const { rows } = await db.query(
+    `
+    UPDATE requisitions
+    SET ${fields.map((f, i) => `${f}=$${i + 1}`).join(", ")}
+    WHERE requirementid = $${fields.length + 1}
+    RETURNING *;
+    `,
+    [...fields.map((f) => values[f]), requirementid]
+  );
+  await recordAudit(db, actor, withDetails(diffEntries("update", before[0], rows[0]), details));
+  return rows[0];
+};
@@ -0,0 +1,185 @@
+import { pool, withTransaction } from "./db.js";
+import { HttpError } from "./errors.js";
+import { validateSavedView, hasErrors } from "./schema.js";
+import { buildListQuery } from "./listQuery.js";
+import { can } from "./permissions.js";
+
+// ===== SAVED VIEWS =====
+// A saved view is a named layout of the requisitions table (migrations/018):
+// column filters, the typed filter tree, sort, column order, hidden columns,
+// widths, page size and page.
+// Views are private to their owner unless shared; team views are published
+// by someone with views:publish, and one of them may be the team default.
+export const VIEW_COLUMNS = ["requirementid", "title", "client", "slots", "status", "assigned_recruiters", "working"];
+export const PAGE_SIZES = [10, 20, 50, 100];
+const MIN_WIDTH = 40;
+const MAX_WIDTH = 1000;
+
+const validationError = (errors) => new HttpError(400, "Please fix the highlighted fields.", { errors });
+
+const parseId = (id) => {
+  const n = Number(id);
+  if (!Number.isInteger(n) || n < 1) throw new HttpError(404, "View not found");
+  return n;
+};
+
+/**
+ * Check a view's table state; returns { value } or { error }. Filters and
+ * sort go through the same parser as GET /api/requisitions, so a saved view
+ * never holds something the list would refuse.
+ */
+const normalizeState = (raw) => {
+  const state = {};
+  const { filters = {}, where = null, sort = null, columns, hidden = [], widths = {}, pageSize, page } = raw;
+
+  if (typeof filters !== "object" || Array.isArray(filters)) return { error: "filters must be an object." };
+  if (sort !== null && (typeof sort !== "object" || !["asc", "desc"].includes(sort.direction))) {
+    return { error: 'sort must be { field, direction: "asc" | "desc" } or null.' };
+  }
+  try {
+    buildListQuery({ filter: filters, where, sort: sort?.field, dir: sort?.direction });
+  } catch (err) {
+    return { error: err.message };
+  }
+  state.filters = filters;
+  state.where = where;
+  state.sort = sort && { field: sort.field, direction: sort.direction };
+
+  const known = (list) => Array.isArray(list) && list.every((c) => VIEW_COLUMNS.includes(c));
+  if (columns !== undefined) {
+    if (!known(columns)) return { error: `columns must list columns from: ${VIEW_COLUMNS.join(", ")}.` };
+    // Columns added since the view was saved go at the end
+    state.columns = [...new Set([...columns, ...VIEW_COLUMNS])];
+  }
+  if (!known(hidden)) return { error: `hidden must list columns from: ${VIEW_COLUMNS.join(", ")}.` };
+  state.hidden = [...new Set(hidden)];
+
+  if (typeof widths !== "object" || Array.isArray(widths)) return { error: "widths must be an object." };
+  for (const [col, width] of Object.entries(widths)) {
+    if (!VIEW_COLUMNS.includes(col) || !Number.isInteger(width) || width < MIN_WIDTH || width > MAX_WIDTH) {
+      return { error: `widths must map columns to ${MIN_WIDTH}-${MAX_WIDTH} pixels.` };
+    }
+  }
+  state.widths = widths;
+
+  if (pageSize !== undefined) {
+    if (!PAGE_SIZES.includes(pageSize)) return { error: `pageSize must be one of: ${PAGE_SIZES.join(", ")}.` };
+    state.pageSize = pageSize;
+  }
+  if (page !== undefined) {
+    if (!Number.isInteger(page) || page < 1) return { error: "page must be a whole number from 1." };
+    state.page = page;
+  }
+  return { value: state };
+};
+
+const VIEW_SELECT = `
+  SELECT v.*, COALESCE(u.display_name, v.owner) AS owner_name
+  FROM saved_views v
+  LEFT JOIN users u ON u.username = v.owner
+`;
+
+const present = (view, user) => ({
+  ...view,
+  mine: view.owner === user.username,
+  can_edit: view.owner === user.username || (view.team && can(user, "views:publish")),
+});
+
+// The user's own views, views shared with everyone, and team views
+export const listViews = async (user) => {
+  const { rows } = await pool.query(
+    `${VIEW_SELECT} WHERE v.owner = $1 OR v.shared OR v.team ORDER BY v.team DESC, lower(v.name)`,
+    [user.username]
+  );
+  return rows.map((v) => present(v, user));
+};
+
+const loadView = async (db, id, user) => {
+  const { rows } = await db.query(`${VIEW_SELECT} WHERE v.id = $1 FOR UPDATE OF v`, [parseId(id)]);
+  const view = rows[0];
+  if (!view || !(view.owner === user.username || view.shared || view.team)) throw new HttpError(404, "View not found");
+  return view;
+};
+
+// Validate a create/update body; team flags need views:publish
+const checkBody = (body, user, mode) => {
+  const { values, errors } = validateSavedView(body, { mode });
+  if (values.state !== undefined) {
+    const { value, error } = normalizeState(values.state);
+    if (error) errors.state = error;
+    else values.state = value;
+  }
+  if ((values.team || values.is_default) && !can(user, "views:publish")) {
+    throw new HttpError(403, "Only managers can publish team views.");
+  }
+  if (hasErrors(errors)) throw validationError(errors);
+  return values;
+};
+
+const uniqueNameError = (err) =>
+  err.code === "23505" && err.constraint !== "saved_views_one_default_idx"
+    ? validationError({ name: "You already have a view with that name." })
+    : err;
+
+const saveView = async (db, values, id) => {
+  // The new team default replaces the old one
+  if (values.is_default) {
+    await db.query("UPDATE saved_views SET is_default = FALSE WHERE is_default AND id IS DISTINCT FROM $1", [
+      id ?? null,
+    ]);
+  }
+  const row = { ...values, ...(values.state && { state: JSON.stringify(values.state) }) };
+  const keys = Object.keys(row); // whitelisted by savedViewSchema, plus owner on create
+  try {
+    const { rows } = id
+      ? await db.query(
+          `UPDATE saved_views SET ${keys.map((k, i) => `${k} = $${i + 1}`).join(", ")}, updated_at = NOW()
+           WHERE id = $${keys.length + 1} RETURNING id`,
+          [...Object.values(row), id]
+        )
+      : await db.query(
+          `INSERT INTO saved_views (${keys.join(", ")}) VALUES (${keys.map((k, i) => `$${i + 1}`).join(", ")}) RETURNING id`,
+          Object.values(row)
+        );
+    return rows[0].id;
+  } catch (err) {
+    throw uniqueNameError(err);
+  }
+};
+
+const reload = async (db, id, user) => present(await loadView(db, id, user), user);
+
+// body: { name, state, shared?, team?, is_default? }
+export const createView = (body = {}, user) =>
+  withTransaction(async (db) => {
+    const values = checkBody(body, user, "create");
+    if (values.is_default && !values.team) throw validationError({ is_default: "Only team views can be the default." });
+    return reload(db, await saveView(db, { ...values, owner: user.username }), user);
+  });
+
+export const updateView = (id, body = {}, user) =>
+  withTransaction(async (db) => {
+    const view = await loadView(db, id, user);
+    if (!present(view, user).can_edit) throw new HttpError(403, "Only the owner can change this view.");
+    const values = checkBody(body, user, "update");
+    // Un-publishing or editing someone's team view is a manager's call
+    if (view.team && values.team === false && !can(user, "views:publish")) {
+      throw new HttpError(403, "Only managers can publish team views.");
+    }
+    const team = values.team ?? view.team;
+    if (values.is_default && !team) throw validationError({ is_default: "Only team views can be the default." });
+    if (!team && view.is_default) values.is_default = false;
+    if (Object.keys(values).length) await saveView(db, values, view.id);
+    return reload(db, view.id, user);
+  });
+
+// Share with everyone (read-only for them), or make private again
+export const shareView = (id, shared, user) => updateView(id, { shared: shared !== false }, user);
+
+export const deleteView = (id, user) =>
+  withTransaction(async (db) => {
+    const view = await loadView(db, id, user);
+    if (!present(view, user).can_edit) throw new HttpError(403, "Only the owner can delete this view.");
+    await db.query("DELETE FROM saved_views WHERE id = $1", [view.id]);
+    return present(view, user);
+  });
@@ -0,0 +1,161 @@
+import { pool } from "./db.js";
+import { HttpError } from "./errors.js";
+
+// ===== WORK SESSIONS & TIMESHEETS =====
+// capacity.js opens a session when a recruiter starts working a requisition and
+// closes it (with a reason) whenever they come off it, so effort survives the
+// working_times entry being removed.
+export const TIMESHEET_TZ = process.env.TIMESHEET_TZ || "UTC";
+
+const PERIODS = { day: "1 day", week: "1 week" };
+// Report grouping -> expression over the clipped session pieces
+const GROUPS = {
+  recruiter: "recruiter",
+  client: "COALESCE(client_name, client, '(no client)')",
+};
+const MAX_RANGE_DAYS = 366;
+
+// Inside the caller's transaction, next to the requisition update
+export const openSession = (db, requisition, recruiter) =>
+  db.query(
+    `
+    INSERT INTO work_sessions (requirementid, recruiter, client_id, client, started_at)
+    VALUES ($1, $2, $3, $4, NOW())
+    ON CONFLICT DO NOTHING;
+    `,
+    [requisition.requirementid, recruiter, requisition.client_id ?? null, requisition.client ?? null]
+  );
+
+// Close the open session(s) on `requirementid`, for one recruiter or everyone
+export const closeSessions = (db, requirementid, recruiter, reason) =>
+  db.query(
+    `
+    UPDATE work_sessions SET ended_at = NOW(), end_reason = $3
+    WHERE requirementid = $1 AND ($2::text IS NULL OR recruiter = $2) AND ended_at IS NULL;
+    `,
+    [requirementid, recruiter ?? null, reason]
+  );
+
+const isDate = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+
+// This week so far: Monday to today
+const defaultRange = () => {
+  const today = new Date();
+  const monday = new Date(today);
+  monday.setUTCDate(today.getUTCDate() - ((today.getUTCDay() + 6) % 7));
+  return { from: monday.toISOString().slice(0, 10), to: today.toISOString().slice(0, 10) };
+};
+
+/**
+ * Validate timesheet query params:
+ *   from, to (YYYY-MM-DD, inclusive), period=day|week, groupBy=recruiter|client,
+ *   recruiter=<username> (optional).
+ * `user` may only see their own time unless they hold timesheets:all.
+ */
+export const parseTimesheetQuery = (query = {}, { user, canSeeAll }) => {
+  const range = defaultRange();
+  const from = query.from || range.from;
+  const to = query.to || range.to;
+  if (!isDate(from) || !isDate(to)) throw new HttpError(400, "from and to must be dates (YYYY-MM-DD).");
+  if (from > to) throw new HttpError(400, "from must not be after to.");
+  if ((new Date(to) - new Date(from)) / 86400000 > MAX_RANGE_DAYS) {
+    throw new HttpError(400, `Pick a range of at most ${MAX_RANGE_DAYS} days.`);
+  }
+
+  const period = query.period || "day";
+  if (!Object.hasOwn(PERIODS, period)) throw new HttpError(400, 'period must be "day" or "week".');
+  const groupBy = query.groupBy || "recruiter";
+  if (!Object.hasOwn(GROUPS, groupBy)) throw new HttpError(400, 'groupBy must be "recruiter" or "client".');
+
+  let recruiter = typeof query.recruiter === "string" && query.recruiter ? query.recruiter : null;
+  if (!canSeeAll) {
+    if (recruiter && recruiter !== user) throw new HttpError(403, "You can only see your own timesheet.");
+    recruiter = user;
+  }
+  return { from, to, period, groupBy, recruiter };
+};
+
+// Sessions overlapping [from, to], clipped to the range (open ones run until now)
+const SESSIONS_IN_RANGE = `
+  bounds AS (
+    SELECT ($1::date)::timestamp AT TIME ZONE $3 AS range_start,
+           ($2::date + 1)::timestamp AT TIME ZONE $3 AS range_end
+  ),
+  s AS (
+    SELECT ws.*, COALESCE(ws.ended_at, NOW()) AS stopped_at
+    FROM work_sessions ws, bounds
+    WHERE ws.started_at < bounds.range_end
+      AND COALESCE(ws.ended_at, NOW()) > bounds.range_start
+      AND ($4::text IS NULL OR ws.recruiter = $4)
+  )
+`;
+
+/**
+ * Seconds worked per period and recruiter/client. Sessions that cross
+ * midnight (or a week boundary) are split between the periods they touch.
+ * Returns { from, to, period, groupBy, recruiter, tz, rows: [{ period, key, seconds, sessions }] }.
+ */
+export const timesheetReport = async ({ from, to, period, groupBy, recruiter }) => {
+  const { rows } = await pool.query(
+    `
+    WITH ${SESSIONS_IN_RANGE},
+    pieces AS (
+      SELECT s.*, c.name AS client_name, to_char(bucket, 'YYYY-MM-DD') AS period,
+             bucket AT TIME ZONE $3 AS bucket_start,
+             (bucket + $5::interval) AT TIME ZONE $3 AS bucket_end
+      FROM s
+      LEFT JOIN clients c ON c.id = s.client_id
+      CROSS JOIN LATERAL generate_series(
+        date_trunc($6, s.started_at AT TIME ZONE $3),
+        s.stopped_at AT TIME ZONE $3,
+        $5::interval
+      ) AS bucket
+    ),
+    clipped AS (
+      SELECT p.*,
+             GREATEST(p.started_at, p.bucket_start, b.range_start) AS piece_start,
+             LEAST(p.stopped_at, p.bucket_end, b.range_end) AS piece_end
+      FROM pieces p, bounds b
+    )
+    SELECT period, ${GROUPS[groupBy]} AS key,
+           SUM(EXTRACT(EPOCH FROM piece_end - piece_start))::bigint AS seconds,
+           COUNT(DISTINCT id)::int AS sessions
+    FROM clipped
+    WHERE piece_end > piece_start
+    GROUP BY 1, 2
+    ORDER BY 1, 2;
+    `,
+    [from, to, TIMESHEET_TZ, recruiter, PERIODS[period], period]
+  );
+  return {
+    from,
+    to,
+    period,
+    groupBy,
+    recruiter,
+    tz: TIMESHEET_TZ,
+    rows: rows.map((r) => ({
+      period: r.period,
+      key: r.key,
+      seconds: Number(r.seconds),
+      sessions: r.sessions,
+    })),
+  };
+};
+
+// The individual sessions behind a report, newest first
+export const listSessions = async ({ from, to, recruiter }) => {
+  const { rows } = await pool.query(
+    `
+    WITH ${SESSIONS_IN_RANGE}
+    SELECT s.id, s.requirementid, s.recruiter, COALESCE(c.name, s.client) AS client,
+           s.started_at, s.ended_at, s.end_reason,
+           EXTRACT(EPOCH FROM s.stopped_at - s.started_at)::bigint AS seconds
+    FROM s
+    LEFT JOIN clients c ON c.id = s.client_id
+    ORDER BY s.started_at DESC;
+    `,
+    [from, to, TIMESHEET_TZ, recruiter]
+  );
+  return rows.map((r) => ({ ...r, seconds: Number(r.seconds) }));
+};
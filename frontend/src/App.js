@@ -2,37 +2,198 @@
 import React, { useRef, useState, useEffect } from "react";
 import axios from "axios";
 import Table from "./components/Table.jsx";
+import Login from "./components/Login.jsx";
+import ConnectionStatus from "./components/ConnectionStatus.jsx";
+import ClientPicker from "./components/ClientPicker.jsx";
+import Timesheet from "./components/Timesheet.jsx";
+import Dashboard from "./components/Dashboard.jsx";
+import NotificationSettings from "./components/NotificationSettings.jsx";
+import Feeds from "./components/Feeds.jsx";
+import PresenceBar from "./components/PresenceBar.jsx";
+import socket from "./socket";
+import { getToken, clearToken, setUnauthorizedHandler } from "./auth";
 import "./App.css";
 
+// Tabs, reachable by URL hash (#dashboard); `permission` hides a tab from roles without it
+const VIEWS = [
+  { key: "requisitions", label: "Requisitions" },
+  { key: "dashboard", label: "Dashboard", permission: "dashboard:read" },
+  { key: "timesheet", label: "Timesheet" },
+  { key: "feeds", label: "Feeds", permission: "feeds:manage" },
+];
+// Why the server took someone off a requisition (backend/autorelease.js)
+const RELEASE_REASONS = {
+  idle: "no activity for a while",
+  "end-of-day": "end of day",
+  disconnected: "you were disconnected",
+};
+// How often the page tells the server the user is still at the keyboard
+const ACTIVITY_PING_MS = 60 * 1000;
+// Presence: a tab with no input this long (or hidden) shows as idle
+const IDLE_AFTER_MS = 2 * 60 * 1000;
+const PRESENCE_SYNC_MS = 60 * 1000;
+const ACTIVITY_EVENTS = ["keydown", "mousedown", "wheel", "touchstart"];
+
+const viewFromHash = () => window.location.hash.replace(/^#/, "") || "requisitions";
+
 function App() {
   const tableRef = useRef();
-  const [currentUser, setCurrentUser] = useState("");
+  const [currentUser, setCurrentUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [view, setView] = useState(viewFromHash);
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [presence, setPresence] = useState({}); // { username: { display_name, idle, focused, tabs } }
+  const [focusedRow, setFocusedRow] = useState(null); // requirementid this tab is on
+  const presenceState = useRef({ idle: false, focused: null }); // what this tab last reported
   const [newReq, setNewReq] = useState({
     requirementId: "",
     title: "",
     client: "",
+    client_id: null,
     slots: 1,
     status: "Open",
   });
   const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
 
+  // Server reports errors by column name; the form uses requirementId and one client field
+  const formKey = (field) =>
+    field === "requirementid" ? "requirementId" : field === "client_id" ? "client" : field;
+
+  const updateField = (key, value) => {
+    setNewReq((prev) => ({ ...prev, [key]: value }));
+    setFieldErrors((prev) => {
+      if (!prev[key]) return prev;
+      const copy = { ...prev };
+      delete copy[key];
+      return copy;
+    });
+  };
+
+  // Restore the session from a stored token
   useEffect(() => {
-    let user = localStorage.getItem("recruiterName");
-    if (!user) {
-      user = prompt("Enter your name:");
-      if (user) localStorage.setItem("recruiterName", user);
+    setUnauthorizedHandler(() => setCurrentUser(null));
+    if (!getToken()) {
+      setAuthChecked(true);
+      return;
     }
-    setCurrentUser(user || "Anonymous");
+    axios
+      .get("/api/auth/me")
+      .then((res) => setCurrentUser(res.data))
+      .catch(() => setCurrentUser(null))
+      .finally(() => setAuthChecked(true));
   }, []);
 
+  // Socket follows the session: connect on login, drop on logout
+  useEffect(() => {
+    if (!currentUser) return;
+    socket.connect();
+    return () => socket.disconnect();
+  }, [currentUser]);
+
+  // Report keyboard/mouse use so stale "Working?" flags can be told apart
+  useEffect(() => {
+    if (!currentUser) return;
+    let lastPing = 0;
+    const onActivity = () => {
+      if (Date.now() - lastPing < ACTIVITY_PING_MS || !socket.connected) return;
+      lastPing = Date.now();
+      socket.emit("user_active");
+    };
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, onActivity, { passive: true }));
+
+    // Tell the user when the server released one of their assignments
+    const onReleased = ({ requirementid, recruiter, reason }) => {
+      if (recruiter !== currentUser.username) return;
+      setError(`You were taken off ${requirementid} (${RELEASE_REASONS[reason] || reason}).`);
+      setTimeout(() => setError(""), 8000);
+    };
+    socket.on("assignment_released", onReleased);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, onActivity));
+      socket.off("assignment_released", onReleased);
+    };
+  }, [currentUser]);
+
+  // Presence: who is online, and this tab's idle state and focused row
+  useEffect(() => {
+    if (!currentUser) return;
+    const report = (changes) => {
+      presenceState.current = { ...presenceState.current, ...changes };
+      if (socket.connected) socket.emit("presence_state", changes);
+    };
+    const loadSnapshot = (users) =>
+      setPresence(Object.fromEntries((users || []).map((u) => [u.username, u])));
+    const onUpdate = (user) =>
+      setPresence((prev) => {
+        const next = { ...prev };
+        if (user.online) next[user.username] = user;
+        else delete next[user.username];
+        return next;
+      });
+    // A reconnect opens a new socket server-side; give it this tab's state
+    const onConnect = () => socket.emit("presence_state", presenceState.current);
+    socket.on("presence_snapshot", loadSnapshot);
+    socket.on("presence_update", onUpdate);
+    socket.on("connect", onConnect);
+
+    let idleTimer;
+    const onActivity = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => report({ idle: true }), IDLE_AFTER_MS);
+      if (presenceState.current.idle && !document.hidden) report({ idle: false });
+    };
+    const onVisibility = () => (document.hidden ? report({ idle: true }) : onActivity());
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, onActivity, { passive: true }));
+    document.addEventListener("visibilitychange", onVisibility);
+    onActivity();
+
+    const sync = setInterval(() => {
+      if (socket.connected) socket.emit("presence_snapshot", (res) => res?.ok && loadSnapshot(res.users));
+    }, PRESENCE_SYNC_MS);
+
+    return () => {
+      socket.off("presence_snapshot", loadSnapshot);
+      socket.off("presence_update", onUpdate);
+      socket.off("connect", onConnect);
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, onActivity));
+      document.removeEventListener("visibilitychange", onVisibility);
+      clearTimeout(idleTimer);
+      clearInterval(sync);
+    };
+  }, [currentUser]);
+
+  useEffect(() => {
+    if (presenceState.current.focused === focusedRow) return;
+    presenceState.current = { ...presenceState.current, focused: focusedRow };
+    if (socket.connected) socket.emit("presence_state", { focused: focusedRow });
+  }, [focusedRow]);
+
+  // Follow back/forward and pasted #links
+  useEffect(() => {
+    const onHashChange = () => setView(viewFromHash());
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  const handleLogout = async () => {
+    try {
+      await axios.post("/api/auth/logout");
+    } catch (err) {
+      console.error("Error logging out:", err);
+    }
+    clearToken();
+    setCurrentUser(null);
+  };
+
   const handleAddRow = async () => {
-    if (
-      !newReq.requirementId.trim() ||
-      !newReq.title.trim() ||
-      !newReq.client.trim()
-    ) {
-      setError("Please enter Requirement ID, Job Title, and Client name");
-      setTimeout(() => setError(""), 4000);
+    const missing = {};
+    if (!newReq.requirementId.trim()) missing.requirementId = "Requirement ID is required.";
+    if (!newReq.title.trim()) missing.title = "Job Title is required.";
+    if (!newReq.client.trim()) missing.client = "Client is required.";
+    if (Object.keys(missing).length) {
+      setFieldErrors(missing);
       return;
     }
 
@@ -42,107 +203,183 @@ function App() {
         requirementId: "",
         title: "",
         client: "",
+        client_id: null,
         slots: 1,
         status: "Open",
       });
+      setFieldErrors({});
       tableRef.current?.fetchRows();
     } catch (err) {
       console.error(err);
-      setError("Error adding new requisition");
+      const serverErrors = err.response?.data?.errors;
+      if (serverErrors) {
+        setFieldErrors(
+          Object.fromEntries(
+            Object.entries(serverErrors).map(([field, msg]) => [formKey(field), msg])
+          )
+        );
+        return;
+      }
+      setError(err.response?.data?.message || "Error adding new requisition");
       setTimeout(() => setError(""), 4000);
     }
   };
 
+  const fieldError = (key) =>
+    fieldErrors[key] && <span className="field-error">{fieldErrors[key]}</span>;
+
+  if (!authChecked) return null;
+  if (!currentUser) return <Login onLogin={setCurrentUser} />;
+
+  const canCreate = (currentUser.permissions || []).includes("requisitions:create");
+  const canSeeAllTime = (currentUser.permissions || []).includes("timesheets:all");
+  const views = VIEWS.filter((v) => !v.permission || (currentUser.permissions || []).includes(v.permission));
+  const activeView = views.some((v) => v.key === view) ? view : "requisitions";
+  const online = Object.values(presence);
+  // { requirementid: [other users on that row] }
+  const viewers = online.reduce((acc, u) => {
+    if (u.focused && u.username !== currentUser.username) (acc[u.focused] ||= []).push(u);
+    return acc;
+  }, {});
+
   return (
     <>
       <header className="mb-4">
         <div className="text-sm text-gray-600">
-          Logged in as: <span className="font-semibold">{currentUser}</span>
+          Logged in as:{" "}
+          <span className="font-semibold">{currentUser.display_name}</span>{" "}
+          <span className="role-badge">{currentUser.role}</span>
+          <button className="logout-btn" onClick={() => setShowNotifications(true)}>
+            🔔 Notifications
+          </button>
+          <button className="logout-btn" onClick={handleLogout}>
+            Log out
+          </button>
+          <ConnectionStatus />
         </div>
       </header>
 
+      <PresenceBar users={online} currentUser={currentUser.username} />
+
+      {showNotifications && <NotificationSettings onClose={() => setShowNotifications(false)} />}
+
+      <nav className="view-tabs">
+        {views.map(({ key, label }) => (
+          <button
+            key={key}
+            className={activeView === key ? "active" : ""}
+            onClick={() => {
+              window.location.hash = key;
+              setView(key);
+            }}
+          >
+            {label}
+          </button>
+        ))}
+      </nav>
+
       {error && (
         <div className={`error-message ${error ? "" : "fade-out"}`}>
           {error}
         </div>
       )}
 
-      <div className="add-req-container">
-        <div>
-          <label className="block text-xs font-semibold text-gray-600">
-            Requirement ID
-          </label>
-          <input
-            className="border p-1 rounded w-40"
-            value={newReq.requirementId}
-            onChange={(e) =>
-              setNewReq({ ...newReq, requirementId: e.target.value })
-            }
-          />
-        </div>
+      {activeView === "requisitions" && canCreate && (
+        <div className="add-req-container">
+          <div>
+            <label className="block text-xs font-semibold text-gray-600">
+              Requirement ID
+            </label>
+            <input
+              className="border p-1 rounded w-40"
+              value={newReq.requirementId}
+              onChange={(e) => updateField("requirementId", e.target.value)}
+            />
+            {fieldError("requirementId")}
+          </div>
 
-        <div>
-          <label className="block text-xs font-semibold text-gray-600">
-            Job Title
-          </label>
-          <input
-            className="border p-1 rounded w-48"
-            value={newReq.title}
-            onChange={(e) => setNewReq({ ...newReq, title: e.target.value })}
-          />
-        </div>
+          <div>
+            <label className="block text-xs font-semibold text-gray-600">
+              Job Title
+            </label>
+            <input
+              className="border p-1 rounded w-48"
+              value={newReq.title}
+              onChange={(e) => updateField("title", e.target.value)}
+            />
+            {fieldError("title")}
+          </div>
 
-        <div>
-          <label className="block text-xs font-semibold text-gray-600">
-            Client
-          </label>
-          <input
-            className="border p-1 rounded w-48"
-            value={newReq.client}
-            onChange={(e) => setNewReq({ ...newReq, client: e.target.value })}
-          />
-        </div>
+          <div>
+            <label className="block text-xs font-semibold text-gray-600">
+              Client
+            </label>
+            <ClientPicker
+              className="border p-1 rounded w-48"
+              value={newReq.client}
+              onChange={({ name, id }) => {
+                updateField("client", name);
+                updateField("client_id", id);
+              }}
+            />
+            {fieldError("client")}
+          </div>
 
-        <div>
-          <label className="block text-xs font-semibold text-gray-600">
-            Slots
-          </label>
-          <input
-            type="number"
-            className="border p-1 rounded w-20 text-center"
-            min="1"
-            value={newReq.slots}
-            onChange={(e) =>
-              setNewReq({ ...newReq, slots: Number(e.target.value) })
-            }
-          />
-        </div>
+          <div>
+            <label className="block text-xs font-semibold text-gray-600">
+              Slots
+            </label>
+            <input
+              type="number"
+              className="border p-1 rounded w-20 text-center"
+              min="1"
+              value={newReq.slots}
+              onChange={(e) => updateField("slots", Number(e.target.value))}
+            />
+            {fieldError("slots")}
+          </div>
 
-        <div>
-          <label className="block text-xs font-semibold text-gray-600">
-            Status
-          </label>
-          <select
-            className="border p-1 rounded"
-            value={newReq.status}
-            onChange={(e) => setNewReq({ ...newReq, status: e.target.value })}
-          >
-            <option>Open</option>
-            <option>Closed</option>
-            <option>On Hold</option>
-            <option>Filled</option>
-            <option>Cancelled</option>
-          </select>
-        </div>
+          <div>
+            <label className="block text-xs font-semibold text-gray-600">
+              Status
+            </label>
+            <select
+              className="border p-1 rounded"
+              value={newReq.status}
+              onChange={(e) => updateField("status", e.target.value)}
+            >
+              <option>Open</option>
+              <option>Closed</option>
+              <option>On Hold</option>
+              <option>Filled</option>
+              <option>Cancelled</option>
+            </select>
+            {fieldError("status")}
+          </div>
 
-        <button className="add-req-btn" onClick={handleAddRow}>
-          + Add Requirement
-        </button>
-      </div>
+          <button className="add-req-btn" onClick={handleAddRow}>
+            + Add Requirement
+          </button>
+        </div>
+      )}
 
       {/* 🧊 Frosted Glass Background only for the Table */}
       <div className="main-container">
-        <Table ref={tableRef} />
+        {activeView === "dashboard" ? (
+          <Dashboard />
+        ) : activeView === "timesheet" ? (
+          <Timesheet currentUser={currentUser.username} canSeeAll={canSeeAllTime} />
+        ) : activeView === "feeds" ? (
+          <Feeds />
+        ) : (
+          <Table
+            ref={tableRef}
+            currentUser={currentUser.username}
+            permissions={currentUser.permissions || []}
+            viewers={viewers}
+            onFocusRow={setFocusedRow}
+          />
+        )}
       </div>
     </>
   );
@@ -0,0 +1,31 @@
+import axios from "axios";
+
+const TOKEN_KEY = "authToken";
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+export const setToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY);
+
+// Attach the session token to every API call
+axios.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// Let the app drop back to the login screen when the session expires
+let onUnauthorized = () => {};
+export const setUnauthorizedHandler = (handler) => {
+  onUnauthorized = handler;
+};
+
+axios.interceptors.response.use(
+  (res) => res,
+  (err) => {
+    if (err.response?.status === 401 && !err.config?.url?.startsWith("/api/auth/login")) {
+      clearToken();
+      onUnauthorized();
+    }
+    return Promise.reject(err);
+  }
+);
@@ -0,0 +1,160 @@
+import React, { useState } from "react";
+import "./BulkBar.css";
+
+const STATUSES = ["Open", "Closed", "On Hold", "Filled", "Cancelled"];
+const MAX_LISTED_ERRORS = 8;
+
+/**
+ * Actions over the selected requisitions (POST /api/requisitions/bulk); which
+ * ones depends on the list they were picked from (scope: active, archived, trash).
+ * onRun(changes) sends { action, ... } for the whole selection and resolves
+ * to null once it's saved, or { message, errors } (errors: { requirementid:
+ * message }) when nothing was.
+ */
+function BulkBar({
+  count,
+  allMatching,
+  totalMatching,
+  pageSelected,
+  onSelectAllMatching,
+  onClear,
+  onRun,
+  scope,
+  canEdit,
+  canDelete,
+  canRelease,
+}) {
+  const [status, setStatus] = useState("Closed");
+  const [slotMode, setSlotMode] = useState("set");
+  const [slots, setSlots] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [failure, setFailure] = useState(null); // { message, errors }
+
+  const run = async (changes, confirmText) => {
+    if (confirmText && !window.confirm(confirmText)) return;
+    setBusy(true);
+    setFailure(null);
+    setFailure(await onRun(changes));
+    setBusy(false);
+  };
+
+  const applySlots = () => {
+    const n = Number(slots);
+    if (slots === "" || !Number.isInteger(n)) return;
+    run(slotMode === "set" ? { action: "slots", slots: n } : { action: "slots", adjust: n });
+  };
+
+  const label = `${count} requisition${count === 1 ? "" : "s"}`;
+  const errors = Object.entries(failure?.errors || {});
+
+  return (
+    <div className="bulk-bar">
+      <div className="bulk-bar-row">
+        <strong>{allMatching ? `All ${label} matching the filters` : `${label} selected`}</strong>
+        {pageSelected && !allMatching && totalMatching > count && (
+          <button className="bulk-link" onClick={onSelectAllMatching}>
+            Select all {totalMatching} matching
+          </button>
+        )}
+        <button className="bulk-link" onClick={onClear}>
+          Clear selection
+        </button>
+
+        <span className="bulk-spacer" />
+        {scope === "active" && canEdit && (
+          <>
+            <label>
+              Status{" "}
+              <select value={status} onChange={(e) => setStatus(e.target.value)} disabled={busy}>
+                {STATUSES.map((s) => (
+                  <option key={s} value={s}>
+                    {s}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button disabled={busy} onClick={() => run({ action: "status", status })}>
+              Apply
+            </button>
+
+            <label>
+              Slots{" "}
+              <select value={slotMode} onChange={(e) => setSlotMode(e.target.value)} disabled={busy}>
+                <option value="set">set to</option>
+                <option value="adjust">change by</option>
+              </select>
+            </label>
+            <input
+              type="number"
+              className="bulk-slots"
+              min={slotMode === "set" ? 0 : undefined}
+              value={slots}
+              onChange={(e) => setSlots(e.target.value)}
+              disabled={busy}
+            />
+            <button disabled={busy || slots === ""} onClick={applySlots}>
+              Apply
+            </button>
+          </>
+        )}
+        {scope === "active" && canRelease && (
+          <button
+            disabled={busy}
+            onClick={() =>
+              run({ action: "release" }, `Release every recruiter working on the ${label} selected?`)
+            }
+          >
+            Release recruiters
+          </button>
+        )}
+        {scope === "active" && canEdit && (
+          <button disabled={busy} onClick={() => run({ action: "archive" })}>
+            Archive
+          </button>
+        )}
+        {scope === "archived" && canEdit && (
+          <button disabled={busy} onClick={() => run({ action: "unarchive" })}>
+            Unarchive
+          </button>
+        )}
+        {scope !== "trash" && canDelete && (
+          <button
+            className="bulk-danger"
+            disabled={busy}
+            onClick={() => run({ action: "delete" }, `Move ${label} to the trash?`)}
+          >
+            Delete
+          </button>
+        )}
+        {scope === "trash" && canDelete && (
+          <>
+            <button disabled={busy} onClick={() => run({ action: "restore" })}>
+              Restore
+            </button>
+            <button
+              className="bulk-danger"
+              disabled={busy}
+              onClick={() => run({ action: "purge" }, `Delete ${label} for good? This can't be undone.`)}
+            >
+              Delete forever
+            </button>
+          </>
+        )}
+      </div>
+
+      {failure && <div className="bulk-error">{failure.message}</div>}
+      {errors.length > 0 && (
+        <ul className="bulk-errors">
+          {errors.slice(0, MAX_LISTED_ERRORS).map(([id, message]) => (
+            <li key={id}>
+              <strong>{id}</strong>: {message}
+            </li>
+          ))}
+          {errors.length > MAX_LISTED_ERRORS && <li>…and {errors.length - MAX_LISTED_ERRORS} more</li>}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default BulkBar;
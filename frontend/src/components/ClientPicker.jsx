@@ -0,0 +1,115 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import "./ClientPicker.css";
+
+const SUGGEST_DELAY_MS = 200;
+
+// Text input with client suggestions. onChange({ name, id }) fires on every
+// keystroke (id null: the server matches the name or creates the client) and
+// with the record's id when a suggestion is picked.
+function ClientPicker({ value, onChange, onFocus, onBlur, className = "", disabled, placeholder }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const [query, setQuery] = useState(null); // text typed since focus; null = don't search
+  const timer = useRef(null);
+
+  useEffect(() => {
+    if (query === null) return;
+    clearTimeout(timer.current);
+    let cancelled = false;
+    timer.current = setTimeout(async () => {
+      try {
+        const res = await axios.get("/api/clients", { params: { q: query } });
+        if (cancelled) return;
+        setSuggestions(res.data || []);
+        setActive(-1);
+      } catch (err) {
+        console.error("Error fetching clients:", err);
+      }
+    }, SUGGEST_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer.current);
+    };
+  }, [query]);
+
+  const pick = (client) => {
+    onChange({ name: client.name, id: client.id });
+    setOpen(false);
+    setQuery(null);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || !suggestions.length) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((i) => Math.min(i + 1, suggestions.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => Math.max(i - 1, 0));
+    } else if (e.key === "Enter" && active >= 0) {
+      e.preventDefault();
+      pick(suggestions[active]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  // Which alias made a suggestion match, so "ACME Corp" → "Acme" isn't a surprise
+  const matchedAlias = (client) => {
+    const typed = (value || "").trim().toLowerCase();
+    if (!typed || client.name.toLowerCase().includes(typed)) return null;
+    return (client.aliases || []).find((a) => a.toLowerCase().includes(typed)) || null;
+  };
+
+  return (
+    <div className="client-picker">
+      <input
+        className={className}
+        value={value}
+        placeholder={placeholder}
+        disabled={disabled}
+        onChange={(e) => {
+          onChange({ name: e.target.value, id: null });
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={(e) => {
+          setQuery(value || "");
+          setOpen(true);
+          onFocus?.(e);
+        }}
+        onBlur={(e) => {
+          setOpen(false);
+          setQuery(null);
+          onBlur?.(e);
+        }}
+        onKeyDown={handleKeyDown}
+      />
+      {open && suggestions.length > 0 && (
+        <ul className="client-suggestions">
+          {suggestions.map((client, i) => {
+            const alias = matchedAlias(client);
+            return (
+              <li
+                key={client.id}
+                className={i === active ? "active" : ""}
+                // mousedown keeps focus in the input, so the pick lands before blur saves
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(client);
+                }}
+              >
+                {client.name}
+                {alias && <span className="client-alias">aka {alias}</span>}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ClientPicker;
@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import "./ConflictDialog.css";
+
+const FIELD_LABELS = {
+  title: "Job Title",
+  client: "Client",
+  client_id: "Client record",
+  slots: "Slots",
+  status: "Status",
+};
+
+const same = (a, b) => String(a ?? "") === String(b ?? "");
+const show = (value) => (value === null || value === undefined || value === "" ? "—" : String(value));
+
+// Mine vs theirs for each field I edited; fields they didn't touch default to mine
+function ConflictDialog({ conflict, onResolve, onCancel }) {
+  const { reqId, base, mine, theirs } = conflict;
+  const fields = Object.keys(mine);
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(fields.map((f) => [f, same(base[f], theirs[f]) ? "mine" : "theirs"]))
+  );
+
+  const merged = Object.fromEntries(
+    fields.filter((f) => choices[f] === "mine").map((f) => [f, mine[f]])
+  );
+
+  return (
+    <div className="conflict-overlay">
+      <div className="conflict-dialog" role="dialog" aria-modal="true">
+        <h2>Edit conflict — {reqId}</h2>
+        <p className="conflict-note">
+          Someone saved this requisition
+          {theirs.updated_at ? ` at ${new Date(theirs.updated_at).toLocaleTimeString()}` : ""} while
+          you were editing. Choose which value to keep for each field.
+        </p>
+
+        <table className="conflict-table">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Was</th>
+              <th>Mine</th>
+              <th>Theirs</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map((f) => (
+              <tr key={f} className={same(base[f], theirs[f]) ? "" : "conflict-changed"}>
+                <td>{FIELD_LABELS[f] || f}</td>
+                <td>{show(base[f])}</td>
+                <td>
+                  <label>
+                    <input
+                      type="radio"
+                      name={`conflict-${f}`}
+                      checked={choices[f] === "mine"}
+                      onChange={() => setChoices((prev) => ({ ...prev, [f]: "mine" }))}
+                    />{" "}
+                    {show(mine[f])}
+                  </label>
+                </td>
+                <td>
+                  <label>
+                    <input
+                      type="radio"
+                      name={`conflict-${f}`}
+                      checked={choices[f] === "theirs"}
+                      onChange={() => setChoices((prev) => ({ ...prev, [f]: "theirs" }))}
+                    />{" "}
+                    {show(theirs[f])}
+                  </label>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="conflict-actions">
+          <button onClick={onCancel}>Decide later</button>
+          <button onClick={() => onResolve("theirs", {})}>Keep theirs</button>
+          <button onClick={() => onResolve("mine", mine)}>Overwrite with mine</button>
+          <button className="add-req-btn" onClick={() => onResolve("merge", merged)}>
+            Apply merge
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictDialog;
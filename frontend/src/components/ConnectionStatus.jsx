@@ -0,0 +1,45 @@
+import React, { useEffect, useState } from "react";
+import socket from "../socket";
+import "./ConnectionStatus.css";
+
+const LABELS = {
+  live: "Live",
+  reconnecting: "Reconnecting…",
+  offline: "Offline",
+};
+
+// socket.active stays true while Socket.IO is still retrying on its own
+const currentState = () => {
+  if (socket.connected) return "live";
+  if (!navigator.onLine || !socket.active) return "offline";
+  return "reconnecting";
+};
+
+function ConnectionStatus() {
+  const [state, setState] = useState(currentState);
+
+  useEffect(() => {
+    const update = () => setState(currentState());
+    socket.on("connect", update);
+    socket.on("disconnect", update);
+    socket.on("connect_error", update);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      socket.off("connect", update);
+      socket.off("disconnect", update);
+      socket.off("connect_error", update);
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  return (
+    <span className={`connection-status connection-${state}`} title="Real-time updates">
+      <span className="connection-dot" />
+      {LABELS[state]}
+    </span>
+  );
+}
+
+export default ConnectionStatus;
@@ -0,0 +1,308 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import axios from "axios";
+import socket from "../socket";
+import "./Dashboard.css";
+
+// Same colors as the status cells in Table.css
+const STATUS_COLORS = {
+  Open: "#16a34a",
+  "On Hold": "#d97706",
+  Filled: "#2563eb",
+  Closed: "#dc2626",
+  Cancelled: "#9333ea",
+};
+const STATUS_ORDER = Object.keys(STATUS_COLORS);
+
+// Requisition events only say "something changed"; refetch at most this often
+const REFRESH_THROTTLE_MS = 1500;
+// Time-based figures (time in status, hours) drift even without events
+const REFRESH_INTERVAL_MS = 60000;
+
+const LIVE_EVENTS = ["requisition_created", "requisitions_updated", "requisition_deleted", "requisitions_batch"];
+
+const formatHours = (value) => {
+  if (value === null || value === undefined) return "—";
+  if (value >= 48) return `${(value / 24).toFixed(1)} d`;
+  return `${value.toFixed(1)} h`;
+};
+
+const formatSince = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+// Horizontal bars; each item is { label, value, display?, color? } or
+// { label, segments: [{ key, value, color }] } for a stacked bar
+function BarChart({ items, max }) {
+  const total = (item) => (item.segments ? item.segments.reduce((sum, s) => sum + s.value, 0) : item.value);
+  const scale = max || Math.max(1, ...items.map(total));
+  if (!items.length) return <p className="dashboard-empty">Nothing to show.</p>;
+  return (
+    <div className="bar-chart">
+      {items.map((item) => (
+        <div key={item.label} className="bar-row">
+          <span className="bar-label" title={item.label}>
+            {item.label}
+          </span>
+          <span className="bar-track">
+            {(item.segments || [{ key: "value", value: item.value, color: item.color }]).map((s) => (
+              <span
+                key={s.key}
+                className="bar-fill"
+                title={s.key === "value" ? undefined : `${s.key}: ${s.value}`}
+                style={{ width: `${(Math.min(s.value, scale) / scale) * 100}%`, backgroundColor: s.color }}
+              />
+            ))}
+          </span>
+          <span className="bar-value">{item.display ?? total(item)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Legend() {
+  return (
+    <div className="chart-legend">
+      {STATUS_ORDER.map((status) => (
+        <span key={status}>
+          <i style={{ backgroundColor: STATUS_COLORS[status] }} />
+          {status}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Team-wide metrics for managers; refreshes when requisitions change
+function Dashboard() {
+  const [days, setDays] = useState(30);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState("");
+  const refreshTimer = useRef(null);
+
+  const fetchDashboard = useCallback(async () => {
+    try {
+      const res = await axios.get("/api/dashboard", { params: { days } });
+      setData(res.data);
+      setError("");
+    } catch (err) {
+      console.error("Error fetching dashboard:", err);
+      setError(err.response?.data?.message || "Error fetching dashboard");
+    }
+  }, [days]);
+
+  useEffect(() => {
+    fetchDashboard();
+    const interval = setInterval(fetchDashboard, REFRESH_INTERVAL_MS);
+
+    // One refetch per window: events while one is pending ride along with it,
+    // so a steady stream of changes still refreshes every REFRESH_THROTTLE_MS
+    const scheduleRefresh = () => {
+      if (refreshTimer.current) return;
+      refreshTimer.current = setTimeout(() => {
+        refreshTimer.current = null;
+        fetchDashboard();
+      }, REFRESH_THROTTLE_MS);
+    };
+    LIVE_EVENTS.forEach((name) => socket.on(name, scheduleRefresh));
+    socket.on("connect", scheduleRefresh);
+
+    return () => {
+      clearInterval(interval);
+      clearTimeout(refreshTimer.current);
+      refreshTimer.current = null;
+      LIVE_EVENTS.forEach((name) => socket.off(name, scheduleRefresh));
+      socket.off("connect", scheduleRefresh);
+    };
+  }, [fetchDashboard]);
+
+  // Open slots per client, and requisitions per client stacked by status
+  const { openSlots, byClient, totals } = useMemo(() => {
+    const rows = data?.pipeline || [];
+    const clients = {};
+    const totals = { open: 0, slots: 0, requisitions: 0 };
+    rows.forEach((r) => {
+      const c = (clients[r.client] ||= { slots: 0, statuses: {} });
+      c.statuses[r.status] = r.requisitions;
+      totals.requisitions += r.requisitions;
+      if (r.status === "Open") {
+        c.slots += r.slots;
+        totals.open += r.requisitions;
+        totals.slots += r.slots;
+      }
+    });
+    const names = Object.keys(clients).sort((a, b) => a.localeCompare(b));
+    return {
+      totals,
+      openSlots: names
+        .filter((name) => clients[name].slots > 0)
+        .map((name) => ({ label: name, value: clients[name].slots, color: STATUS_COLORS.Open })),
+      byClient: names.map((name) => ({
+        label: name,
+        segments: STATUS_ORDER.filter((s) => clients[name].statuses[s]).map((s) => ({
+          key: s,
+          value: clients[name].statuses[s],
+          color: STATUS_COLORS[s],
+        })),
+      })),
+    };
+  }, [data]);
+
+  if (!data) {
+    return error ? <div className="dashboard-error">{error}</div> : <p className="dashboard-empty">Loading…</p>;
+  }
+
+  const ttf = data["time-to-fill"];
+  const unworked = data.unworked;
+  const utilization = data.utilization;
+
+  return (
+    <div className="dashboard">
+      <div className="dashboard-controls">
+        <label>
+          Look back
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+            {[7, 30, 90, 365].map((d) => (
+              <option key={d} value={d}>
+                {d} days
+              </option>
+            ))}
+          </select>
+        </label>
+        <span className="dashboard-updated">Updated {new Date(data.generated_at).toLocaleTimeString()}</span>
+        {error && <span className="dashboard-error">{error}</span>}
+      </div>
+
+      <div className="dashboard-tiles">
+        <div className="tile">
+          <b>{totals.open}</b>
+          <span>open requisitions</span>
+        </div>
+        <div className="tile">
+          <b>{totals.slots}</b>
+          <span>open slots</span>
+        </div>
+        <div className="tile">
+          <b>{unworked.total}</b>
+          <span>open with nobody working</span>
+        </div>
+        <div className="tile">
+          <b>{formatHours(ttf.median_hours)}</b>
+          <span>
+            median time to fill ({ttf.filled} filled in {ttf.days} days)
+          </span>
+        </div>
+      </div>
+
+      <div className="dashboard-grid">
+        <section className="dashboard-card">
+          <h3>Requisitions by client</h3>
+          <Legend />
+          <BarChart items={byClient} />
+        </section>
+
+        <section className="dashboard-card">
+          <h3>Open slots by client</h3>
+          <BarChart items={openSlots} />
+        </section>
+
+        <section className="dashboard-card">
+          <h3>Time in current status (average)</h3>
+          <BarChart
+            items={data["time-in-status"].map((s) => ({
+              label: `${s.status} (${s.requisitions})`,
+              value: s.avg_hours || 0,
+              display: formatHours(s.avg_hours),
+              color: STATUS_COLORS[s.status],
+            }))}
+          />
+        </section>
+
+        <section className="dashboard-card">
+          <h3>Time to fill by client (average)</h3>
+          <BarChart
+            items={ttf.by_client.map((c) => ({
+              label: `${c.client} (${c.filled})`,
+              value: c.avg_hours || 0,
+              display: formatHours(c.avg_hours),
+              color: STATUS_COLORS.Filled,
+            }))}
+          />
+        </section>
+
+        <section className="dashboard-card">
+          <h3>Recruiter utilization</h3>
+          <p className="dashboard-note">
+            Active requisitions against each recruiter&apos;s cap (default {utilization.capacity}, or their
+            clients&apos; overrides); hours worked in the last {utilization.days} days.
+          </p>
+          <table className="dashboard-table">
+            <thead>
+              <tr>
+                <th>Recruiter</th>
+                <th>Active</th>
+                <th>Load</th>
+                <th>Hours</th>
+              </tr>
+            </thead>
+            <tbody>
+              {utilization.recruiters.map((r) => (
+                <tr key={r.username}>
+                  <td>{r.display_name}</td>
+                  <td>
+                    {r.active} / {r.capacity}
+                  </td>
+                  <td className="load-cell">
+                    <span className="bar-track">
+                      <span
+                        className={`bar-fill ${r.utilization > 1 ? "over" : ""}`}
+                        style={{ width: `${Math.min(1, r.utilization || 0) * 100}%` }}
+                      />
+                    </span>
+                    {r.utilization === null ? "—" : `${Math.round(r.utilization * 100)}%`}
+                  </td>
+                  <td>{r.hours.toFixed(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        <section className="dashboard-card">
+          <h3>Open with nobody working</h3>
+          {unworked.requisitions.length ? (
+            <table className="dashboard-table">
+              <thead>
+                <tr>
+                  <th>Req ID</th>
+                  <th>Job Title</th>
+                  <th>Client</th>
+                  <th>Slots</th>
+                  <th>Unworked since</th>
+                </tr>
+              </thead>
+              <tbody>
+                {unworked.requisitions.map((r) => (
+                  <tr key={r.requirementid}>
+                    <td>{r.requirementid}</td>
+                    <td>{r.title}</td>
+                    <td>{r.client}</td>
+                    <td>{r.slots}</td>
+                    <td>{formatSince(r.unworked_since)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="dashboard-empty">Every open requisition has someone on it.</p>
+          )}
+          {unworked.total > unworked.requisitions.length && (
+            <p className="dashboard-note">
+              Showing the {unworked.requisitions.length} longest-waiting of {unworked.total}.
+            </p>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default Dashboard;
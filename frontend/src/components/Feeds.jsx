@@ -0,0 +1,405 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import axios from "axios";
+import ClientPicker from "./ClientPicker.jsx";
+import "./Feeds.css";
+
+// FEED_FIELDS / FEED_FORMATS / STATUSES in backend/feeds.js and schema.js
+const FIELD_LABELS = {
+  requirementid: "Req ID",
+  title: "Job Title",
+  client: "Client",
+  slots: "Slots",
+  status: "Status",
+};
+const FORMATS = ["auto", "json", "xml", "csv"];
+const STATUSES = ["Open", "Closed", "On Hold", "Filled", "Cancelled"];
+
+const EMPTY_FEED = {
+  name: "",
+  client_id: null,
+  client_name: "",
+  format: "auto",
+  file_pattern: "",
+  record_path: "",
+  field_map: {},
+  status_map: {},
+  close_missing: true,
+  close_status: "Closed",
+  enabled: true,
+};
+
+// { "Active": "Open" } <-> "Active = Open" lines
+const mapToText = (map) =>
+  Object.entries(map || {})
+    .map(([from, to]) => `${from} = ${to}`)
+    .join("\n");
+const textToMap = (text) =>
+  Object.fromEntries(
+    text
+      .split("\n")
+      .map((line) => line.split("="))
+      .filter((parts) => parts.length === 2 && parts[0].trim())
+      .map(([from, to]) => [from.trim(), to.trim()])
+  );
+
+const countsText = (c) =>
+  c ? `+${c.inserted} new, ${c.updated} updated, ${c.closed} closed, ${c.errors} error(s)` : "";
+
+function RunResult({ result }) {
+  return (
+    <div className="feed-result">
+      <div className="feed-note">
+        {result.counts.records} job(s) read as {result.format.toUpperCase()}: {countsText(result.counts)},{" "}
+        {result.counts.unchanged} unchanged
+      </div>
+      {result.warnings.map((w) => (
+        <div key={w} className="feed-line feed-error">
+          {w}
+        </div>
+      ))}
+      {result.newClients.length > 0 && <div className="feed-note">New clients: {result.newClients.join(", ")}</div>}
+      {result.errors.map((e) => (
+        <div key={`e-${e.record}`} className="feed-line feed-error">
+          Job {e.record} {e.requirementid && `(${e.requirementid})`}:{" "}
+          {Object.entries(e.errors)
+            .map(([field, msg]) => `${FIELD_LABELS[field] || field}: ${msg}`)
+            .join("; ")}
+        </div>
+      ))}
+      {result.inserts.map((r) => (
+        <div key={`i-${r.record}`} className="feed-line">
+          + {r.requirementid} — {r.title} ({r.client || "feed client"}, {r.slots} slot(s), {r.status})
+        </div>
+      ))}
+      {result.updates.map((u) => (
+        <div key={`u-${u.record}`} className="feed-line">
+          ~ {u.requirementid}:{" "}
+          {Object.entries(u.changes)
+            .map(([field, c]) => `${FIELD_LABELS[field] || field} "${c.from ?? ""}" → "${c.to}"`)
+            .join(", ")}
+        </div>
+      ))}
+      {result.closes.map((c) => (
+        <div key={`c-${c.requirementid}`} className="feed-line">
+          × {c.requirementid}: no longer in the feed, {c.from} → {c.to}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Job feed sources: how each VMS/MSP feed maps to requisitions, its recent
+// runs, and a manual upload with preview
+function Feeds() {
+  const [feeds, setFeeds] = useState([]);
+  const [selected, setSelected] = useState(null); // feed with runs, or EMPTY_FEED for a new one
+  const [form, setForm] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState("");
+  const [token, setToken] = useState("");
+  const [upload, setUpload] = useState(null); // { file, result }
+  const [busy, setBusy] = useState(false);
+  const fileRef = useRef(null);
+
+  const loadList = useCallback(async () => {
+    try {
+      const res = await axios.get("/api/feeds");
+      setFeeds(res.data || []);
+    } catch (err) {
+      setMessage(err.response?.data?.message || "Error loading feeds");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadList();
+  }, [loadList]);
+
+  const show = (feed) => {
+    setSelected(feed);
+    setForm({
+      ...feed,
+      file_pattern: feed.file_pattern || "",
+      record_path: feed.record_path || "",
+      field_map_text: mapToText(feed.field_map),
+      status_map_text: mapToText(feed.status_map),
+    });
+    setErrors({});
+    setToken("");
+    setUpload(null);
+  };
+
+  const open = async (id) => {
+    setMessage("");
+    try {
+      show((await axios.get(`/api/feeds/${id}`)).data);
+    } catch (err) {
+      setMessage(err.response?.data?.message || "Error loading feed");
+    }
+  };
+
+  const set = (field, value) => setForm((f) => ({ ...f, [field]: value }));
+
+  const save = async () => {
+    setMessage("");
+    setErrors({});
+    const body = {
+      name: form.name,
+      client_id: form.client_id || null,
+      format: form.format,
+      file_pattern: form.file_pattern || null,
+      record_path: form.record_path || null,
+      field_map: textToMap(form.field_map_text),
+      status_map: textToMap(form.status_map_text),
+      close_missing: form.close_missing,
+      close_status: form.close_status,
+      enabled: form.enabled,
+    };
+    try {
+      const res = selected.id ? await axios.put(`/api/feeds/${selected.id}`, body) : await axios.post("/api/feeds", body);
+      show(res.data);
+      setMessage("Feed saved.");
+      loadList();
+    } catch (err) {
+      setErrors(err.response?.data?.errors || {});
+      setMessage(err.response?.data?.message || "Error saving feed");
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the feed "${selected.name}"? Its requisitions stay.`)) return;
+    try {
+      await axios.delete(`/api/feeds/${selected.id}`);
+      setSelected(null);
+      setForm(null);
+      loadList();
+    } catch (err) {
+      setMessage(err.response?.data?.message || "Error deleting feed");
+    }
+  };
+
+  const newToken = async () => {
+    if (selected.has_token && !window.confirm("Replace the current token? The VMS will need the new one.")) return;
+    try {
+      setToken((await axios.post(`/api/feeds/${selected.id}/token`)).data.token);
+      setSelected((s) => ({ ...s, has_token: true }));
+    } catch (err) {
+      setMessage(err.response?.data?.message || "Error creating token");
+    }
+  };
+
+  const sendFile = (file, dryRun) =>
+    axios.post(`/api/feeds/${selected.id}/ingest`, file, {
+      params: { dryRun: dryRun || undefined, fileName: file.name },
+      headers: { "Content-Type": "application/octet-stream" },
+    });
+
+  const handleFileChosen = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    setMessage("");
+    try {
+      setUpload({ file, result: (await sendFile(file, true)).data });
+    } catch (err) {
+      setMessage(err.response?.data?.message || "Error reading the feed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const apply = async () => {
+    setBusy(true);
+    try {
+      const res = await sendFile(upload.file, false);
+      setUpload({ ...upload, result: res.data, applied: true });
+      const feed = (await axios.get(`/api/feeds/${selected.id}`)).data;
+      setSelected(feed);
+      loadList();
+    } catch (err) {
+      setMessage(err.response?.data?.message || "Error running the feed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="feeds">
+      <aside className="feeds-list">
+        <button onClick={() => show(EMPTY_FEED)}>+ New feed</button>
+        <ul>
+          {feeds.map((f) => (
+            <li key={f.id} className={selected?.id === f.id ? "active" : ""} onClick={() => open(f.id)}>
+              <strong>{f.name}</strong> {!f.enabled && <span className="feed-badge">off</span>}
+              <div className="feed-note">
+                {f.last_run
+                  ? `${f.last_run.status} ${new Date(f.last_run.started_at).toLocaleString()}`
+                  : "Never run"}
+              </div>
+            </li>
+          ))}
+          {!feeds.length && <li className="feed-note">No feeds yet.</li>}
+        </ul>
+      </aside>
+
+      <section className="feeds-detail">
+        {message && <div className="feed-note">{message}</div>}
+        {!form ? (
+          <p className="feed-note">Pick a feed, or add one for each VMS/MSP you receive jobs from.</p>
+        ) : (
+          <>
+            <div className="feed-form">
+              <label>
+                Name
+                <input value={form.name} onChange={(e) => set("name", e.target.value)} />
+                {errors.name && <span className="field-error">{errors.name}</span>}
+              </label>
+              <label>
+                Client (for jobs that don't name one)
+                <ClientPicker
+                  value={form.client_name || ""}
+                  onChange={({ name, id }) => setForm((f) => ({ ...f, client_name: name, client_id: id }))}
+                  placeholder="None"
+                />
+                {errors.client_id && <span className="field-error">{errors.client_id}</span>}
+              </label>
+              <label>
+                Format
+                <select value={form.format} onChange={(e) => set("format", e.target.value)}>
+                  {FORMATS.map((f) => (
+                    <option key={f} value={f}>
+                      {f}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                File pattern (in the feed folder)
+                <input
+                  value={form.file_pattern}
+                  onChange={(e) => set("file_pattern", e.target.value)}
+                  placeholder="acme-*.xml"
+                />
+              </label>
+              <label>
+                Record path
+                <input
+                  value={form.record_path}
+                  onChange={(e) => set("record_path", e.target.value)}
+                  placeholder="found automatically"
+                />
+              </label>
+              <label>
+                Field mapping (field = feed key)
+                <textarea
+                  rows={5}
+                  value={form.field_map_text}
+                  onChange={(e) => set("field_map_text", e.target.value)}
+                  placeholder={"requirementid = JobID\ntitle = Position.Title"}
+                />
+                {errors.field_map && <span className="field-error">{errors.field_map}</span>}
+              </label>
+              <label>
+                Status mapping (feed status = status)
+                <textarea
+                  rows={5}
+                  value={form.status_map_text}
+                  onChange={(e) => set("status_map_text", e.target.value)}
+                  placeholder={"Active = Open\nPending Approval = On Hold"}
+                />
+                {errors.status_map && <span className="field-error">{errors.status_map}</span>}
+              </label>
+              <label className="feed-check">
+                <input
+                  type="checkbox"
+                  checked={form.close_missing}
+                  onChange={(e) => set("close_missing", e.target.checked)}
+                />{" "}
+                Jobs missing from the feed become
+                <select value={form.close_status} onChange={(e) => set("close_status", e.target.value)}>
+                  {STATUSES.filter((s) => s !== "Open").map((s) => (
+                    <option key={s} value={s}>
+                      {s}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="feed-check">
+                <input type="checkbox" checked={form.enabled} onChange={(e) => set("enabled", e.target.checked)} />{" "}
+                Enabled
+              </label>
+            </div>
+            <div className="feed-actions">
+              <button className="add-req-btn" onClick={save}>
+                Save
+              </button>
+              {selected.id && (
+                <>
+                  <button onClick={() => fileRef.current?.click()} disabled={busy}>
+                    {busy && !upload ? "Reading..." : "Run a file…"}
+                  </button>
+                  <input ref={fileRef} type="file" accept=".json,.xml,.csv,.txt" hidden onChange={handleFileChosen} />
+                  <button onClick={newToken}>{selected.has_token ? "Replace token" : "Create token"}</button>
+                  <button onClick={remove}>Delete</button>
+                </>
+              )}
+            </div>
+
+            {token && (
+              <div className="feed-token">
+                Token for <code>POST /api/feeds/{selected.id}/ingest</code> (header <code>x-feed-token</code>), shown
+                only now: <code>{token}</code>
+              </div>
+            )}
+
+            {upload && (
+              <div className="feed-upload">
+                <h4>
+                  {upload.applied ? "Applied" : "Preview"} — {upload.file.name}
+                </h4>
+                <RunResult result={upload.result} />
+                {!upload.applied && (
+                  <div className="feed-actions">
+                    <button onClick={() => setUpload(null)} disabled={busy}>
+                      Cancel
+                    </button>
+                    <button className="add-req-btn" onClick={apply} disabled={busy}>
+                      {busy ? "Applying..." : "Apply"}
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {selected.runs?.length > 0 && (
+              <table className="feed-runs">
+                <thead>
+                  <tr>
+                    <th>When</th>
+                    <th>From</th>
+                    <th>File</th>
+                    <th>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selected.runs.map((r) => (
+                    <tr key={r.id}>
+                      <td>{new Date(r.started_at).toLocaleString()}</td>
+                      <td>{r.actor || r.origin}</td>
+                      <td>{r.file_name || "—"}</td>
+                      <td className={r.status === "failed" ? "feed-error" : ""}>
+                        {r.status}: {r.error || countsText(r.summary?.counts)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default Feeds;
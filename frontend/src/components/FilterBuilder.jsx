@@ -0,0 +1,186 @@
+import React, { useState } from "react";
+import {
+  FILTER_FIELDS,
+  FILTER_OPS,
+  OP_LABELS,
+  MAX_DEPTH,
+  newCondition,
+  changeCondition,
+  emptyTree,
+} from "../filters";
+import "./FilterBuilder.css";
+
+const toggle = (list, value, on) => (on ? [...list, value] : list.filter((v) => v !== value));
+
+// The value input(s) a condition's field type and operator call for
+function ValueEditor({ condition, onChange }) {
+  const { field, op, value } = condition;
+  const { type, values } = FILTER_FIELDS[field];
+  if (op === "empty") return null;
+
+  if (op === "between" && type === "date") {
+    return (
+      <>
+        <input type="date" value={value?.from || ""} onChange={(e) => onChange({ ...value, from: e.target.value })} />
+        <span>and</span>
+        <input type="date" value={value?.to || ""} onChange={(e) => onChange({ ...value, to: e.target.value })} />
+      </>
+    );
+  }
+  if (op === "between") {
+    const [min, max] = Array.isArray(value) ? value : ["", ""];
+    return (
+      <>
+        <input type="number" placeholder="min" value={min} onChange={(e) => onChange([e.target.value, max])} />
+        <span>and</span>
+        <input type="number" placeholder="max" value={max} onChange={(e) => onChange([min, e.target.value])} />
+      </>
+    );
+  }
+  if (op === "in") {
+    return (
+      <span className="filter-choices">
+        {values.map((v) => (
+          <label key={v}>
+            <input
+              type="checkbox"
+              checked={(value || []).includes(v)}
+              onChange={(e) => onChange(toggle(value || [], v, e.target.checked))}
+            />{" "}
+            {v}
+          </label>
+        ))}
+      </span>
+    );
+  }
+  if (op === "includes") {
+    return (
+      <input
+        placeholder="usernames, comma separated"
+        value={(value || []).join(", ")}
+        onChange={(e) =>
+          onChange(
+            e.target.value
+              .split(",")
+              .map((v) => v.trim())
+              .filter(Boolean)
+          )
+        }
+      />
+    );
+  }
+  const numeric = type === "number" || op === "last_days" || op === "count_gte";
+  return (
+    <input
+      type={numeric ? "number" : "text"}
+      min={op === "last_days" || op === "count_gte" ? 1 : undefined}
+      value={value ?? ""}
+      onChange={(e) => onChange(numeric && e.target.value !== "" ? Number(e.target.value) : e.target.value)}
+    />
+  );
+}
+
+function ConditionRow({ condition, onChange, onRemove }) {
+  const { type } = FILTER_FIELDS[condition.field] || {};
+  if (!type) return null;
+  return (
+    <div className="filter-condition">
+      <select value={condition.field} onChange={(e) => onChange(changeCondition(condition, { field: e.target.value }))}>
+        {Object.entries(FILTER_FIELDS).map(([key, { label }]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <label className="filter-not" title="Match rows where this is NOT true">
+        <input
+          type="checkbox"
+          checked={Boolean(condition.not)}
+          onChange={(e) => onChange({ ...condition, not: e.target.checked })}
+        />{" "}
+        not
+      </label>
+      <select value={condition.op} onChange={(e) => onChange(changeCondition(condition, { op: e.target.value }))}>
+        {FILTER_OPS[type].map((op) => (
+          <option key={op} value={op}>
+            {OP_LABELS[op]}
+          </option>
+        ))}
+      </select>
+      <ValueEditor condition={condition} onChange={(value) => onChange({ ...condition, value })} />
+      <button className="filter-remove" onClick={onRemove} title="Remove">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+function Group({ group, depth, onChange, onRemove }) {
+  const setChild = (i, child) =>
+    onChange({ ...group, conditions: group.conditions.map((c, j) => (j === i ? child : c)) });
+  const removeChild = (i) => onChange({ ...group, conditions: group.conditions.filter((c, j) => j !== i) });
+  const add = (child) => onChange({ ...group, conditions: [...group.conditions, child] });
+
+  return (
+    <div className={`filter-group depth-${depth}`}>
+      <div className="filter-group-head">
+        Match{" "}
+        <select value={group.op} onChange={(e) => onChange({ ...group, op: e.target.value })}>
+          <option value="and">all</option>
+          <option value="or">any</option>
+        </select>{" "}
+        of:
+        {onRemove && (
+          <button className="filter-remove" onClick={onRemove} title="Remove group">
+            ✕
+          </button>
+        )}
+      </div>
+      {group.conditions.map((child, i) =>
+        Array.isArray(child.conditions) ? (
+          <Group
+            key={i}
+            group={child}
+            depth={depth + 1}
+            onChange={(c) => setChild(i, c)}
+            onRemove={() => removeChild(i)}
+          />
+        ) : (
+          <ConditionRow key={i} condition={child} onChange={(c) => setChild(i, c)} onRemove={() => removeChild(i)} />
+        )
+      )}
+      <div className="filter-group-actions">
+        <button onClick={() => add(newCondition())}>+ Condition</button>
+        {depth < MAX_DEPTH && <button onClick={() => add({ op: "or", conditions: [newCondition()] })}>+ Group</button>}
+      </div>
+    </div>
+  );
+}
+
+// AND/OR filter builder over the typed filter tree (filters.js)
+function FilterBuilder({ tree, onChange, onClose }) {
+  const [copied, setCopied] = useState(false);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error("Error copying link:", err);
+    }
+  };
+
+  return (
+    <div className="filter-builder">
+      <Group group={tree} depth={1} onChange={onChange} />
+      <div className="filter-builder-actions">
+        <button onClick={() => onChange(emptyTree())}>Clear</button>
+        <button onClick={copyLink}>{copied ? "Link copied" : "Copy link"}</button>
+        <button onClick={onClose}>Done</button>
+      </div>
+    </div>
+  );
+}
+
+export default FilterBuilder;
@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import "./HistoryDrawer.css";
+
+const FIELD_LABELS = {
+  requirementid: "Req ID",
+  title: "Job Title",
+  client: "Client",
+  slots: "Slots",
+  status: "Status",
+};
+
+const formatDuration = (seconds) => {
+  if (seconds == null) return "";
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return h ? `${h}h ${m}m` : `${m}m`;
+};
+
+// stop_working reasons set by the server (capacity.js, autorelease.js, lifecycle.js)
+const STOP_REASONS = {
+  "auto-switch": "switched to another requirement",
+  released: "released by a manager",
+  idle: "auto-released after inactivity",
+  "end-of-day": "auto-released at end of day",
+  disconnected: "auto-released after disconnecting",
+  feed: "the job feed took it out of Open",
+  deleted: "the requisition was deleted",
+};
+
+const show = (value) => (value === null || value === undefined || value === "" ? "—" : String(value));
+
+// Human sentence for one audit row
+const describe = (entry, nameOf) => {
+  const label = FIELD_LABELS[entry.field] || entry.field;
+  const details = entry.details || {};
+  switch (entry.action) {
+    case "create":
+      return `set ${label} to "${show(entry.new_value)}"`;
+    case "update": {
+      const placement = details.source === "placement" ? ` (placed ${details.candidate_name})` : "";
+      return `changed ${label} from "${show(entry.old_value)}" to "${show(entry.new_value)}"${placement}`;
+    }
+    case "delete":
+      return "moved the requisition to the trash";
+    case "restore":
+      return "restored the requisition from the trash";
+    case "purge":
+      return "deleted the requisition for good";
+    case "archive":
+      return "archived the requisition";
+    case "unarchive":
+      return "took the requisition out of the archive";
+    case "start_working":
+      return `${nameOf(details.recruiter)} started working`;
+    case "stop_working": {
+      const duration = formatDuration(details.duration_seconds);
+      const reason = details.reason ? ` (${STOP_REASONS[details.reason] || details.reason})` : "";
+      return `${nameOf(details.recruiter)} stopped working${duration ? ` after ${duration}` : ""}${reason}`;
+    }
+    case "add_submission":
+      return `submitted candidate ${details.candidate_name} (${show(entry.new_value)})`;
+    case "update_submission":
+      return entry.field === "stage"
+        ? `moved ${details.candidate_name} from "${show(entry.old_value)}" to "${show(entry.new_value)}"`
+        : `renamed candidate "${show(entry.old_value)}" to "${show(entry.new_value)}"`;
+    case "remove_submission":
+      return `removed candidate ${details.candidate_name}`;
+    default:
+      return entry.action;
+  }
+};
+
+function HistoryDrawer({ requirementid, nameOf, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    axios
+      .get(`/api/requisitions/${encodeURIComponent(requirementid)}/history`)
+      .then((res) => !cancelled && setEntries(res.data || []))
+      .catch((err) => !cancelled && setError(err.response?.data?.message || "Error loading history"))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [requirementid]);
+
+  return (
+    <div className="history-overlay" onClick={onClose}>
+      <aside className="history-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="history-header">
+          <h2>History — {requirementid}</h2>
+          <button className="history-close" onClick={onClose} title="Close">
+            ×
+          </button>
+        </div>
+
+        {loading && <div className="history-empty">Loading...</div>}
+        {error && <div className="error-message">{error}</div>}
+        {!loading && !error && !entries.length && (
+          <div className="history-empty">No changes recorded yet.</div>
+        )}
+
+        <ul className="history-list">
+          {entries.map((entry) => (
+            <li key={entry.id}>
+              <div className="history-meta">
+                <span className="font-semibold">{nameOf(entry.actor) || "system"}</span>
+                <span>{new Date(entry.created_at).toLocaleString()}</span>
+              </div>
+              <div>{describe(entry, nameOf)}</div>
+            </li>
+          ))}
+        </ul>
+      </aside>
+    </div>
+  );
+}
+
+export default HistoryDrawer;
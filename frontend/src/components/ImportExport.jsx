@@ -0,0 +1,180 @@
+import React, { useRef, useState } from "react";
+import axios from "axios";
+import "./ImportExport.css";
+
+const FIELD_LABELS = {
+  requirementid: "Req ID",
+  title: "Job Title",
+  client: "Client",
+  slots: "Slots",
+  status: "Status",
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Pull the filename out of Content-Disposition, falling back to a default
+export const filenameFrom = (res, fallback) =>
+  /filename="([^"]+)"/.exec(res.headers["content-disposition"] || "")?.[1] || fallback;
+
+function ImportExport({ view, canImport, onImported }) {
+  const fileRef = useRef(null);
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleExport = async (format, currentView) => {
+    setError("");
+    try {
+      const res = await axios.post(
+        "/api/requisitions/export",
+        { format, view: currentView ? view : undefined },
+        { responseType: "blob" }
+      );
+      downloadBlob(res.data, filenameFrom(res, `requisitions.${format}`));
+    } catch (err) {
+      console.error("Error exporting:", err);
+      setError("Error exporting requisitions");
+    }
+  };
+
+  const sendFile = (selected, dryRun) =>
+    axios.post(`/api/requisitions/import${dryRun ? "?dryRun=true" : ""}`, selected, {
+      headers: { "Content-Type": "application/octet-stream" },
+    });
+
+  const handleFileChosen = async (e) => {
+    const selected = e.target.files?.[0];
+    e.target.value = "";
+    if (!selected) return;
+    setBusy(true);
+    setError("");
+    try {
+      const res = await sendFile(selected, true);
+      setFile(selected);
+      setPreview(res.data);
+    } catch (err) {
+      setError(err.response?.data?.message || "Error reading the file");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const closePreview = () => {
+    setFile(null);
+    setPreview(null);
+  };
+
+  const handleApply = async () => {
+    setBusy(true);
+    try {
+      await sendFile(file, false);
+      closePreview();
+      onImported?.();
+    } catch (err) {
+      // Server re-validates; show the fresh preview if the data moved underneath us
+      if (err.response?.data?.preview) setPreview(err.response.data.preview);
+      setError(err.response?.data?.message || "Error importing requisitions");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="import-export-bar">
+      <button onClick={() => handleExport("xlsx", true)}>Export view (.xlsx)</button>
+      <button onClick={() => handleExport("csv", true)}>Export view (.csv)</button>
+      <button onClick={() => handleExport("xlsx", false)}>Export all (.xlsx)</button>
+      {canImport && (
+        <>
+          <button onClick={() => fileRef.current?.click()} disabled={busy}>
+            {busy && !preview ? "Reading..." : "Import .xlsx"}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+            hidden
+            onChange={handleFileChosen}
+          />
+        </>
+      )}
+      {error && !preview && <span className="import-error">{error}</span>}
+
+      {preview && (
+        <div className="import-overlay">
+          <div className="import-dialog">
+            <h2>Import preview — {file?.name}</h2>
+            <div className="import-summary">
+              <span>{preview.inserts.length} new</span>
+              <span>{preview.updates.length} updated</span>
+              <span>{preview.unchanged} unchanged</span>
+              <span className={preview.errors.length ? "import-error" : ""}>
+                {preview.errors.length} with errors
+              </span>
+            </div>
+            <div className="import-columns">
+              Columns found: {preview.mappedColumns.map((c) => FIELD_LABELS[c] || c).join(", ")}
+            </div>
+            {preview.newClients?.length > 0 && (
+              <div className="import-columns">New clients: {preview.newClients.join(", ")}</div>
+            )}
+
+            <div className="import-details">
+              {preview.errors.map((e) => (
+                <div key={`e-${e.row}`} className="import-line import-error">
+                  Row {e.row} {e.requirementid && `(${e.requirementid})`}:{" "}
+                  {Object.entries(e.errors)
+                    .map(([field, msg]) => `${FIELD_LABELS[field] || field}: ${msg}`)
+                    .join("; ")}
+                </div>
+              ))}
+              {preview.inserts.map((r) => (
+                <div key={`i-${r.row}`} className="import-line">
+                  + {r.requirementid} — {r.title} ({r.client}, {r.slots} slot(s), {r.status})
+                </div>
+              ))}
+              {preview.updates.map((u) => (
+                <div key={`u-${u.row}`} className="import-line">
+                  ~ {u.requirementid}:{" "}
+                  {Object.entries(u.changes)
+                    .map(([field, c]) => `${FIELD_LABELS[field] || field} "${c.from ?? ""}" → "${c.to}"`)
+                    .join(", ")}
+                </div>
+              ))}
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+            <div className="import-actions">
+              <button onClick={closePreview} disabled={busy}>
+                Cancel
+              </button>
+              <button
+                className="add-req-btn"
+                onClick={handleApply}
+                disabled={
+                  busy ||
+                  preview.errors.length > 0 ||
+                  !(preview.inserts.length || preview.updates.length)
+                }
+              >
+                {busy ? "Importing..." : "Apply import"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportExport;
@@ -0,0 +1,55 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { setToken } from "../auth";
+
+function Login({ onLogin }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const res = await axios.post("/api/auth/login", { username, password });
+      setToken(res.data.token);
+      onLogin(res.data.user);
+    } catch (err) {
+      setError(err.response?.data?.message || "Unable to log in");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="login-card" onSubmit={handleSubmit}>
+      <h2>Sign in</h2>
+      {error && <div className="error-message">{error}</div>}
+      <label>
+        Username
+        <input
+          autoFocus
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+        />
+      </label>
+      <label>
+        Password
+        <input
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+      </label>
+      <button className="add-req-btn" type="submit" disabled={busy || !username || !password}>
+        {busy ? "Signing in..." : "Sign in"}
+      </button>
+    </form>
+  );
+}
+
+export default Login;
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import ClientPicker from "./ClientPicker.jsx";
+import "./NotificationSettings.css";
+
+// Labels for NOTIFICATION_TYPES in backend/notifications.js
+const TYPE_LABELS = {
+  status_changed: "A requisition I'm working on goes On Hold, Closed or Filled",
+  requisition_created: "A new requisition for a client I follow",
+  assignment_released: "I'm taken off a requisition",
+  submission_stage: "Someone moves one of my candidates",
+};
+const CHANNEL_LABELS = { email: "Email", teams: "Teams" };
+
+const toggle = (list, value, on) => (on ? [...new Set([...list, value])] : list.filter((v) => v !== value));
+
+// Where notifications go, which ones to get, and which clients to follow
+function NotificationSettings({ onClose }) {
+  const [prefs, setPrefs] = useState(null);
+  const [email, setEmail] = useState("");
+  const [client, setClient] = useState({ name: "", id: null });
+  const [errors, setErrors] = useState({});
+  const [message, setMessage] = useState("");
+
+  const load = (data) => {
+    setPrefs(data);
+    setEmail(data.email || "");
+  };
+
+  useEffect(() => {
+    axios
+      .get("/api/me/notifications")
+      .then((res) => load(res.data))
+      .catch((err) => setMessage(err.response?.data?.message || "Error loading notification settings"));
+  }, []);
+
+  const run = async (request, done = "") => {
+    setErrors({});
+    setMessage("");
+    try {
+      const res = await request();
+      load(res.data);
+      if (done) setMessage(done);
+      return true;
+    } catch (err) {
+      setErrors(err.response?.data?.errors || {});
+      setMessage(err.response?.data?.message || "Error saving notification settings");
+      return false;
+    }
+  };
+
+  const save = (changes, done) => run(() => axios.put("/api/me/notifications", changes), done);
+
+  const follow = async () => {
+    if (!client.id) {
+      setErrors({ follow: "Pick a client from the list." });
+      return;
+    }
+    if (await run(() => axios.put(`/api/clients/${client.id}/follow`))) setClient({ name: "", id: null });
+  };
+
+  return (
+    <div className="notify-overlay" onClick={onClose}>
+      <div className="notify-dialog" onClick={(e) => e.stopPropagation()}>
+        <h3>Notifications</h3>
+        {!prefs ? (
+          <p className="notify-note">{message || "Loading…"}</p>
+        ) : (
+          <>
+            <section>
+              <label className="notify-label">Email (also used for Teams)</label>
+              <div className="notify-row">
+                <input value={email} onChange={(e) => setEmail(e.target.value)} placeholder="you@company.com" />
+                <button onClick={() => save({ email }, "Email saved.")}>Save</button>
+              </div>
+              {errors.email && <span className="field-error">{errors.email}</span>}
+            </section>
+
+            <section>
+              <label className="notify-label">Send to</label>
+              <div className="notify-row">
+                {Object.entries(CHANNEL_LABELS).map(([key, label]) => (
+                  <label key={key}>
+                    <input
+                      type="checkbox"
+                      checked={prefs.channels.includes(key)}
+                      onChange={(e) => save({ channels: toggle(prefs.channels, key, e.target.checked) })}
+                    />{" "}
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </section>
+
+            <section>
+              <label className="notify-label">Tell me when</label>
+              {prefs.types.map((type) => (
+                <label key={type} className="notify-option">
+                  <input
+                    type="checkbox"
+                    checked={!prefs.muted.includes(type)}
+                    onChange={(e) => save({ muted: toggle(prefs.muted, type, !e.target.checked) })}
+                  />{" "}
+                  {TYPE_LABELS[type] || type}
+                </label>
+              ))}
+            </section>
+
+            <section>
+              <label className="notify-label">Clients I follow</label>
+              <ul className="notify-follows">
+                {prefs.follows.map((c) => (
+                  <li key={c.id}>
+                    {c.name}
+                    <button onClick={() => run(() => axios.delete(`/api/clients/${c.id}/follow`))}>Unfollow</button>
+                  </li>
+                ))}
+                {!prefs.follows.length && <li className="notify-note">None yet.</li>}
+              </ul>
+              <div className="notify-row">
+                <ClientPicker value={client.name} onChange={setClient} placeholder="Find a client" />
+                <button onClick={follow}>Follow</button>
+              </div>
+              {errors.follow && <span className="field-error">{errors.follow}</span>}
+            </section>
+
+            {prefs.recent.length > 0 && (
+              <section>
+                <label className="notify-label">Recent</label>
+                <ul className="notify-recent">
+                  {prefs.recent.map((n) => (
+                    <li key={n.id} title={n.last_error || ""}>
+                      <span className={`notify-status ${n.status}`}>{n.status}</span> {n.subject}{" "}
+                      <span className="notify-note">
+                        ({CHANNEL_LABELS[n.channel] || n.channel}, {new Date(n.created_at).toLocaleString()})
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {message && <p className="notify-note">{message}</p>}
+          </>
+        )}
+        <div className="notify-actions">
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NotificationSettings;
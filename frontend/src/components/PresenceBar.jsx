@@ -0,0 +1,46 @@
+import React from "react";
+import "./PresenceBar.css";
+
+const initialsOf = (name = "") =>
+  name
+    .split(/[\s._-]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join("") || "?";
+
+// Same person, same colour, on every screen
+const hueOf = (username = "") => [...username].reduce((hash, c) => (hash * 31 + c.charCodeAt(0)) % 360, 7);
+
+export function Avatar({ user, size = "normal" }) {
+  const status = user.idle ? "idle" : "active";
+  const where = user.focused ? `, viewing ${user.focused}` : "";
+  return (
+    <span
+      className={`presence-avatar presence-${size} presence-${status}`}
+      style={{ backgroundColor: `hsl(${hueOf(user.username)}, 55%, 45%)` }}
+      title={`${user.display_name || user.username} (${status}${where})`}
+    >
+      {initialsOf(user.display_name || user.username)}
+    </span>
+  );
+}
+
+// Everyone online, active first; the current user is left out
+function PresenceBar({ users, currentUser }) {
+  const others = users
+    .filter((u) => u.username !== currentUser)
+    .sort((a, b) => a.idle - b.idle || (a.display_name || "").localeCompare(b.display_name || ""));
+  return (
+    <div className="presence-bar">
+      <span className="presence-label">
+        {others.length ? `${others.length} other${others.length === 1 ? "" : "s"} online` : "Nobody else online"}
+      </span>
+      {others.map((u) => (
+        <Avatar key={u.username} user={u} />
+      ))}
+    </div>
+  );
+}
+
+export default PresenceBar;
@@ -0,0 +1,130 @@
+import React, { useState } from "react";
+import axios from "axios";
+import "./SubmissionsPanel.css";
+
+// Mirrors STAGES in backend/schema.js
+const STAGES = ["Submitted", "Client Review", "Interview", "Offer", "Placed", "Rejected"];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : "");
+
+// Candidates submitted to one requisition. Changes come back through
+// onChange({ submission, requisition }, removed) so the table can merge them.
+function SubmissionsPanel({ requirementid, submissions, canWrite, nameOf, onChange }) {
+  const [candidate, setCandidate] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const run = async (request, removed = false) => {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await request();
+      onChange(res.data, removed);
+      return true;
+    } catch (err) {
+      const data = err.response?.data;
+      setError(data?.errors?.candidate_name || data?.message || "Error saving submission");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const addCandidate = async () => {
+    if (!candidate.trim()) {
+      setError("Candidate name is required.");
+      return;
+    }
+    const ok = await run(() =>
+      axios.post(`/api/requisitions/${encodeURIComponent(requirementid)}/submissions`, {
+        candidate_name: candidate,
+      })
+    );
+    if (ok) setCandidate("");
+  };
+
+  const moveTo = (submission, stage) => {
+    if (
+      stage === "Placed" &&
+      !window.confirm(`Mark ${submission.candidate_name} as placed? This uses one of the requisition's slots.`)
+    ) {
+      return;
+    }
+    run(() => axios.put(`/api/submissions/${submission.id}`, { stage }));
+  };
+
+  const remove = (submission) => {
+    if (!window.confirm(`Remove ${submission.candidate_name} from ${requirementid}?`)) return;
+    run(() => axios.delete(`/api/submissions/${submission.id}`), true);
+  };
+
+  if (!submissions) return <div className="submissions-empty">Loading candidates...</div>;
+
+  return (
+    <div className="submissions-panel">
+      {submissions.length ? (
+        <table className="submissions-table">
+          <thead>
+            <tr>
+              <th>Candidate</th>
+              <th>Submitted by</th>
+              <th>Stage</th>
+              <th>Since</th>
+              <th>Submitted</th>
+              {canWrite && <th />}
+            </tr>
+          </thead>
+          <tbody>
+            {submissions.map((s) => (
+              <tr key={s.id} className={`stage-${s.stage.toLowerCase().replace(/\s/g, "")}`}>
+                <td title={s.notes || ""}>{s.candidate_name}</td>
+                <td>{nameOf(s.recruiter)}</td>
+                <td>
+                  {canWrite ? (
+                    <select value={s.stage} disabled={busy} onChange={(e) => moveTo(s, e.target.value)}>
+                      {STAGES.map((stage) => (
+                        <option key={stage} value={stage}>
+                          {stage}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    s.stage
+                  )}
+                </td>
+                <td>{formatDate(s.stage_times?.[s.stage])}</td>
+                <td>{formatDate(s.created_at)}</td>
+                {canWrite && (
+                  <td>
+                    <button className="release-btn" title="Remove candidate" disabled={busy} onClick={() => remove(s)}>
+                      ×
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div className="submissions-empty">No candidates submitted yet.</div>
+      )}
+
+      {canWrite && (
+        <div className="submissions-add">
+          <input
+            placeholder="Candidate name"
+            value={candidate}
+            onChange={(e) => setCandidate(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && addCandidate()}
+          />
+          <button onClick={addCandidate} disabled={busy}>
+            Submit candidate
+          </button>
+        </div>
+      )}
+      {error && <div className="cell-error">{error}</div>}
+    </div>
+  );
+}
+
+export default SubmissionsPanel;
@@ -6,120 +6,547 @@ import React, {
   useRef,
 } from "react";
 import axios from "axios";
-import io from "socket.io-client";
+import socket from "../socket";
+import HistoryDrawer from "./HistoryDrawer.jsx";
+import ImportExport from "./ImportExport.jsx";
+import ConflictDialog from "./ConflictDialog.jsx";
+import SubmissionsPanel from "./SubmissionsPanel.jsx";
+import ClientPicker from "./ClientPicker.jsx";
+import { Avatar } from "./PresenceBar.jsx";
+import ViewSwitcher from "./ViewSwitcher.jsx";
+import FilterBuilder from "./FilterBuilder.jsx";
+import BulkBar from "./BulkBar.jsx";
+import {
+  FILTER_FIELDS,
+  emptyTree,
+  newCondition,
+  completeTree,
+  countConditions,
+  treeFromUrl,
+  syncTreeToUrl,
+} from "../filters";
 import "./Table.css";
 
-const socket = io(window.location.origin);
+// Layout defaults; saved views (ViewSwitcher) override any of them
+const COLUMNS = ["requirementid", "title", "client", "slots", "status", "assigned_recruiters", "working"];
+const COLUMN_LABELS = {
+  requirementid: "Req ID",
+  title: "Job Title",
+  client: "Client",
+  slots: "Slots",
+  status: "Status",
+  assigned_recruiters: "Assigned Recruiter(s)",
+  working: "Working?",
+};
+const DEFAULT_WIDTHS = {
+  requirementid: 150,
+  title: 250,
+  client: 120,
+  slots: 60,
+  status: 100,
+  assigned_recruiters: 140,
+  working: 100,
+};
+const PAGE_SIZES = [10, 20, 50, 100];
+const DEFAULT_PAGE_SIZE = 20;
+// The layout survives reloads: { viewId, state }
+const LAYOUT_STORAGE_KEY = "requisitions.layout";
+const LOCK_HEARTBEAT_MS = 10 * 1000; // well inside the server's lock TTL
+// Which rows the table lists (?scope=, see backend/lifecycle.js)
+const SCOPES = [
+  ["active", "Active"],
+  ["archived", "Archived"],
+  ["trash", "Trash"],
+];
+const FINAL_STATUSES = ["Closed", "Filled", "Cancelled"];
+// What a trash/archive move tells the user, and how to take it back
+const LIFECYCLE_NOTICES = {
+  delete: "moved to the trash",
+  restore: "restored",
+  purge: "deleted for good",
+  archive: "archived",
+  unarchive: "taken out of the archive",
+};
+const UNDO_ACTIONS = { delete: "restore", archive: "unarchive" };
+const NOTICE_MS = 10 * 1000;
 
-const Table = forwardRef((props, ref) => {
+// editingStatus key for one field of one row
+const lockKey = (requirementid, field) => `${requirementid}:${field}`;
+
+// Merge a server copy of a row unless we already hold a newer version,
+// so replayed or out-of-order copies of the same change are harmless
+const mergeRow = (current, incoming) =>
+  (incoming.version ?? 0) >= (current.version ?? 0) ? { ...current, ...incoming } : current;
+
+// Upsert or remove one submission in a list, ignoring copies older than ours
+const mergeSubmission = (list, submission, removed) => {
+  if (removed) return list.filter((s) => s.id !== submission.id);
+  const existing = list.find((s) => s.id === submission.id);
+  if (!existing) return [...list, submission];
+  if (new Date(submission.updated_at) < new Date(existing.updated_at)) return list;
+  return list.map((s) => (s.id === submission.id ? submission : s));
+};
+
+// The list a row belongs in (mirrors rowScope in backend/lifecycle.js)
+const rowScope = (row) => (row.deleted_at ? "trash" : row.archived_at ? "archived" : "active");
+
+// Table state -> GET /api/requisitions query params
+const listParams = ({
+  page,
+  pageSize = DEFAULT_PAGE_SIZE,
+  sortConfig: sort = {},
+  filters: filterValues = {},
+  where,
+  scope = "active",
+}) => ({
+  scope,
+  page,
+  pageSize,
+  sort: sort.field,
+  dir: sort.direction === "descending" ? "desc" : "asc",
+  filter: filterValues,
+  where: completeTree(where) ? JSON.stringify(completeTree(where)) : undefined,
+});
+
+const loadLayout = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LAYOUT_STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+// View state (backend/views.js) <-> the table's sort state
+const toViewSort = (sortConfig) =>
+  sortConfig.field ? { field: sortConfig.field, direction: sortConfig.direction === "descending" ? "desc" : "asc" } : null;
+const fromViewSort = (sort) =>
+  sort ? { field: sort.field, direction: sort.direction === "desc" ? "descending" : "ascending" } : {};
+
+const Table = forwardRef(({ currentUser, permissions = [], viewers = {}, onFocusRow }, ref) => {
   const [rows, setRows] = useState([]);
   const [editing, setEditing] = useState({});
-  const [currentUser, setCurrentUser] = useState("");
-  const [editingStatus, setEditingStatus] = useState({});
-  const [sortConfig, setSortConfig] = useState({});
-  const [filters, setFilters] = useState({});
-  const [currentPage, setCurrentPage] = useState(1);
-  const rowsPerPage = 20;
-  const [colWidths, setColWidths] = useState({
-    requirementid: 150,
-    title: 250,
-    client: 120,
-    slots: 60,
-    status: 100,
-    assigned_recruiters: 140,
-    working: 100,
-  });
+  const [displayNames, setDisplayNames] = useState({}); // { username: display_name }
+  const [editingStatus, setEditingStatus] = useState({}); // { "reqId:field": username }
+  const heldLock = useRef(null); // { requirementid, field } this tab is editing
+  const [cellErrors, setCellErrors] = useState({}); // { requirementid: { field: message } }
+  const [historyFor, setHistoryFor] = useState(null); // requirementid with the drawer open
+  const [expanded, setExpanded] = useState(null); // requirementid with the candidates panel open
+  const [submissions, setSubmissions] = useState({}); // { requirementid: [submission] }, loaded on expand
+  const [editBase, setEditBase] = useState({}); // { requirementid: row when editing began }
+  const [conflict, setConflict] = useState(null); // { reqId, base, mine, theirs }
+  const [layout] = useState(loadLayout); // what the last session left, read once
+  const saved = layout.state || {};
+  const [viewId, setViewId] = useState(layout.viewId ?? null);
+  const [sortConfig, setSortConfig] = useState(() => fromViewSort(saved.sort));
+  const [filters, setFilters] = useState(saved.filters || {});
+  // Typed AND/OR filters; a shared link's ?where= wins over the remembered layout
+  const [where, setWhere] = useState(() => treeFromUrl() || saved.where || emptyTree());
+  const [showFilterBuilder, setShowFilterBuilder] = useState(false);
+  const [scope, setScope] = useState("active");
+  const [retentionDays, setRetentionDays] = useState(null); // trash retention, from the trash list
+  const [notice, setNotice] = useState(null); // { message, undo? } after a delete or archive
+  const [currentPage, setCurrentPage] = useState(saved.page || 1);
+  const [pageSize, setPageSize] = useState(saved.pageSize || DEFAULT_PAGE_SIZE);
+  const [totalRows, setTotalRows] = useState(0);
+  const [columnOrder, setColumnOrder] = useState(saved.columns || COLUMNS);
+  const [hiddenColumns, setHiddenColumns] = useState(saved.hidden || []);
+  const [colWidths, setColWidths] = useState({ ...DEFAULT_WIDTHS, ...saved.widths });
   const thRefs = useRef({});
+  // Bulk selection: rows ticked by hand, or every row the filters match minus the unticked ones
+  const [selected, setSelected] = useState({}); // { requirementid: true }
+  const [allMatching, setAllMatching] = useState(false);
+  const [excluded, setExcluded] = useState({}); // { requirementid: true } while allMatching
+  const selectAnchor = useRef(null); // last ticked row, where a shift-click range starts
+  const [capacityRules, setCapacityRules] = useState({
+    defaults: { max_recruiters_per_req: 2, max_reqs_per_recruiter: 1 },
+    overrides: [],
+  });
 
-  // Load user
-  useEffect(() => {
-    let user = localStorage.getItem("recruiterName");
-    if (!user) {
-      user = prompt("Enter your name:");
-      if (user) localStorage.setItem("recruiterName", user);
+  // Usernames are stored on rows; show people by their display name
+  const fetchUsers = async () => {
+    try {
+      const res = await axios.get("/api/users");
+      setDisplayNames(
+        Object.fromEntries((res.data || []).map((u) => [u.username, u.display_name]))
+      );
+    } catch (err) {
+      console.error("Error fetching users:", err);
     }
-    setCurrentUser(user || "Anonymous");
-  }, []);
+  };
+
+  const nameOf = (username) => displayNames[username] || username;
+
+  // Latest page/sort/filter, read by fetchRows so socket handlers never use stale values
+  const queryRef = useRef({});
+  const requestSeq = useRef(0);
+  const refetchTimer = useRef(null);
+  const lastSeq = useRef(null); // highest requisition event seq reflected in rows (null until loaded)
 
-  // Fetch all rows
+  // Fetch the current page from the server
   const fetchRows = async () => {
+    const seq = ++requestSeq.current;
     try {
-      const res = await axios.get("/api/requisitions");
-      setRows(res.data || []);
+      const res = await axios.get("/api/requisitions", { params: listParams(queryRef.current) });
+      if (seq !== requestSeq.current) return; // a newer request is in flight
+      setRows(res.data?.rows || []);
+      setTotalRows(res.data?.total || 0);
+      if (res.data?.retentionDays !== undefined) setRetentionDays(res.data.retentionDays);
+      lastSeq.current = Math.max(lastSeq.current || 0, res.data?.seq || 0);
     } catch (err) {
       console.error("Error fetching requisitions:", err);
     }
   };
 
+  const fetchCapacityRules = async () => {
+    try {
+      const res = await axios.get("/api/capacity-rules");
+      if (res.data) setCapacityRules(res.data);
+    } catch (err) {
+      console.error("Error fetching capacity rules:", err);
+    }
+  };
+
   useImperativeHandle(ref, () => ({ fetchRows }));
 
+  // Presence: the row this tab is on is the last one clicked or tabbed into
+  useEffect(() => () => onFocusRow?.(null), [onFocusRow]);
+
   // Socket listeners
   useEffect(() => {
-    fetchRows();
+    fetchCapacityRules();
+    fetchUsers();
+
+    // Editing indicators: full snapshot on (re)connect, then per-field changes
+    socket.on("editing_snapshot", (locks) => {
+      setEditingStatus(
+        Object.fromEntries(
+          (locks || []).map((l) => [lockKey(l.requirementid, l.field), l.user])
+        )
+      );
+    });
 
-    // Editing indicators
     socket.on("editing_status", (data) => {
       setEditingStatus((prev) => {
         const updated = { ...prev };
-        const { requirementid, user, field } = data;
-        if (!user || !field) delete updated[requirementid];
-        else updated[requirementid] = { user, field };
+        const { requirementid, user, field, isEditing } = data || {};
+        if (!field) return prev;
+        if (!isEditing || !user) delete updated[lockKey(requirementid, field)];
+        else updated[lockKey(requirementid, field)] = user;
         return updated;
       });
     });
 
-    // Real-time updates (edit/new row)
-    socket.on("requisitions_updated", (updatedRow) => {
-      if (!updatedRow) return;
-      setRows((prev) => {
-        const exists = prev.find(
-          (r) => r.requirementid === updatedRow.requirementid
-        );
-        if (exists) {
-          // update row in place
-          return prev.map((r) =>
-            r.requirementid === updatedRow.requirementid
-              ? { ...r, ...updatedRow }
-              : r
-          );
-        } else {
-          // new row added
-          return [...prev, updatedRow];
-        }
+    // Keep the focused field's lock alive; re-take it if it lapsed
+    const heartbeat = setInterval(() => {
+      const lock = heldLock.current;
+      if (!lock) return;
+      socket.emit("editing_heartbeat", lock, (res) => {
+        if (!res?.ok) socket.emit("editing_status", lock);
       });
+    }, LOCK_HEARTBEAT_MS);
+
+    // Coalesce bursts of live changes that may move rows in/out of the page
+    const scheduleRefetch = () => {
+      clearTimeout(refetchTimer.current);
+      refetchTimer.current = setTimeout(fetchRows, 500);
+    };
+
+    // Real-time events carry { event_id, seq, type, requirementid, row }.
+    // Anything at or below lastSeq is already reflected, so duplicates are skipped.
+    const applyEvent = (event) => {
+      if (!event?.seq || event.seq <= (lastSeq.current || 0)) return;
+      lastSeq.current = event.seq;
+      const { type, requirementid, row } = event;
+
+      // Candidate changes only matter to a panel that already has its list
+      if (type.startsWith("submission_")) {
+        setSubmissions((prev) =>
+          prev[requirementid]
+            ? {
+                ...prev,
+                [requirementid]: mergeSubmission(prev[requirementid], row, type === "submission_deleted"),
+              }
+            : prev
+        );
+        return;
+      }
+
+      // Purged, or moved to another list (trash, archive) than the one on screen
+      if (type === "requisition_deleted" || rowScope(row || {}) !== (queryRef.current.scope || "active")) {
+        setRows((prev) => prev.filter((r) => r.requirementid !== requirementid));
+        setSelected((prev) => {
+          if (!prev[requirementid]) return prev;
+          const next = { ...prev };
+          delete next[requirementid];
+          return next;
+        });
+        scheduleRefetch(); // pull the next row onto the page and fix the total
+        return;
+      }
+
+      // Patch rows on this page in place, otherwise let the server decide
+      // whether the new or changed row belongs on the page
+      let onPage = false;
+      setRows((prev) =>
+        prev.map((r) => {
+          if (r.requirementid !== requirementid) return r;
+          onPage = true;
+          return mergeRow(r, row);
+        })
+      );
+      const { sortConfig: sort = {}, filters: filterValues = {}, where: tree } = queryRef.current;
+      const mayMove = sort.field || Object.values(filterValues).some(Boolean) || completeTree(tree);
+      if (!onPage || mayMove || type === "requisition_created") scheduleRefetch();
+    };
+
+    // Live events that arrive while catching up are held back: applied first,
+    // they would move lastSeq past the missed events the catch-up returns
+    let held = null;
+    const applyLive = (event) => (held ? held.push(event) : applyEvent(event));
+
+    // After a reconnect, replay only what was missed; reload if the log can't cover the gap
+    const catchUp = async () => {
+      if (lastSeq.current === null) return; // first connect: the initial fetch covers it
+      held = [];
+      try {
+        const res = await axios.get("/api/requisitions/changes", {
+          params: { since: lastSeq.current },
+        });
+        if (res.data?.reset) {
+          fetchRows();
+          setSubmissions({}); // open panels reload their candidates
+        } else (res.data?.events || []).forEach(applyEvent);
+      } catch (err) {
+        console.error("Error catching up on changes:", err);
+        fetchRows();
+      } finally {
+        const live = held;
+        held = null;
+        live.forEach(applyEvent); // anything the catch-up already covered is skipped by seq
+      }
+    };
+
+    socket.on("connect", catchUp);
+    socket.on("requisition_created", applyLive);
+    socket.on("requisitions_updated", applyLive);
+    socket.on("requisition_deleted", applyLive);
+    // Changes committed together (an import, a working switch) arrive as one batch
+    socket.on("requisitions_batch", (batch) => (batch?.events || []).forEach(applyLive));
+
+    socket.on("capacity_rules_updated", (rules) => {
+      if (rules) setCapacityRules(rules);
     });
 
     return () => {
+      socket.off("editing_snapshot");
       socket.off("editing_status");
+      clearInterval(heartbeat);
+      socket.off("connect", catchUp);
+      socket.off("requisition_created");
       socket.off("requisitions_updated");
+      socket.off("requisition_deleted");
+      socket.off("requisitions_batch");
+      socket.off("capacity_rules_updated");
+      clearTimeout(refetchTimer.current);
     };
   }, []);
 
-  const columns = [
-    "requirementid",
-    "title",
-    "client",
-    "slots",
-    "status",
-    "assigned_recruiters",
-    "working",
-  ];
+  // Debounce filter typing before asking the server
+  const [debouncedFilters, setDebouncedFilters] = useState(filters);
+  const [debouncedWhere, setDebouncedWhere] = useState(where);
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedFilters(filters);
+      setDebouncedWhere(where);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [filters, where]);
+
+  useEffect(() => {
+    queryRef.current = {
+      page: currentPage,
+      pageSize,
+      sortConfig,
+      filters: debouncedFilters,
+      where: debouncedWhere,
+      scope,
+    };
+    fetchRows();
+    syncTreeToUrl(completeTree(debouncedWhere));
+  }, [currentPage, pageSize, sortConfig, debouncedFilters, debouncedWhere, scope]);
+
+  // A selection belongs to the filters and list it was made under
+  useEffect(() => {
+    setSelected({});
+    setAllMatching(false);
+    setExcluded({});
+  }, [debouncedFilters, debouncedWhere, scope]);
+
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(null), NOTICE_MS);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  const columns = columnOrder.filter((col) => !hiddenColumns.includes(col));
+
+  // The current layout in saved-view form, remembered for the next reload
+  const viewState = {
+    filters: Object.fromEntries(Object.entries(debouncedFilters).filter(([, v]) => v !== "")),
+    where: completeTree(debouncedWhere),
+    sort: toViewSort(sortConfig),
+    columns: columnOrder,
+    hidden: hiddenColumns,
+    widths: colWidths,
+    pageSize,
+    page: currentPage,
+  };
+  const storedLayout = JSON.stringify({ viewId, state: viewState });
+  useEffect(() => {
+    localStorage.setItem(LAYOUT_STORAGE_KEY, storedLayout);
+  }, [storedLayout]);
+
+  // Load a saved view (null: keep the layout, just detach from the view)
+  const applyView = (view) => {
+    setViewId(view?.id ?? null);
+    if (!view) return;
+    const state = view.state || {};
+    setFilters(state.filters || {});
+    setDebouncedFilters(state.filters || {});
+    setWhere(state.where || emptyTree());
+    setDebouncedWhere(state.where || emptyTree());
+    setSortConfig(fromViewSort(state.sort));
+    setColumnOrder(state.columns || COLUMNS);
+    setHiddenColumns(state.hidden || []);
+    setColWidths({ ...DEFAULT_WIDTHS, ...state.widths });
+    setPageSize(state.pageSize || DEFAULT_PAGE_SIZE);
+    setCurrentPage(state.page || 1);
+  };
+
+  const isNonWorkable = (row) => row.status !== "Open" || row.slots === 0 || rowScope(row) !== "active";
+
+  // Role-driven UI; the server enforces the same permissions
+  const canEdit = permissions.includes("requisitions:edit");
+  const canDelete = permissions.includes("requisitions:delete");
+  const canWork = permissions.includes("working:self");
+  const canReleaseOthers = permissions.includes("working:others");
+  const canSubmit = permissions.includes("submissions:write");
+  const canBulk = canEdit || canDelete || canReleaseOthers;
+  // Archived and trashed rows are read-only until they come back
+  const canEditRows = canEdit && scope === "active";
+
+  // Load the open candidates panel's list (again after a reset cleared it)
+  useEffect(() => {
+    if (!expanded || submissions[expanded]) return;
+    let cancelled = false;
+    axios
+      .get(`/api/requisitions/${encodeURIComponent(expanded)}/submissions`)
+      .then((res) => {
+        if (!cancelled) setSubmissions((prev) => ({ ...prev, [expanded]: res.data || [] }));
+      })
+      .catch((err) => console.error("Error fetching submissions:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [expanded, submissions]);
+
+  // A submission saved from the panel; placements also change the requisition
+  const applySubmissionChange = ({ submission, requisition } = {}, removed) => {
+    if (submission) {
+      setSubmissions((prev) => ({
+        ...prev,
+        [submission.requirementid]: mergeSubmission(prev[submission.requirementid] || [], submission, removed),
+      }));
+    }
+    applyServerRows([requisition]);
+  };
 
-  const isNonWorkable = (row) => row.status !== "Open" || row.slots === 0;
+  // Field locks: take on focus, give back on save/blur
+  const lockField = (reqId, field) => {
+    heldLock.current = { requirementid: reqId, field };
+    socket.emit("editing_status", { requirementid: reqId, field }, (res) => {
+      if (res?.ok || !res?.holder) return;
+      // Someone else has it: show them in the cell instead of the input
+      heldLock.current = null;
+      setEditingStatus((prev) => ({ ...prev, [lockKey(reqId, field)]: res.holder.user }));
+    });
+  };
+
+  const unlockRow = (reqId) => {
+    if (heldLock.current?.requirementid === reqId) heldLock.current = null;
+    socket.emit("editing_status", { requirementid: reqId, field: null });
+  };
 
   // Editing
   const handleEdit = (reqId, field, value) => {
-    socket.emit("editing_status", { requirementid: reqId, user: currentUser, field });
+    // Remember the row as it was when this edit began; its version goes with the save
+    setEditBase((prev) =>
+      prev[reqId] ? prev : { ...prev, [reqId]: rows.find((r) => r.requirementid === reqId) }
+    );
     setEditing((prev) => ({
       ...prev,
       [reqId]: { ...prev[reqId], [field]: value },
     }));
+    setCellErrors((prev) => {
+      if (!prev[reqId]?.[field]) return prev;
+      const rowErrors = { ...prev[reqId] };
+      delete rowErrors[field];
+      return { ...prev, [reqId]: rowErrors };
+    });
+  };
+
+  const clearEditState = (reqId) => {
+    const drop = (prev) => {
+      const copy = { ...prev };
+      delete copy[reqId];
+      return copy;
+    };
+    setEditing(drop);
+    setEditBase(drop);
+    setCellErrors(drop);
+  };
+
+  // PUT fields against the version they were based on
+  const saveFields = async (reqId, fields, version) => {
+    try {
+      const res = await axios.put(`/api/requisitions/${reqId}`, { ...fields, version });
+      const updatedRow = res.data;
+
+      // ✅ Immediately update local UI (everyone else hears it from the server)
+      setRows((prevRows) =>
+        prevRows.map((r) =>
+          r.requirementid === reqId ? mergeRow(r, updatedRow) : r
+        )
+      );
+      unlockRow(reqId);
+      clearEditState(reqId);
+    } catch (err) {
+      const fieldErrors = err.response?.data?.errors;
+      if (err.response?.status === 409 && err.response.data?.current) {
+        // Someone else saved first: let the user decide per field
+        setConflict({
+          reqId,
+          base: editBase[reqId] || {},
+          mine: fields,
+          theirs: err.response.data.current,
+        });
+      } else if (fieldErrors) {
+        // Keep the user's input so they can correct it next to the message
+        setCellErrors((prev) => ({ ...prev, [reqId]: fieldErrors }));
+      } else {
+        alert(err.response?.data?.message || "Error saving changes");
+      }
+      unlockRow(reqId);
+    }
   };
 
   // Save on blur
   const handleSave = async (reqId) => {
     const updatedFields = editing[reqId];
-    if (!updatedFields) return;
+    if (!updatedFields) {
+      unlockRow(reqId);
+      return;
+    }
 
     const cleanedFields = Object.fromEntries(
       Object.entries(updatedFields).filter(
@@ -127,132 +554,101 @@ const Table = forwardRef((props, ref) => {
       )
     );
 
-    try {
-      const res = await axios.put(`/api/requisitions/${reqId}`, cleanedFields);
-      const updatedRow = res.data;
-
-      // ✅ Immediately update local UI
-      setRows((prevRows) =>
-        prevRows.map((r) =>
-          r.requirementid === reqId ? { ...r, ...updatedRow } : r
-        )
-      );
-
-      // ✅ Notify everyone in real-time
-      socket.emit("requisitions_updated", updatedRow);
-      socket.emit("editing_status", { requirementid: reqId, user: null, field: null });
+    const base =
+      editBase[reqId] || rows.find((r) => r.requirementid === reqId) || {};
+    await saveFields(reqId, cleanedFields, base.version);
+  };
 
-      setEditing((prev) => {
-        const copy = { ...prev };
-        delete copy[reqId];
-        return copy;
-      });
-    } catch (err) {
-      alert(err.response?.data?.message || "Error saving changes");
-      socket.emit("editing_status", { requirementid: reqId, user: null, field: null });
+  // Conflict dialog outcome: "theirs" discards my edits, otherwise re-save
+  // the chosen fields on top of the server's current version
+  const resolveConflict = async (choice, fields) => {
+    const { reqId, theirs } = conflict;
+    setConflict(null);
+    setRows((prev) =>
+      prev.map((r) => (r.requirementid === reqId ? { ...r, ...theirs } : r))
+    );
+    if (choice === "theirs" || !Object.keys(fields).length) {
+      clearEditState(reqId);
+      return;
     }
+    setEditBase((prev) => ({ ...prev, [reqId]: theirs }));
+    await saveFields(reqId, fields, theirs.version);
   };
 
   // ==============================
-  // Toggle working checkbox (auto-switch behavior)
+  // Toggle working checkbox (auto-switch handled server-side)
   // ==============================
+  const applyServerRows = (changedRows) => {
+    const byId = new Map(changedRows.filter(Boolean).map((r) => [r.requirementid, r]));
+    setRows((prev) =>
+      prev.map((r) => (byId.has(r.requirementid) ? mergeRow(r, byId.get(r.requirementid)) : r))
+    );
+  };
+
   const toggleWorking = async (row) => {
     if (!row.requirementid) return;
 
-    const assignedUsers = row.assigned_recruiters || [];
-    const isAssigned = assignedUsers.includes(currentUser);
+    const isAssigned = (row.assigned_recruiters || []).includes(currentUser);
+    const url = `/api/requisitions/${row.requirementid}/working`;
 
-    // Guard: don't allow adding a 3rd recruiter to a row the user isn't already on
-    if (!isAssigned && assignedUsers.length >= 2) {
-      alert("Two recruiters are already working on this requirement.");
-      return;
+    try {
+      const res = isAssigned
+        ? await axios.delete(url)
+        : await axios.post(url);
+      const { requisition, released = [] } = res.data || {};
+      applyServerRows([...released, requisition]);
+    } catch (err) {
+      alert(err.response?.data?.message || "Error updating working status");
     }
+  };
 
-    // Find if the user is already working on a different row
-    const alreadyWorking = rows.find(
-      (r) =>
-        (r.assigned_recruiters || []).includes(currentUser) &&
-        r.requirementid !== row.requirementid
-    );
-
+  // Managers can take someone else off a requisition
+  const releaseRecruiter = async (row, username) => {
+    if (!window.confirm(`Release ${nameOf(username)} from ${row.requirementid}?`)) return;
     try {
-      // If user is switching to a new row, unassign from old one first
-      if (!isAssigned && alreadyWorking) {
-        const oldAssigned = (alreadyWorking.assigned_recruiters || []).filter(
-          (u) => u !== currentUser
-        );
-        const oldWorkingTimes = { ...(alreadyWorking.working_times || {}) };
-        delete oldWorkingTimes[currentUser];
-
-        // Persist removal on old row
-        const oldRes = await axios.put(
-          `/api/requisitions/${alreadyWorking.requirementid}`,
-          {
-            assigned_recruiters: oldAssigned,
-            working_times: oldWorkingTimes,
-          }
-        );
-
-        const oldUpdatedRow = oldRes.data || {
-          ...alreadyWorking,
-          assigned_recruiters: oldAssigned,
-          working_times: oldWorkingTimes,
-        };
-
-        // Update UI locally and broadcast
-        setRows((prev) =>
-          prev.map((r) =>
-            r.requirementid === alreadyWorking.requirementid
-              ? { ...r, ...oldUpdatedRow }
-              : r
-          )
-        );
-        socket.emit("requisitions_updated", oldUpdatedRow);
-      }
-
-      // Now toggle for the clicked row
-      const newAssigned = isAssigned
-        ? assignedUsers.filter((u) => u !== currentUser)
-        : [...assignedUsers, currentUser];
-
-      const newWorkingTimes = { ...(row.working_times || {}) };
-      if (isAssigned) delete newWorkingTimes[currentUser];
-      else newWorkingTimes[currentUser] = new Date();
-
-      const res = await axios.put(`/api/requisitions/${row.requirementid}`, {
-        assigned_recruiters: newAssigned,
-        working_times: newWorkingTimes,
-      });
-
-      const updatedRow = res.data;
-      setRows((prev) =>
-        prev.map((r) =>
-          r.requirementid === row.requirementid ? { ...r, ...updatedRow } : r
-        )
+      const res = await axios.delete(
+        `/api/requisitions/${row.requirementid}/working/${encodeURIComponent(username)}`
       );
-      socket.emit("requisitions_updated", updatedRow);
+      applyServerRows([res.data?.requisition]);
     } catch (err) {
-      alert(err.response?.data?.message || "Error updating working status");
+      alert(err.response?.data?.message || "Error releasing recruiter");
     }
   };
 
+  // Effective limits for a row's client (mirrors resolveLimits in backend/capacity.js)
+  const limitsFor = (row) => {
+    const client = (row.client || "").trim().toLowerCase();
+    const override = capacityRules.overrides.find((o) => o.client === client) || {};
+    return {
+      maxRecruitersPerReq:
+        override.max_recruiters_per_req ?? capacityRules.defaults.max_recruiters_per_req,
+    };
+  };
+
   // ==============================
   // Checkbox disabling: only for non-workable or full rows
   // ==============================
   const disableCheckbox = (row) => {
     const assignedUsers = row.assigned_recruiters || [];
     const nonWorkable = isNonWorkable(row);
+    const { maxRecruitersPerReq } = limitsFor(row);
     // allow unchecking even if at limit by letting assigned users interact
-    return nonWorkable || (assignedUsers.length >= 2 && !assignedUsers.includes(currentUser));
+    return (
+      !canWork ||
+      nonWorkable ||
+      (assignedUsers.length >= maxRecruitersPerReq && !assignedUsers.includes(currentUser))
+    );
   };
 
   // Sorting and filtering
   const handleSort = (field) => {
+    if (field === "working") return; // not a column on the server
     let direction = "ascending";
     if (sortConfig.field === field && sortConfig.direction === "ascending") {
       direction = "descending";
     }
     setSortConfig({ field, direction });
+    setCurrentPage(1);
   };
 
   const handleFilter = (field, value) => {
@@ -260,35 +656,126 @@ const Table = forwardRef((props, ref) => {
     setCurrentPage(1);
   };
 
-  const filteredRows = rows.filter((row) =>
-    Object.keys(filters).every((field) => {
-      const filterValue = filters[field]?.toLowerCase();
-      if (!filterValue) return true;
-      if (field === "assigned_recruiters") {
-        return (row[field] || []).some((u) =>
-          u.toLowerCase().includes(filterValue)
-        );
+  const handleWhereChange = (tree) => {
+    setWhere(tree);
+    setCurrentPage(1);
+  };
+
+  // Header shortcut: open the builder with a new condition on that column
+  const addColumnFilter = (field) => {
+    handleWhereChange({ ...where, conditions: [...where.conditions, newCondition(field)] });
+    setShowFilterBuilder(true);
+  };
+  const filterCount = countConditions(completeTree(where));
+
+  const totalPages = Math.ceil(totalRows / pageSize);
+  const paginatedRows = rows;
+
+  // ==============================
+  // Bulk selection
+  // ==============================
+  const isSelected = (row) => (allMatching ? !excluded[row.requirementid] : Boolean(selected[row.requirementid]));
+  const selectionCount = allMatching ? totalRows - Object.keys(excluded).length : Object.keys(selected).length;
+  const pageSelected = paginatedRows.length > 0 && paginatedRows.every(isSelected);
+
+  const setRowsSelected = (ids, on) => {
+    const update = (prev, add) => {
+      const next = { ...prev };
+      ids.forEach((id) => (add ? (next[id] = true) : delete next[id]));
+      return next;
+    };
+    if (allMatching) setExcluded((prev) => update(prev, !on));
+    else setSelected((prev) => update(prev, on));
+  };
+
+  // Shift-click ticks or unticks every row between the last one clicked and this one
+  const toggleRow = (row, shiftKey) => {
+    const ids = paginatedRows.map((r) => r.requirementid);
+    const at = ids.indexOf(row.requirementid);
+    const from = shiftKey && selectAnchor.current ? ids.indexOf(selectAnchor.current) : -1;
+    selectAnchor.current = row.requirementid;
+    const range = from === -1 ? [row.requirementid] : ids.slice(Math.min(from, at), Math.max(from, at) + 1);
+    setRowsSelected(range, !isSelected(row));
+  };
+
+  const clearSelection = () => {
+    setSelected({});
+    setAllMatching(false);
+    setExcluded({});
+    selectAnchor.current = null;
+  };
+
+  const selectAllMatching = () => {
+    setSelected({});
+    setExcluded({});
+    setAllMatching(true);
+  };
+
+  // One request for the whole selection; the server applies all of it or none
+  const runBulk = async (changes) => {
+    const selection = allMatching
+      ? { query: listParams(queryRef.current), except: Object.keys(excluded) }
+      : { ids: Object.keys(selected) };
+    // Rows on screen go with the version shown, as a single-row save does
+    const versions = Object.fromEntries(rows.filter(isSelected).map((r) => [r.requirementid, r.version]));
+    try {
+      const res = await axios.post("/api/requisitions/bulk", { ...changes, ...selection, versions });
+      const { requisitions = [], purged = [] } = res.data || {};
+      applyServerRows(requisitions.filter((r) => rowScope(r) === scope));
+      if (LIFECYCLE_NOTICES[changes.action]) {
+        showNotice(changes.action, purged.length ? purged : requisitions.map((r) => r.requirementid));
       }
-      return String(row[field] ?? "").toLowerCase().includes(filterValue);
-    })
-  );
+      clearSelection();
+      fetchRows();
+      return null;
+    } catch (err) {
+      return {
+        message: err.response?.data?.message || "Error applying bulk change",
+        errors: err.response?.data?.errors,
+      };
+    }
+  };
 
-  const sortedRows = [...filteredRows].sort((a, b) => {
-    if (!sortConfig.field) return 0;
-    const getVal = (obj, f) =>
-      Array.isArray(obj[f]) ? (obj[f] || []).join(", ") : obj[f] ?? "";
-    const valA = String(getVal(a, sortConfig.field)).toLowerCase();
-    const valB = String(getVal(b, sortConfig.field)).toLowerCase();
-    if (valA < valB) return sortConfig.direction === "ascending" ? -1 : 1;
-    if (valA > valB) return sortConfig.direction === "ascending" ? 1 : -1;
-    return 0;
-  });
+  // ==============================
+  // Trash & archive
+  // ==============================
+  const showNotice = (action, ids) => {
+    const what = ids.length === 1 ? ids[0] : `${ids.length} requisitions`;
+    const undoAction = UNDO_ACTIONS[action];
+    setNotice({
+      message: `${what} ${LIFECYCLE_NOTICES[action]}.`,
+      undo:
+        undoAction &&
+        (async () => {
+          setNotice(null);
+          try {
+            await axios.post("/api/requisitions/bulk", { action: undoAction, ids });
+            fetchRows();
+          } catch (err) {
+            alert(err.response?.data?.message || "Error undoing the change");
+          }
+        }),
+    });
+  };
 
-  const totalPages = Math.ceil(sortedRows.length / rowsPerPage);
-  const paginatedRows = sortedRows.slice(
-    (currentPage - 1) * rowsPerPage,
-    currentPage * rowsPerPage
-  );
+  const changeLifecycle = async (row, action) => {
+    if (action === "purge" && !window.confirm(`Delete ${row.requirementid} for good? This can't be undone.`)) return;
+    const url = `/api/requisitions/${encodeURIComponent(row.requirementid)}`;
+    try {
+      if (action === "delete") await axios.delete(url);
+      else if (action === "purge") await axios.delete(`${url}/purge`);
+      else await axios.post(`${url}/${action}`);
+      showNotice(action, [row.requirementid]);
+      fetchRows();
+    } catch (err) {
+      alert(err.response?.data?.message || "Error updating requisition");
+    }
+  };
+
+  const changeScope = (next) => {
+    setScope(next);
+    setCurrentPage(1);
+  };
 
   // Column resize
   const startResize = (e, col) => {
@@ -297,7 +784,7 @@ const Table = forwardRef((props, ref) => {
     const startWidth = thRefs.current[col]?.offsetWidth || 100;
     document.body.classList.add("resizing");
     const doDrag = (event) => {
-      const newWidth = Math.max(60, startWidth + event.clientX - startX);
+      const newWidth = Math.round(Math.max(60, startWidth + event.clientX - startX));
       setColWidths((prev) => ({ ...prev, [col]: newWidth }));
     };
     const stopDrag = () => {
@@ -309,6 +796,8 @@ const Table = forwardRef((props, ref) => {
     document.addEventListener("mouseup", stopDrag);
   };
 
+  const formatDate = (timeString) => (timeString ? new Date(timeString).toLocaleDateString() : "");
+
   const formatTime = (timeString) => {
     if (!timeString) return "";
     const date = new Date(timeString);
@@ -327,10 +816,95 @@ const Table = forwardRef((props, ref) => {
         <h2 className="font-bold text-lg">Requirements List</h2>
       </div>
 
+      <ViewSwitcher
+        state={viewState}
+        activeId={viewId}
+        onApply={applyView}
+        onColumnsChange={(order, hidden) => {
+          setColumnOrder(order);
+          setHiddenColumns(hidden);
+        }}
+        onPageSizeChange={(size) => {
+          setPageSize(size);
+          setCurrentPage(1);
+        }}
+        labels={COLUMN_LABELS}
+        pageSizes={PAGE_SIZES}
+        canPublish={permissions.includes("views:publish")}
+        applyDefault={!layout.state}
+      />
+
+      <div className="view-switcher">
+        <span className="scope-tabs">
+          {SCOPES.map(([key, label]) => (
+            <button key={key} className={scope === key ? "active" : ""} onClick={() => changeScope(key)}>
+              {label}
+            </button>
+          ))}
+        </span>
+        <button
+          className={`filter-toggle ${filterCount ? "active" : ""}`}
+          onClick={() => setShowFilterBuilder((s) => !s)}
+        >
+          Filters{filterCount ? ` (${filterCount})` : ""}
+        </button>
+        {filterCount > 0 && !showFilterBuilder && (
+          <button onClick={() => handleWhereChange(emptyTree())}>Clear filters</button>
+        )}
+      </div>
+      {scope === "trash" && retentionDays > 0 && (
+        <div className="scope-note">Requisitions are deleted for good {retentionDays} days after they are trashed.</div>
+      )}
+      {notice && (
+        <div className="table-notice">
+          {notice.message}
+          {notice.undo && <button onClick={notice.undo}>Undo</button>}
+          <button className="table-notice-close" onClick={() => setNotice(null)} title="Dismiss">
+            ×
+          </button>
+        </div>
+      )}
+      {showFilterBuilder && (
+        <FilterBuilder tree={where} onChange={handleWhereChange} onClose={() => setShowFilterBuilder(false)} />
+      )}
+
+      <ImportExport
+        view={listParams({ sortConfig, filters: debouncedFilters, where: debouncedWhere })}
+        canImport={canEdit && permissions.includes("requisitions:create")}
+        onImported={fetchRows}
+      />
+
+      {selectionCount > 0 && (
+        <BulkBar
+          count={selectionCount}
+          allMatching={allMatching}
+          totalMatching={totalRows}
+          pageSelected={pageSelected}
+          onSelectAllMatching={selectAllMatching}
+          onClear={clearSelection}
+          onRun={runBulk}
+          scope={scope}
+          canEdit={canEdit}
+          canDelete={canDelete}
+          canRelease={canReleaseOthers}
+        />
+      )}
+
       <div className="table-wrapper">
         <table className="w-full border-collapse border border-gray-400 text-sm">
           <thead className="bg-gray-100 sticky-header">
             <tr>
+              {canBulk && (
+                <th className="border p-1 select-cell">
+                  <input
+                    type="checkbox"
+                    title="Select this page"
+                    checked={pageSelected}
+                    ref={(el) => el && (el.indeterminate = !pageSelected && paginatedRows.some(isSelected))}
+                    onChange={() => setRowsSelected(paginatedRows.map((r) => r.requirementid), !pageSelected)}
+                  />
+                </th>
+              )}
               {columns.map((col) => (
                 <th
                   key={col}
@@ -345,14 +919,7 @@ const Table = forwardRef((props, ref) => {
                     onClick={() => handleSort(col)}
                   >
                     <span>
-                      {col === "requirementid" && "Req ID"}
-                      {col === "title" && "Job Title"}
-                      {col === "client" && "Client"}
-                      {col === "slots" && "Slots"}
-                      {col === "status" && "Status"}
-                      {col === "assigned_recruiters" &&
-                        "Assigned Recruiter(s)"}
-                      {col === "working" && "Working?"}
+                      {COLUMN_LABELS[col]}
                     </span>
                     {sortConfig.field === col && (
                       <span>
@@ -368,6 +935,15 @@ const Table = forwardRef((props, ref) => {
                       onChange={(e) => handleFilter(col, e.target.value)}
                     />
                   )}
+                  {FILTER_FIELDS[col] && (
+                    <button
+                      className="th-filter-add"
+                      title={`Add a ${FILTER_FIELDS[col].label} filter`}
+                      onClick={() => addColumnFilter(col)}
+                    >
+                      + filter
+                    </button>
+                  )}
                   <div
                     className="resize-handle"
                     onMouseDown={(e) => startResize(e, col)}
@@ -381,80 +957,166 @@ const Table = forwardRef((props, ref) => {
             {paginatedRows.map((row) => {
               const recruiters = row.assigned_recruiters || [];
               const someoneWorking = recruiters.length > 0;
+              const archivable = scope === "active" && FINAL_STATUSES.includes(row.status) && !someoneWorking;
 
               return (
-                <tr key={row.requirementid}>
-                  {columns.map((col) => {
-                    if (col === "working") {
-                      const assignedUsers = recruiters;
-                      return (
-                        <td key={col} className="border p-1 text-center">
-                          <input
-                            type="checkbox"
-                            checked={assignedUsers.includes(currentUser)}
-                            onChange={() => toggleWorking(row)}
-                            disabled={disableCheckbox(row)}
-                          />
-                        </td>
-                      );
-                    }
+                <React.Fragment key={row.requirementid}>
+                  <tr
+                    className={isSelected(row) ? "row-selected" : undefined}
+                    onFocus={() => onFocusRow?.(row.requirementid)}
+                    onMouseDown={() => onFocusRow?.(row.requirementid)}
+                  >
+                    {canBulk && (
+                      <td className="border p-1 select-cell">
+                        <input
+                          type="checkbox"
+                          checked={isSelected(row)}
+                          onChange={(e) => toggleRow(row, e.nativeEvent.shiftKey)}
+                        />
+                      </td>
+                    )}
+                    {columns.map((col) => {
+                      if (col === "working") {
+                        const assignedUsers = recruiters;
+                        return (
+                          <td key={col} className="border p-1 text-center">
+                            <input
+                              type="checkbox"
+                              checked={assignedUsers.includes(currentUser)}
+                              onChange={() => toggleWorking(row)}
+                              disabled={disableCheckbox(row)}
+                            />
+                          </td>
+                        );
+                      }
 
-                    if (col === "assigned_recruiters") {
-                      const workingTimes = row.working_times || {};
-                      const nonWorkable = isNonWorkable(row);
-                      return (
-                        <td key={col} className="border p-1 text-center">
-                          {nonWorkable
-                            ? "Non-Workable"
-                            : recruiters.length
-                            ? recruiters.map((user) => (
-                                <div
-                                  key={user}
-                                  className="flex flex-col items-center text-xs"
-                                >
-                                  <span
-                                    className={
-                                      user === currentUser
-                                        ? "font-semibold text-green-700"
-                                        : ""
-                                    }
+                      if (col === "assigned_recruiters") {
+                        const workingTimes = row.working_times || {};
+                        const nonWorkable = isNonWorkable(row);
+                        return (
+                          <td key={col} className="border p-1 text-center">
+                            {nonWorkable
+                              ? "Non-Workable"
+                              : recruiters.length
+                              ? recruiters.map((user) => (
+                                  <div
+                                    key={user}
+                                    className="flex flex-col items-center text-xs"
                                   >
-                                    {user}{" "}
-                                    {workingTimes[user] && (
-                                      <span className="text-gray-500 text-[10px]">
-                                        ({formatTime(workingTimes[user])})
-                                      </span>
+                                    <span
+                                      className={
+                                        user === currentUser
+                                          ? "font-semibold text-green-700"
+                                          : ""
+                                      }
+                                    >
+                                      {nameOf(user)}{" "}
+                                      {workingTimes[user] && (
+                                        <span className="text-gray-500 text-[10px]">
+                                          ({formatTime(workingTimes[user])})
+                                        </span>
+                                      )}
+                                    </span>
+                                    {canReleaseOthers && user !== currentUser && (
+                                      <button
+                                        className="release-btn"
+                                        title={`Release ${nameOf(user)}`}
+                                        onClick={() => releaseRecruiter(row, user)}
+                                      >
+                                        ×
+                                      </button>
                                     )}
-                                  </span>
-                                </div>
-                              ))
-                            : "-"}
-                        </td>
-                      );
-                    }
+                                  </div>
+                                ))
+                              : "-"}
+                          </td>
+                        );
+                      }
+
+                      if (col === "status") {
+                        const val =
+                          editing[row.requirementid]?.[col] ?? row[col] ?? "";
+                        const editingUser = editingStatus[lockKey(row.requirementid, col)];
+                        const isEditingOther = editingUser && editingUser !== currentUser;
+                        const cellError = cellErrors[row.requirementid]?.[col];
+                        return (
+                          <td
+                            key={col}
+                            className={`border p-1 text-center status-${val
+                              .toLowerCase()
+                              .replace(/\s/g, "")}`}
+                          >
+                            {isEditingOther ? (
+                              <div className="text-xs text-orange-500 italic">
+                                {nameOf(editingUser)} editing...
+                              </div>
+                            ) : (
+                              <select
+                                className={`table-input ${cellError ? "input-error" : ""}`}
+                                value={val}
+                                onChange={(e) =>
+                                  handleEdit(
+                                    row.requirementid,
+                                    col,
+                                    e.target.value
+                                  )
+                                }
+                                onFocus={() => lockField(row.requirementid, col)}
+                                onBlur={() => handleSave(row.requirementid)}
+                                disabled={!canEditRows || someoneWorking}
+                              >
+                                {[
+                                  "Open",
+                                  "Closed",
+                                  "On Hold",
+                                  "Filled",
+                                  "Cancelled",
+                                ].map((opt) => (
+                                  <option key={opt} value={opt}>
+                                    {opt}
+                                  </option>
+                                ))}
+                              </select>
+                            )}
+                            {cellError && <div className="cell-error">{cellError}</div>}
+                          </td>
+                        );
+                      }
 
-                    if (col === "status") {
                       const val =
                         editing[row.requirementid]?.[col] ?? row[col] ?? "";
-                      const editingUser = editingStatus[row.requirementid];
-                      const isEditingOther =
-                        editingUser &&
-                        editingUser.user !== currentUser &&
-                        editingUser.field === col;
+                      const editingUser = editingStatus[lockKey(row.requirementid, col)];
+                      const isEditingOther = editingUser && editingUser !== currentUser;
+                      const cellError = cellErrors[row.requirementid]?.[col];
+
                       return (
-                        <td
-                          key={col}
-                          className={`border p-1 text-center status-${val
-                            .toLowerCase()
-                            .replace(/\s/g, "")}`}
-                        >
+                        <td key={col} className="border p-1 text-center">
+                          {col === "requirementid" && viewers[row.requirementid] && (
+                            <div className="presence-row">
+                              {viewers[row.requirementid].map((u) => (
+                                <Avatar key={u.username} user={u} size="small" />
+                              ))}
+                            </div>
+                          )}
                           {isEditingOther ? (
                             <div className="text-xs text-orange-500 italic">
-                              {editingUser.user} editing...
+                              {nameOf(editingUser)} editing...
                             </div>
+                          ) : col === "client" ? (
+                            <ClientPicker
+                              className={`table-input ${cellError ? "input-error" : ""}`}
+                              value={val}
+                              onChange={({ name, id }) => {
+                                handleEdit(row.requirementid, "client", name);
+                                handleEdit(row.requirementid, "client_id", id);
+                              }}
+                              onFocus={() => lockField(row.requirementid, col)}
+                              onBlur={() => handleSave(row.requirementid)}
+                              disabled={!canEditRows}
+                            />
                           ) : (
-                            <select
-                              className="table-input"
+                            <input
+                              className={`table-input ${cellError ? "input-error" : ""}`}
                               value={val}
                               onChange={(e) =>
                                 handleEdit(
@@ -463,59 +1125,94 @@ const Table = forwardRef((props, ref) => {
                                   e.target.value
                                 )
                               }
+                              onFocus={() => lockField(row.requirementid, col)}
                               onBlur={() => handleSave(row.requirementid)}
-                              disabled={someoneWorking}
+                              disabled={
+                                !canEditRows ||
+                                col === "requirementid" ||
+                                (col === "slots" && someoneWorking)
+                              }
+                            />
+                          )}
+                          {cellError && <div className="cell-error">{cellError}</div>}
+                          {col === "requirementid" && (
+                            <button
+                              className="history-btn"
+                              title="View change history"
+                              onClick={() => setHistoryFor(row.requirementid)}
                             >
-                              {[
-                                "Open",
-                                "Closed",
-                                "On Hold",
-                                "Filled",
-                                "Cancelled",
-                              ].map((opt) => (
-                                <option key={opt} value={opt}>
-                                  {opt}
-                                </option>
-                              ))}
-                            </select>
+                              History
+                            </button>
+                          )}
+                          {col === "requirementid" && scope !== "active" && (
+                            <div className="lifecycle-stamp">
+                              {scope === "trash"
+                                ? `Deleted ${formatDate(row.deleted_at)} by ${nameOf(row.deleted_by)}`
+                                : `Archived ${formatDate(row.archived_at)} by ${nameOf(row.archived_by)}`}
+                            </div>
+                          )}
+                          {col === "requirementid" && archivable && canEdit && (
+                            <button
+                              className="history-btn"
+                              title="Move out of the list into the archive"
+                              onClick={() => changeLifecycle(row, "archive")}
+                            >
+                              Archive
+                            </button>
+                          )}
+                          {col === "requirementid" && scope === "archived" && canEdit && (
+                            <button className="history-btn" onClick={() => changeLifecycle(row, "unarchive")}>
+                              Unarchive
+                            </button>
+                          )}
+                          {col === "requirementid" && scope !== "trash" && canDelete && (
+                            <button
+                              className="history-btn danger"
+                              title="Move to the trash (can be restored)"
+                              onClick={() => changeLifecycle(row, "delete")}
+                            >
+                              Delete
+                            </button>
+                          )}
+                          {col === "requirementid" && scope === "trash" && canDelete && (
+                            <>
+                              <button className="history-btn" onClick={() => changeLifecycle(row, "restore")}>
+                                Restore
+                              </button>
+                              <button className="history-btn danger" onClick={() => changeLifecycle(row, "purge")}>
+                                Delete forever
+                              </button>
+                            </>
+                          )}
+                          {col === "requirementid" && (
+                            <button
+                              className="history-btn"
+                              title="Candidates submitted to this requisition"
+                              onClick={() =>
+                                setExpanded((prev) => (prev === row.requirementid ? null : row.requirementid))
+                              }
+                            >
+                              {expanded === row.requirementid ? "Hide candidates" : "Candidates"}
+                            </button>
                           )}
                         </td>
                       );
-                    }
-
-                    const val =
-                      editing[row.requirementid]?.[col] ?? row[col] ?? "";
-                    const editingUser = editingStatus[row.requirementid];
-                    const isEditingOther =
-                      editingUser &&
-                      editingUser.user !== currentUser &&
-                      editingUser.field === col;
-
-                    return (
-                      <td key={col} className="border p-1 text-center">
-                        {isEditingOther ? (
-                          <div className="text-xs text-orange-500 italic">
-                            {editingUser.user} editing...
-                          </div>
-                        ) : (
-                          <input
-                            className="table-input"
-                            value={val}
-                            onChange={(e) =>
-                              handleEdit(
-                                row.requirementid,
-                                col,
-                                e.target.value
-                              )
-                            }
-                            onBlur={() => handleSave(row.requirementid)}
-                            disabled={col === "slots" && someoneWorking}
-                          />
-                        )}
+                    })}
+                  </tr>
+                  {expanded === row.requirementid && (
+                    <tr>
+                      <td colSpan={columns.length + (canBulk ? 1 : 0)} className="border">
+                        <SubmissionsPanel
+                          requirementid={row.requirementid}
+                          submissions={submissions[row.requirementid]}
+                          canWrite={canSubmit}
+                          nameOf={nameOf}
+                          onChange={applySubmissionChange}
+                        />
                       </td>
-                    );
-                  })}
-                </tr>
+                    </tr>
+                  )}
+                </React.Fragment>
               );
             })}
           </tbody>
@@ -543,6 +1240,22 @@ const Table = forwardRef((props, ref) => {
           </button>
         </div>
       </div>
+
+      {historyFor && (
+        <HistoryDrawer
+          requirementid={historyFor}
+          nameOf={nameOf}
+          onClose={() => setHistoryFor(null)}
+        />
+      )}
+
+      {conflict && (
+        <ConflictDialog
+          conflict={conflict}
+          onResolve={resolveConflict}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </div>
   );
 });
@@ -0,0 +1,181 @@
+import React, { useEffect, useMemo, useState } from "react";
+import axios from "axios";
+import { downloadBlob, filenameFrom } from "./ImportExport.jsx";
+import "./Timesheet.css";
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// This week so far, matching the server's default range
+const thisWeek = () => {
+  const today = new Date();
+  const monday = new Date(today);
+  monday.setUTCDate(today.getUTCDate() - ((today.getUTCDay() + 6) % 7));
+  return { from: isoDate(monday), to: isoDate(today) };
+};
+
+const formatHours = (seconds) => (seconds ? (seconds / 3600).toFixed(2) : "");
+
+// Hours per recruiter (or client) per day/week, from closed and open work sessions
+function Timesheet({ currentUser, canSeeAll }) {
+  const [query, setQuery] = useState(() => ({
+    ...thisWeek(),
+    period: "day",
+    groupBy: "recruiter",
+    recruiter: canSeeAll ? "" : currentUser,
+  }));
+  const [report, setReport] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!canSeeAll) return;
+    axios
+      .get("/api/users")
+      .then((res) => setUsers(res.data))
+      .catch((err) => console.error("Error fetching users:", err));
+  }, [canSeeAll]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+    axios
+      .get("/api/timesheets", { params: query })
+      .then((res) => !cancelled && setReport(res.data))
+      .catch((err) => !cancelled && setError(err.response?.data?.message || "Error fetching timesheet"))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
+
+  const update = (key, value) => setQuery((prev) => ({ ...prev, [key]: value }));
+
+  // Pivot: one row per recruiter/client, one column per period
+  const { periods, keys, cells, rowTotals, columnTotals, total } = useMemo(() => {
+    const rows = report?.rows || [];
+    const periods = [...new Set(rows.map((r) => r.period))].sort();
+    const keys = [...new Set(rows.map((r) => r.key))].sort((a, b) => a.localeCompare(b));
+    const cells = {};
+    const rowTotals = {};
+    const columnTotals = {};
+    let total = 0;
+    rows.forEach((r) => {
+      cells[`${r.key}|${r.period}`] = r.seconds;
+      rowTotals[r.key] = (rowTotals[r.key] || 0) + r.seconds;
+      columnTotals[r.period] = (columnTotals[r.period] || 0) + r.seconds;
+      total += r.seconds;
+    });
+    return { periods, keys, cells, rowTotals, columnTotals, total };
+  }, [report]);
+
+  const handleExport = async (format) => {
+    setError("");
+    try {
+      const res = await axios.get("/api/timesheets/export", {
+        params: { ...query, format },
+        responseType: "blob",
+      });
+      downloadBlob(res.data, filenameFrom(res, `timesheet.${format}`));
+    } catch (err) {
+      console.error("Error exporting timesheet:", err);
+      setError("Error exporting timesheet");
+    }
+  };
+
+  const nameOf = (key) =>
+    query.groupBy === "recruiter" ? users.find((u) => u.username === key)?.display_name || key : key;
+
+  return (
+    <div className="timesheet">
+      <div className="timesheet-controls">
+        <label>
+          From
+          <input type="date" value={query.from} max={query.to} onChange={(e) => update("from", e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={query.to} min={query.from} onChange={(e) => update("to", e.target.value)} />
+        </label>
+        <label>
+          Per
+          <select value={query.period} onChange={(e) => update("period", e.target.value)}>
+            <option value="day">Day</option>
+            <option value="week">Week</option>
+          </select>
+        </label>
+        <label>
+          Group by
+          <select value={query.groupBy} onChange={(e) => update("groupBy", e.target.value)}>
+            <option value="recruiter">Recruiter</option>
+            <option value="client">Client</option>
+          </select>
+        </label>
+        {canSeeAll && (
+          <label>
+            Recruiter
+            <select value={query.recruiter} onChange={(e) => update("recruiter", e.target.value)}>
+              <option value="">Everyone</option>
+              {users.map((u) => (
+                <option key={u.username} value={u.username}>
+                  {u.display_name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <button onClick={() => handleExport("xlsx")}>Export .xlsx</button>
+        <button onClick={() => handleExport("csv")}>Export .csv</button>
+      </div>
+
+      {error && <div className="timesheet-error">{error}</div>}
+
+      {!loading && report && !keys.length && (
+        <p className="timesheet-empty">No time recorded in this range.</p>
+      )}
+
+      {keys.length > 0 && (
+        <table className="timesheet-table">
+          <thead>
+            <tr>
+              <th>{query.groupBy === "client" ? "Client" : "Recruiter"}</th>
+              {periods.map((p) => (
+                <th key={p}>{query.period === "week" ? `Week of ${p}` : p}</th>
+              ))}
+              <th>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map((key) => (
+              <tr key={key}>
+                <td>{nameOf(key)}</td>
+                {periods.map((p) => (
+                  <td key={p} className="hours">
+                    {formatHours(cells[`${key}|${p}`])}
+                  </td>
+                ))}
+                <td className="hours total">{formatHours(rowTotals[key])}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td>Total</td>
+              {periods.map((p) => (
+                <td key={p} className="hours">
+                  {formatHours(columnTotals[p])}
+                </td>
+              ))}
+              <td className="hours total">{formatHours(total)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      )}
+
+      {report && <p className="timesheet-note">Hours, in {report.tz} days. Open sessions count up to now.</p>}
+    </div>
+  );
+}
+
+export default Timesheet;
@@ -0,0 +1,215 @@
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+import "./ViewSwitcher.css";
+
+// Everything but the page decides whether the table still matches its view
+const layoutOf = (state = {}) => {
+  const { filters = {}, where = null, sort = null, columns = [], hidden = [], widths = {}, pageSize = null } = state;
+  return JSON.stringify({
+    filters: Object.fromEntries(Object.entries(filters).filter(([, v]) => v !== "" && v !== undefined).sort()),
+    where,
+    sort,
+    columns,
+    hidden: [...hidden].sort(),
+    widths: Object.fromEntries(Object.entries(widths).sort()),
+    pageSize,
+  });
+};
+
+const GROUPS = [
+  ["Team views", (v) => v.team],
+  ["My views", (v) => v.mine && !v.team],
+  ["Shared with me", (v) => !v.mine && !v.team],
+];
+
+/**
+ * Saved views for the requisitions table (backend/views.js), plus column
+ * visibility/order and rows per page. `state` is the table's current layout;
+ * onApply(view) loads one; applyDefault loads the team default once the list
+ * arrives (first visit, nothing remembered).
+ */
+function ViewSwitcher({
+  state,
+  activeId,
+  onApply,
+  onColumnsChange,
+  onPageSizeChange,
+  labels,
+  pageSizes,
+  canPublish,
+  applyDefault,
+}) {
+  const [views, setViews] = useState([]);
+  const [showColumns, setShowColumns] = useState(false);
+  const [message, setMessage] = useState("");
+  // applyDefault/onApply only matter for the first response
+  const firstLoad = useRef({ applyDefault, onApply });
+
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get("/api/views")
+      .then((res) => {
+        if (cancelled) return;
+        setViews(res.data || []);
+        const teamDefault = (res.data || []).find((v) => v.is_default);
+        if (firstLoad.current.applyDefault && teamDefault) firstLoad.current.onApply(teamDefault);
+      })
+      .catch((err) => console.error("Error fetching views:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const active = views.find((v) => v.id === activeId) || null;
+  const modified = active && layoutOf(active.state) !== layoutOf(state);
+
+  const run = async (request) => {
+    setMessage("");
+    try {
+      const { data } = await request();
+      setViews((prev) => {
+        // Only one team default at a time
+        const others = prev
+          .filter((v) => v.id !== data.id)
+          .map((v) => (data.is_default ? { ...v, is_default: false } : v));
+        return [...others, data].sort((a, b) => b.team - a.team || a.name.localeCompare(b.name));
+      });
+      return data;
+    } catch (err) {
+      const errors = err.response?.data?.errors;
+      setMessage(errors ? Object.values(errors).join(" ") : err.response?.data?.message || "Error saving view");
+      return null;
+    }
+  };
+
+  const saveAs = async () => {
+    const name = window.prompt("Name for this view:", active && !active.mine ? `${active.name} (copy)` : "");
+    if (!name?.trim()) return;
+    const view = await run(() => axios.post("/api/views", { name: name.trim(), state }));
+    if (view) onApply(view);
+  };
+
+  const save = () => run(() => axios.put(`/api/views/${active.id}`, { state }));
+
+  const update = (changes) => run(() => axios.put(`/api/views/${active.id}`, changes));
+
+  const remove = async () => {
+    if (!window.confirm(`Delete the view "${active.name}"?`)) return;
+    try {
+      await axios.delete(`/api/views/${active.id}`);
+      setViews((prev) => prev.filter((v) => v.id !== active.id));
+      onApply(null);
+    } catch (err) {
+      setMessage(err.response?.data?.message || "Error deleting view");
+    }
+  };
+
+  const { columns, hidden } = state;
+  const move = (col, step) => {
+    const order = [...columns];
+    const i = order.indexOf(col);
+    const j = i + step;
+    if (j < 0 || j >= order.length) return;
+    [order[i], order[j]] = [order[j], order[i]];
+    onColumnsChange(order, hidden);
+  };
+  const toggleHidden = (col, visible) =>
+    onColumnsChange(columns, visible ? hidden.filter((c) => c !== col) : [...hidden, col]);
+
+  return (
+    <div className="view-switcher">
+      <label>
+        View{" "}
+        <select
+          value={active ? active.id : ""}
+          onChange={(e) => onApply(views.find((v) => v.id === Number(e.target.value)) || null)}
+        >
+          <option value="">— Unsaved —</option>
+          {GROUPS.map(([label, test]) => {
+            const list = views.filter(test);
+            return (
+              list.length > 0 && (
+                <optgroup key={label} label={label}>
+                  {list.map((v) => (
+                    <option key={v.id} value={v.id}>
+                      {v.name}
+                      {v.is_default ? " (default)" : ""}
+                      {!v.mine ? ` — ${v.owner_name}` : ""}
+                    </option>
+                  ))}
+                </optgroup>
+              )
+            );
+          })}
+        </select>
+      </label>
+      {modified && <span className="view-modified">modified</span>}
+
+      {active?.can_edit && (
+        <button onClick={save} disabled={!modified}>
+          Save
+        </button>
+      )}
+      <button onClick={saveAs}>Save as…</button>
+      {active?.mine && !active.team && (
+        <button onClick={() => run(() => axios.put(`/api/views/${active.id}/share`, { shared: !active.shared }))}>
+          {active.shared ? "Stop sharing" : "Share"}
+        </button>
+      )}
+      {active && canPublish && (
+        <>
+          <button onClick={() => update({ team: !active.team })}>
+            {active.team ? "Unpublish" : "Publish to team"}
+          </button>
+          {active.team && (
+            <button onClick={() => update({ is_default: !active.is_default })}>
+              {active.is_default ? "Not the default" : "Make team default"}
+            </button>
+          )}
+        </>
+      )}
+      {active?.can_edit && <button onClick={remove}>Delete</button>}
+
+      <span className="view-spacer" />
+      <div className="view-columns">
+        <button onClick={() => setShowColumns((s) => !s)}>Columns ▾</button>
+        {showColumns && (
+          <ul className="view-columns-menu">
+            {columns.map((col, i) => (
+              <li key={col}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={!hidden.includes(col)}
+                    onChange={(e) => toggleHidden(col, e.target.checked)}
+                  />{" "}
+                  {labels[col] || col}
+                </label>
+                <button onClick={() => move(col, -1)} disabled={i === 0} title="Move left">
+                  ↑
+                </button>
+                <button onClick={() => move(col, 1)} disabled={i === columns.length - 1} title="Move right">
+                  ↓
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <label>
+        Rows{" "}
+        <select value={state.pageSize} onChange={(e) => onPageSizeChange(Number(e.target.value))}>
+          {pageSizes.map((n) => (
+            <option key={n} value={n}>
+              {n}
+            </option>
+          ))}
+        </select>
+      </label>
+      {message && <span className="view-error">{message}</span>}
+    </div>
+  );
+}
+
+export default ViewSwitcher;
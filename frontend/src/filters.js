@@ -0,0 +1,110 @@
+// ===== TYPED FILTERS =====
+// The filter tree sent as ?where= to GET /api/requisitions; mirrors
+// FILTER_FIELDS / FILTER_OPS in backend/listQuery.js. A group is
+// { op: "and" | "or", conditions }, a condition { field, op, value, not }.
+export const STATUSES = ["Open", "Closed", "On Hold", "Filled", "Cancelled"];
+
+export const FILTER_FIELDS = {
+  requirementid: { label: "Req ID", type: "text" },
+  title: { label: "Job Title", type: "text" },
+  client: { label: "Client", type: "text" },
+  status: { label: "Status", type: "enum", values: STATUSES },
+  slots: { label: "Slots", type: "number" },
+  assigned_recruiters: { label: "Assigned Recruiter(s)", type: "list" },
+  createdat: { label: "Created", type: "date" },
+  updated_at: { label: "Last updated", type: "date" },
+};
+
+export const FILTER_OPS = {
+  text: ["contains", "equals", "starts_with", "empty"],
+  number: ["eq", "gt", "gte", "lt", "lte", "between", "empty"],
+  enum: ["in", "empty"],
+  date: ["between", "last_days", "empty"],
+  list: ["contains", "includes", "count_gte", "empty"],
+};
+
+export const OP_LABELS = {
+  contains: "contains",
+  equals: "is exactly",
+  starts_with: "starts with",
+  empty: "is empty",
+  eq: "=",
+  gt: ">",
+  gte: "≥",
+  lt: "<",
+  lte: "≤",
+  between: "between",
+  in: "is any of",
+  last_days: "in the last (days)",
+  includes: "includes any of",
+  count_gte: "has at least (recruiters)",
+};
+
+export const MAX_DEPTH = 3;
+
+export const emptyTree = () => ({ op: "and", conditions: [] });
+
+const defaultValue = (type, op) => {
+  if (op === "empty") return undefined;
+  if (op === "between") return type === "date" ? { from: "", to: "" } : ["", ""];
+  if (op === "in" || op === "includes") return [];
+  return "";
+};
+
+export const newCondition = (field = "status") => {
+  const { type } = FILTER_FIELDS[field];
+  const op = FILTER_OPS[type][0];
+  return { field, op, value: defaultValue(type, op) };
+};
+
+// Same condition with another field or operator; the value resets when its shape changes
+export const changeCondition = (condition, changes) => {
+  const next = { ...condition, ...changes };
+  const { type } = FILTER_FIELDS[next.field];
+  if (!FILTER_OPS[type].includes(next.op)) next.op = FILTER_OPS[type][0];
+  if (changes.field !== undefined || changes.op !== undefined) next.value = defaultValue(type, next.op);
+  return next;
+};
+
+const filled = (v) => v !== undefined && v !== null && String(v).trim() !== "";
+
+const isComplete = ({ field, op, value }) => {
+  if (!FILTER_FIELDS[field]) return false;
+  if (op === "empty") return true;
+  if (op === "between") return Array.isArray(value) ? value.some(filled) : filled(value?.from) || filled(value?.to);
+  if (op === "in" || op === "includes") return Array.isArray(value) && value.length > 0;
+  return filled(value);
+};
+
+// The tree without half-filled conditions or empty groups (null when nothing is left)
+export const completeTree = (node) => {
+  if (!node) return null;
+  if (!Array.isArray(node.conditions)) return isComplete(node) ? node : null;
+  const conditions = node.conditions.map(completeTree).filter(Boolean);
+  return conditions.length ? { ...node, conditions } : null;
+};
+
+export const countConditions = (node) =>
+  !node ? 0 : Array.isArray(node.conditions) ? node.conditions.reduce((n, c) => n + countConditions(c), 0) : 1;
+
+// ----- URL -----
+// ?where=<JSON> makes a filtered table a link you can share
+const WHERE_PARAM = "where";
+
+export const treeFromUrl = () => {
+  const raw = new URLSearchParams(window.location.search).get(WHERE_PARAM);
+  if (!raw) return null;
+  try {
+    const tree = JSON.parse(raw);
+    return tree && Array.isArray(tree.conditions) ? tree : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const syncTreeToUrl = (tree) => {
+  const url = new URL(window.location.href);
+  if (tree) url.searchParams.set(WHERE_PARAM, JSON.stringify(tree));
+  else url.searchParams.delete(WHERE_PARAM);
+  if (url.href !== window.location.href) window.history.replaceState(null, "", url.href);
+};
@@ -0,0 +1,13 @@
+import io from "socket.io-client";
+import { getToken } from "./auth";
+
+// Connected by App after login; the token is re-read on every (re)connect
+const socket = io(window.location.origin, {
+  autoConnect: false,
+  auth: (cb) => cb({ token: getToken() }),
+  // WebSocket first: one long-lived connection needs no sticky sessions when
+  // several backend instances sit behind a load balancer
+  transports: ["websocket", "polling"],
+});
+
+export default socket;